@@ -0,0 +1,18 @@
+var util = require('util')
+  , MoronDbError = require('./MoronDbError');
+
+/**
+ * Error of a query that would have violated a check constraint.
+ *
+ * @extends MoronDbError
+ */
+function MoronCheckViolationError(nativeError, info) {
+  MoronDbError.call(this, nativeError, info);
+  Error.captureStackTrace(this, arguments.callee);
+
+  this.statusCode = 422;
+}
+
+util.inherits(MoronCheckViolationError, MoronDbError);
+
+module.exports = MoronCheckViolationError;
@@ -0,0 +1,18 @@
+var util = require('util');
+
+/**
+ * Error of an update that was rejected because the row was modified by someone else.
+ *
+ * @see MoronModel.versionColumn
+ */
+function MoronConcurrencyError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, arguments.callee);
+
+  this.message = message;
+  this.statusCode = 409;
+}
+
+util.inherits(MoronConcurrencyError, Error);
+
+module.exports = MoronConcurrencyError;
@@ -0,0 +1,29 @@
+var util = require('util');
+
+/**
+ * Error of a query that violated a database constraint.
+ *
+ * `MoronQueryBuilder` converts the errors of the database drivers into subclasses of this.
+ * `table` and `constraint` are null and `columns` is empty if the driver doesn't tell them.
+ * The subclasses set `statusCode` to that of the violation. A database error that is not
+ * the client's fault is a server error, hence the 500 of this base class.
+ *
+ * @param {Error} nativeError
+ *    The error thrown by the database driver.
+ * @param {{table: String, columns: Array.<String>, constraint: String}} info
+ */
+function MoronDbError(nativeError, info) {
+  Error.call(this);
+  Error.captureStackTrace(this, arguments.callee);
+
+  this.message = nativeError.message;
+  this.nativeError = nativeError;
+  this.table = info.table || null;
+  this.columns = info.columns || [];
+  this.constraint = info.constraint || null;
+  this.statusCode = 500;
+}
+
+util.inherits(MoronDbError, Error);
+
+module.exports = MoronDbError;
@@ -2,18 +2,38 @@ var _ = require('lodash')
   , Promise = require('bluebird')
   , MoronQueryBuilder = require('./MoronQueryBuilder')
   , MoronValidationError = require('./MoronValidationError')
+  , MoronEagerIdentityMap = require('./MoronEagerIdentityMap')
   , MoronRelationExpression = require('./MoronRelationExpression');
 
 /**
+ * Fetches the relations of an eager expression for a set of models.
+ *
+ * Each relation of each level is fetched using a separate query. All models of the fetch,
+ * including the root models, are stored in an identity map by their class and identifier.
+ * Each row is therefore represented by one `MoronModel` instance and the models reached
+ * through multiple owners or expression paths are shared. If the data has cycles, so does
+ * the result graph.
+ *
+ * The relation of a shared model is fetched only once: below the root level, the owners
+ * whose relation property is already set are not queried again. A model is not descended
+ * into if it was already fetched with the same expression by one of the models above it.
+ * This stops the recursive expressions when the data has cycles.
+ *
  * @constructor
  */
 function MoronEagerFetcher(opt) {
   this.modelClass = opt.modelClass;
-  this.transaction = opt.transaction || opt.modelClass.transaction;
+  this.transaction = opt.transaction || opt.modelClass.boundTransaction;
   this.models = opt.models;
   this.eager = opt.eager;
+  this.filters = opt.filters || {};
   this.parent = opt.parent || null;
-  this.children = Object.create(null);
+  // The ancestor keys (see `ancestorKey`) of the models by their identifier.
+  this.ancestors = opt.ancestors || Object.create(null);
+  this.depth = this.parent ? this.parent.depth + 1 : 0;
+  this.maxDepth = _.isUndefined(opt.maxDepth) ? MoronEagerFetcher.maxDepth : opt.maxDepth;
+  this.identityMap = opt.identityMap || new MoronEagerIdentityMap();
+  this.children = [];
   this.promise = null;
 }
 
@@ -27,40 +47,154 @@ MoronEagerFetcher.prototype.fetch = function () {
     return this.promise;
   }
 
+  if (_.isNumber(this.maxDepth) && this.depth >= this.maxDepth) {
+    // Stop silently. The relations of the deepest models are simply not fetched.
+    this.promise = Promise.resolve(this.models);
+    return this.promise;
+  }
+
   var self = this;
+  var promises = [];
 
-  this.promise = Promise.all(_.compact(_.map(this.modelClass.getRelations(), function (relation) {
-    var nextEager = self.eager.relation(relation.name);
+  if (!this.parent) {
+    _.each(this.models, function (model) {
+      self.identityMap.merge(model);
+    });
+  }
 
-    if (nextEager) {
-      return self._fetchRelation(relation, nextEager);
-    }
-  }))).then(function () {
+  _.each(this.modelClass.getRelations(), function (relation) {
+    // The same relation can be fetched multiple times under different aliases.
+    _.each(self.eager.aliases(relation.name), function (alias) {
+      var nextEager = self.eager.relation(alias);
+
+      if (nextEager) {
+        // Polymorphic relations fetch the related models of each type separately.
+        _.each(relation.groupOwners(self.models, alias), function (group) {
+          promises.push(self._fetchRelation(group.relation, group.owners, alias, nextEager, self.eager.args(alias)));
+        });
+      }
+    });
+  });
+
+  this.promise = Promise.all(promises).then(function () {
     return self.models;
   });
 
   return this.promise;
 };
 
-MoronEagerFetcher.prototype._fetchRelation = function (relation, nextEager) {
+MoronEagerFetcher.prototype._fetchRelation = function (relation, owners, alias, nextEager, filterNames) {
   var self = this;
   var queryBuilder = MoronQueryBuilder.forClass(relation.relatedModelClass).transacting(this.transaction);
 
-  return relation.find(queryBuilder, this.models).then(function (related) {
-    return self._fetchNextEager(relation, related, nextEager);
+  _.each(filterNames, function (filterName) {
+    var filter = self.filters[filterName];
+
+    if (!_.isFunction(filter)) {
+      throw new MoronValidationError({eager: 'could not find filter "' + filterName + '" for relation "' + relation.name + '"'});
+    }
+
+    queryBuilder.call(filter);
+  });
+
+  // The root models are the ones the relations were asked for, so their relations are
+  // always fetched. A shared model below them may already have the relation loaded.
+  var unloaded = this.parent ? _.filter(owners, function (owner) {
+    return _.isUndefined(owner[alias]);
+  }) : owners;
+
+  var promise = Promise.resolve();
+
+  if (!_.isEmpty(unloaded)) {
+    promise = Promise.resolve(relation.find(queryBuilder, unloaded, alias));
+  }
+
+  return promise.then(function () {
+    // Models that hold values of the join table columns are specific to the
+    // owner and cannot be shared.
+    if (_.isEmpty(relation.joinTableExtras)) {
+      shareRelated(self.identityMap, unloaded, alias);
+    }
+
+    return self._fetchNextEager(relation, owners, alias, nextEager);
   });
 };
 
-MoronEagerFetcher.prototype._fetchNextEager = function (relation, related, eager) {
-  this.children[relation.name] = new MoronEagerFetcher({
+MoronEagerFetcher.prototype._fetchNextEager = function (relation, owners, alias, eager) {
+  var self = this;
+  var ownerEagerKey = JSON.stringify(this.eager.nodes);
+  var nextEagerKey = JSON.stringify(eager.nodes);
+  var related = [];
+  var ancestors = Object.create(null);
+
+  _.each(owners, function (owner) {
+    var ownerAncestors = _.clone(self.ancestors[MoronEagerIdentityMap.key(owner)] || {});
+    var ownerKey = ancestorKey(owner, ownerEagerKey);
+
+    if (ownerKey !== null) {
+      ownerAncestors[ownerKey] = true;
+    }
+
+    _.each(_.compact(_.flatten([owner[alias]])), function (model) {
+      var id = MoronEagerIdentityMap.key(model);
+
+      if (id !== null) {
+        // A shared model has the ancestors of all its owners.
+        ancestors[id] = _.extend(ancestors[id] || {}, ownerAncestors);
+      }
+
+      related.push(model);
+    });
+  });
+
+  related = _.filter(_.uniq(related), function (model) {
+    var id = MoronEagerIdentityMap.key(model);
+    return id === null || !ancestors[id][ancestorKey(model, nextEagerKey)];
+  });
+
+  var child = new MoronEagerFetcher({
     modelClass: relation.relatedModelClass,
     transaction: this.transaction,
     models: related,
     eager: eager,
+    filters: this.filters,
+    maxDepth: this.maxDepth,
+    identityMap: this.identityMap,
+    ancestors: ancestors,
     parent: this
   });
 
-  return this.children[relation.name].fetch();
+  this.children.push(child);
+  return child.fetch();
 };
 
+/**
+ * The maximum number of relation levels fetched for an eager expression.
+ *
+ * Limits the recursive expressions like `parent.^` and `*` that would otherwise be fetched
+ * until the data runs out. `null` means no limit.
+ *
+ * @type {Number}
+ */
+MoronEagerFetcher.maxDepth = null;
+
+function shareRelated(identityMap, owners, propertyName) {
+  _.each(owners, function (owner) {
+    var related = owner[propertyName];
+
+    if (_.isArray(related)) {
+      owner[propertyName] = _.uniq(_.map(related, function (model) {
+        return identityMap.merge(model);
+      }));
+    } else if (related) {
+      owner[propertyName] = identityMap.merge(related);
+    }
+  });
+}
+
+function ancestorKey(model, eagerKey) {
+  var id = MoronEagerIdentityMap.key(model);
+  return id === null ? null : model.constructor.tableName + ':' + id + ':' + eagerKey;
+}
+
 module.exports = MoronEagerFetcher;
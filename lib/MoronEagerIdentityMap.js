@@ -0,0 +1,65 @@
+"use strict";
+
+var _ = require('lodash');
+
+/**
+ * Stores the models of an eager fetch by model class and identifier.
+ *
+ * Models without an identifier are never stored.
+ *
+ * @constructor
+ */
+function MoronEagerIdentityMap() {
+  this.classes = [];
+}
+
+/**
+ * Returns the stored instance of the model. The model is stored if it is not found.
+ *
+ * @param {MoronModel} model
+ * @returns {MoronModel}
+ */
+MoronEagerIdentityMap.prototype.merge = function (model) {
+  var id = MoronEagerIdentityMap.key(model);
+
+  if (id === null) {
+    return model;
+  }
+
+  var models = this._models(model.constructor);
+
+  if (!models[id]) {
+    models[id] = model;
+  }
+
+  return models[id];
+};
+
+MoronEagerIdentityMap.prototype._models = function (ModelClass) {
+  var entry = _.find(this.classes, {modelClass: ModelClass});
+
+  if (!entry) {
+    entry = {modelClass: ModelClass, models: Object.create(null)};
+    this.classes.push(entry);
+  }
+
+  return entry.models;
+};
+
+/**
+ * Returns the identifier of a model as a string or null if it is not set.
+ *
+ * @param {MoronModel} model
+ * @returns {String}
+ */
+MoronEagerIdentityMap.key = function (model) {
+  var id = _.flatten([model.$id()]);
+
+  if (_.any(id, function (value) { return _.isNull(value) || _.isUndefined(value); })) {
+    return null;
+  }
+
+  return JSON.stringify(id);
+};
+
+module.exports = MoronEagerIdentityMap;
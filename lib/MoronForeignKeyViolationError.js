@@ -0,0 +1,18 @@
+var util = require('util')
+  , MoronDbError = require('./MoronDbError');
+
+/**
+ * Error of a query that referenced a row that doesn't exist or deleted a row that is referenced.
+ *
+ * @extends MoronDbError
+ */
+function MoronForeignKeyViolationError(nativeError, info) {
+  MoronDbError.call(this, nativeError, info);
+  Error.captureStackTrace(this, arguments.callee);
+
+  this.statusCode = 409;
+}
+
+util.inherits(MoronForeignKeyViolationError, MoronDbError);
+
+module.exports = MoronForeignKeyViolationError;
@@ -0,0 +1,228 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , MoronValidationError = require('./MoronValidationError')
+  , MoronBelongsToOneRelation = require('./relations/MoronBelongsToOneRelation')
+  , MoronHasManyRelation = require('./relations/MoronHasManyRelation')
+  , MoronManyToManyRelation = require('./relations/MoronManyToManyRelation')
+  , MoronMorphToRelation = require('./relations/MoronMorphToRelation');
+
+/**
+ * Inserts a graph of models and their relations.
+ *
+ * The models are inserted in dependency order:
+ *
+ *  1. The models of `MoronBelongsToOneRelation`s and `MoronMorphToRelation`s are inserted first
+ *     because the owners need their identifiers in the relation column.
+ *
+ *  2. The models themselves are inserted.
+ *
+ *  3. The models of `MoronHasManyRelation`s and `MoronManyToManyRelation`s are inserted
+ *     after their owners because they need the owners' identifiers. The join rows of
+ *     `MoronManyToManyRelation`s are inserted last together with the values of the
+ *     `join.through.extra` properties.
+ *
+ * Models cannot be inserted through `MoronHasManyThroughRelation`s. A graph that has them
+ * is rejected with a `MoronValidationError`.
+ *
+ * If no transaction is given, a new one is started so that either the whole graph is
+ * inserted or nothing is.
+ *
+ * @constructor
+ */
+function MoronGraphInserter(opt) {
+  this.modelClass = opt.modelClass;
+  this.transaction = opt.transaction || opt.modelClass.boundTransaction;
+  this.models = opt.models;
+  this.promise = null;
+}
+
+MoronGraphInserter.prototype.execute = function () {
+  if (this.promise) {
+    return this.promise;
+  }
+
+  var self = this;
+
+  if (this.transaction) {
+    this.promise = this._insert(this.modelClass, this.models, this.transaction);
+  } else {
+    this.promise = Promise.resolve(this.modelClass.knex.transaction(function (trx) {
+      return self._insert(self.modelClass, self.models, trx);
+    }));
+  }
+
+  this.promise = this.promise.then(function () {
+    return self.models;
+  });
+
+  return this.promise;
+};
+
+MoronGraphInserter.prototype._insert = function (ModelClass, models, transaction) {
+  var self = this;
+  var relations = _.values(ModelClass.getRelations());
+
+  models = _.unique(models);
+
+  if (_.isEmpty(models)) {
+    return Promise.resolve();
+  }
+
+  var relationsBefore = _.filter(relations, function (relation) {
+    return relation instanceof MoronBelongsToOneRelation || relation instanceof MoronMorphToRelation;
+  });
+
+  var relationsAfter = _.filter(relations, function (relation) {
+    return relation instanceof MoronHasManyRelation || relation instanceof MoronManyToManyRelation;
+  });
+
+  var unsupported = _.find(_.difference(relations, relationsBefore, relationsAfter), function (relation) {
+    return hasRelated(relation, models);
+  });
+
+  if (unsupported) {
+    return Promise.reject(MoronGraphInserter.unsupportedRelationError(unsupported));
+  }
+
+  return Promise.each(relationsBefore, function (relation) {
+    return self._insertRelatedBeforeOwners(relation, models, transaction);
+  }).then(function () {
+    return ModelClass.query(transaction).insert(models);
+  }).then(function () {
+    return Promise.each(relationsAfter, function (relation) {
+      return self._insertRelatedAfterOwners(relation, models, transaction);
+    });
+  });
+};
+
+MoronGraphInserter.prototype._insertRelatedBeforeOwners = function (relation, owners, transaction) {
+  if (relation instanceof MoronMorphToRelation) {
+    return this._insertMorphToRelated(relation, owners, transaction);
+  }
+
+  var related = MoronGraphInserter.relatedModels(relation, owners);
+
+  return this._insert(relation.relatedModelClass, related, transaction).then(function () {
+    _.each(owners, function (owner) {
+      var related = owner[relation.name];
+
+      if (related) {
+        owner.$setValues(relation.ownerProp, related.$values(relation.relatedProp));
+      }
+    });
+  });
+};
+
+MoronGraphInserter.prototype._insertRelatedAfterOwners = function (relation, owners, transaction) {
+  var related = MoronGraphInserter.relatedModels(relation, owners);
+
+  if (relation instanceof MoronHasManyRelation) {
+    _.each(owners, function (owner) {
+      // The relation property of a one-to-one relation is a single model.
+      _.each(_.compact(_.flatten([owner[relation.name]])), function (related) {
+        relation._setOwnerKey(related, owner.$values(relation.ownerProp));
+      });
+    });
+  }
+
+  if (relation instanceof MoronManyToManyRelation) {
+    // The join table values are written to the join rows and not to the related table.
+    _.each(related, function (model) {
+      relation._markJoinTableExtras(model);
+    });
+  }
+
+  var promise = this._insert(relation.relatedModelClass, related, transaction);
+
+  if (relation instanceof MoronManyToManyRelation) {
+    promise = promise.then(function () {
+      var joinRows = _.flatten(_.map(owners, function (owner) {
+        var related = owner[relation.name] || [];
+
+        var extras = _.map(related, function (model) {
+          return relation._joinTableExtraValues(model);
+        });
+
+        return relation._createJoinRows(owner.$values(relation.ownerProp), _.invoke(related, '$values', relation.relatedProp), extras);
+      }));
+
+      if (_.isEmpty(joinRows)) {
+        return;
+      }
+
+      return relation.relatedModelClass
+        .knexQuery(transaction)
+        .insert(joinRows)
+        .into(relation.joinTable);
+    });
+  }
+
+  return promise;
+};
+
+/**
+ * Inserts the related models of a `MoronMorphToRelation` using the relation of each type.
+ */
+MoronGraphInserter.prototype._insertMorphToRelated = function (relation, owners, transaction) {
+  var self = this;
+
+  var ownersByType = _.groupBy(_.filter(owners, relation.name), function (owner) {
+    // Throws if the type of the owner is not set or is unknown.
+    relation.relationFor(owner);
+    return owner[relation.typeProp];
+  });
+
+  return Promise.each(_.keys(ownersByType), function (typeValue) {
+    var owners = ownersByType[typeValue];
+    return self._insertRelatedBeforeOwners(relation.relationFor(owners[0]), owners, transaction);
+  });
+};
+
+/**
+ * Returns the models of `relation` of all `owners`.
+ *
+ * The relation properties of the owners are converted into model instances.
+ *
+ * @param {MoronRelation} relation
+ * @param {Array.<MoronModel>} owners
+ * @returns {Array.<MoronModel>}
+ */
+MoronGraphInserter.relatedModels = function (relation, owners) {
+  var related = _.map(owners, function (owner) {
+    var value = owner[relation.name];
+
+    // Make sure the related objects are model instances so that the identifiers
+    // we set to them are visible through the graph.
+    if (_.isArray(value)) {
+      value = owner[relation.name] = relation.relatedModelClass.ensureModelArray(value);
+    } else if (value) {
+      value = owner[relation.name] = relation.relatedModelClass.ensureModel(value);
+    }
+
+    return value;
+  });
+
+  return _.compact(_.flatten(related));
+};
+
+/**
+ * Creates the error for a relation whose models cannot be inserted as a part of a graph.
+ *
+ * @param {MoronRelation} relation
+ * @returns {MoronValidationError}
+ */
+MoronGraphInserter.unsupportedRelationError = function (relation) {
+  var data = {};
+  data[relation.name] = 'cannot insert models through ' + relation.ownerModelClass.name + '.' + relation.name;
+  return new MoronValidationError(data);
+};
+
+function hasRelated(relation, models) {
+  return _.any(models, function (model) {
+    return !_.isEmpty(_.compact(_.flatten([model[relation.name]])));
+  });
+}
+
+module.exports = MoronGraphInserter;
@@ -0,0 +1,386 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , MoronQueryBuilder = require('./MoronQueryBuilder')
+  , MoronGraphInserter = require('./MoronGraphInserter')
+  , MoronBelongsToOneRelation = require('./relations/MoronBelongsToOneRelation')
+  , MoronHasManyRelation = require('./relations/MoronHasManyRelation')
+  , MoronManyToManyRelation = require('./relations/MoronManyToManyRelation');
+
+/**
+ * Makes the database match a graph of models and their relations.
+ *
+ * The current state of the graph is first fetched from the database using the relations
+ * found in the given graph as the eager expression. The given graph is then compared to
+ * the current one by identifiers:
+ *
+ *  1. Models that are found in the current graph are patched with the properties that have
+ *     changed. Soft deleted models are restored first.
+ *
+ *  2. Related models that are found in the database but are not yet related to their owner
+ *     are related and patched like the models of the current graph.
+ *
+ *  3. The rest of the models are inserted with their relations using `MoronGraphInserter`.
+ *
+ *  4. Models that are in the current graph but not in the given one are removed from the
+ *     relation. `MoronHasManyRelation` models are deleted. `MoronBelongsToOneRelation` and
+ *     `MoronManyToManyRelation` models are only unrelated because other models may also
+ *     refer to them.
+ *
+ * Only the relations whose property is defined in a model are upserted. Relations that are
+ * not present in a model are left untouched. Through and polymorphic relations cannot be
+ * upserted and a graph that has them is rejected with a `MoronValidationError`.
+ *
+ * If no transaction is given, a new one is started so that either the whole graph is
+ * upserted or nothing is.
+ *
+ * @constructor
+ */
+function MoronGraphUpserter(opt) {
+  this.modelClass = opt.modelClass;
+  this.transaction = opt.transaction || opt.modelClass.boundTransaction;
+  this.models = opt.models;
+  this.promise = null;
+}
+
+MoronGraphUpserter.prototype.execute = function () {
+  if (this.promise) {
+    return this.promise;
+  }
+
+  var self = this;
+
+  if (this.transaction) {
+    this.promise = this._upsert(this.transaction);
+  } else {
+    this.promise = Promise.resolve(this.modelClass.knex.transaction(function (trx) {
+      return self._upsert(trx);
+    }));
+  }
+
+  this.promise = this.promise.then(function () {
+    return self.models;
+  });
+
+  return this.promise;
+};
+
+MoronGraphUpserter.prototype._upsert = function (transaction) {
+  return this._upsertModels(this.modelClass, this.models, transaction);
+};
+
+/**
+ * Upserts `models` against their current state in the database.
+ *
+ * The models that are not found in the database are inserted.
+ */
+MoronGraphUpserter.prototype._upsertModels = function (ModelClass, models, transaction) {
+  var self = this;
+  var ids = _.invoke(_.filter(models, hasId), '$id');
+
+  var unsupported = _.find(presentRelations(ModelClass, models), function (relation) {
+    return !isSupported(relation);
+  });
+
+  if (unsupported) {
+    return Promise.reject(MoronGraphInserter.unsupportedRelationError(unsupported));
+  }
+
+  return this._fetchCurrent(ModelClass, models, ids, transaction).then(function (current) {
+    var currentById = indexById(current);
+
+    return Promise.each(models, function (model) {
+      var currentModel = hasId(model) && currentById[model.$id()];
+
+      if (currentModel) {
+        return self._upsertModel(ModelClass, model, currentModel, transaction);
+      } else {
+        return self._insert(ModelClass, [model], transaction);
+      }
+    });
+  });
+};
+
+MoronGraphUpserter.prototype._fetchCurrent = function (ModelClass, models, ids, transaction) {
+  if (_.isEmpty(ids)) {
+    return Promise.resolve([]);
+  }
+
+  // Soft deleted models are also fetched so that they are restored instead of inserted
+  // again with the same identifier.
+  return ModelClass
+    .query(transaction)
+    .withDeleted()
+    .whereInComposite(ModelClass.getFullIdColumn(), ids)
+    .eager(eagerExpression(ModelClass, models));
+};
+
+MoronGraphUpserter.prototype._upsertModel = function (ModelClass, model, current, transaction) {
+  var self = this;
+  var relations = presentRelations(ModelClass, [model]);
+
+  var relationsBefore = _.filter(relations, function (relation) {
+    return relation instanceof MoronBelongsToOneRelation;
+  });
+
+  var relationsAfter = _.filter(relations, function (relation) {
+    return relation instanceof MoronHasManyRelation || relation instanceof MoronManyToManyRelation;
+  });
+
+  // The owner column of `MoronBelongsToOneRelation`s must be updated before
+  // the model is patched so that the patch contains the new value.
+  return this._restore(ModelClass, current, transaction).then(function () {
+    return Promise.each(relationsBefore, function (relation) {
+      return self._upsertHasOne(relation, model, current, transaction);
+    });
+  }).then(function () {
+    return self._patch(ModelClass, model, current, transaction);
+  }).then(function () {
+    return Promise.each(relationsAfter, function (relation) {
+      if (relation instanceof MoronHasManyRelation) {
+        return self._upsertHasMany(relation, model, current, transaction);
+      } else {
+        return self._upsertManyToMany(relation, model, current, transaction);
+      }
+    });
+  });
+};
+
+MoronGraphUpserter.prototype._upsertHasOne = function (relation, owner, current, transaction) {
+  var related = owner[relation.name] = relation.relatedModelClass.ensureModel(owner[relation.name]);
+  var currentRelated = current[relation.name];
+
+  if (!related) {
+    owner.$setValues(relation.ownerProp, null);
+    return Promise.resolve();
+  }
+
+  if (currentRelated && sameId(related, currentRelated)) {
+    return this._upsertModel(relation.relatedModelClass, related, currentRelated, transaction);
+  }
+
+  return this._upsertModels(relation.relatedModelClass, [related], transaction).then(function () {
+    owner.$setValues(relation.ownerProp, related.$values(relation.relatedProp));
+  });
+};
+
+MoronGraphUpserter.prototype._upsertHasMany = function (relation, owner, current, transaction) {
+  var self = this;
+  var diff = diffRelated(relation, owner, current);
+
+  _.each(diff.add, function (related) {
+    relation._setOwnerKey(related, owner.$values(relation.ownerProp));
+  });
+
+  return Promise.each(diff.update, function (pair) {
+    return self._upsertModel(relation.relatedModelClass, pair.model, pair.current, transaction);
+  }).then(function () {
+    // The owner key set above is patched to the existing models.
+    return self._upsertModels(relation.relatedModelClass, diff.add, transaction);
+  }).then(function () {
+    if (_.isEmpty(diff.remove)) {
+      return;
+    }
+
+    return relation.relatedModelClass
+      .query(transaction)
+      .delete()
+      .whereInComposite(relation.relatedModelClass.getFullIdColumn(), _.invoke(diff.remove, '$id'));
+  });
+};
+
+MoronGraphUpserter.prototype._upsertManyToMany = function (relation, owner, current, transaction) {
+  var self = this;
+  var diff = diffRelated(relation, owner, current);
+
+  // The join table values are written to the join rows and not to the related table.
+  _.each(diff.add.concat(_.pluck(diff.update, 'model')), function (related) {
+    relation._markJoinTableExtras(related);
+  });
+
+  return Promise.each(diff.update, function (pair) {
+    return self._upsertModel(relation.relatedModelClass, pair.model, pair.current, transaction);
+  }).then(function () {
+    return self._upsertModels(relation.relatedModelClass, diff.add, transaction);
+  }).then(function () {
+    var extras = _.map(diff.add, function (related) {
+      return relation._joinTableExtraValues(related);
+    });
+
+    var joinRows = relation._createJoinRows(owner.$values(relation.ownerProp), _.invoke(diff.add, '$values', relation.relatedProp), extras);
+
+    if (_.isEmpty(joinRows)) {
+      return;
+    }
+
+    return self._deleteKeptJoinRows(relation, owner, diff.add, transaction).then(function () {
+      return relation.relatedModelClass
+        .knexQuery(transaction)
+        .insert(joinRows)
+        .into(relation.joinTable);
+    });
+  }).then(function () {
+    if (_.isEmpty(diff.remove)) {
+      return;
+    }
+
+    return MoronQueryBuilder
+      .forClass(relation.relatedModelClass)
+      .transacting(transaction)
+      .delete()
+      .from(relation.joinTable)
+      .whereComposite(relation.fullJoinTableOwnerCol(), owner.$values(relation.ownerProp))
+      .whereInComposite(relation.fullJoinTableRelatedCol(), _.invoke(diff.remove, '$values', relation.relatedProp));
+  });
+};
+
+/**
+ * Deletes the join rows that soft deleted `related` models still have with `owner`.
+ *
+ * The join rows are kept when the related models are soft deleted but the current graph
+ * doesn't have the models. The rows are inserted again with the new join table values.
+ */
+MoronGraphUpserter.prototype._deleteKeptJoinRows = function (relation, owner, related, transaction) {
+  if (!relation.relatedModelClass.softDelete) {
+    return Promise.resolve();
+  }
+
+  return MoronQueryBuilder
+    .forClass(relation.relatedModelClass)
+    .transacting(transaction)
+    .delete()
+    .from(relation.joinTable)
+    .whereComposite(relation.fullJoinTableOwnerCol(), owner.$values(relation.ownerProp))
+    .whereInComposite(relation.fullJoinTableRelatedCol(), _.invoke(related, '$values', relation.relatedProp));
+};
+
+MoronGraphUpserter.prototype._restore = function (ModelClass, current, transaction) {
+  if (!isSoftDeleted(ModelClass, current)) {
+    return Promise.resolve();
+  }
+
+  return ModelClass
+    .query(transaction)
+    .restore()
+    .whereComposite(ModelClass.getFullIdColumn(), current.$id());
+};
+
+MoronGraphUpserter.prototype._patch = function (ModelClass, model, current, transaction) {
+  var json = model.$toJson(true);
+  var currentJson = current.$toJson();
+
+  var changes = _.omit(json, function (value, key) {
+    return _.isEqual(value, currentJson[key]) || _.contains(model.$$joinTableExtras, key);
+  });
+
+  if (_.isEmpty(changes)) {
+    return Promise.resolve();
+  }
+
+  return ModelClass
+    .query(transaction)
+    .patch(changes)
+    .whereComposite(ModelClass.getFullIdColumn(), current.$id());
+};
+
+MoronGraphUpserter.prototype._insert = function (ModelClass, models, transaction) {
+  return new MoronGraphInserter({
+    modelClass: ModelClass,
+    models: models,
+    transaction: transaction
+  }).execute();
+};
+
+/**
+ * Creates an eager expression string that contains all relations present in the models.
+ */
+function eagerExpression(ModelClass, models) {
+  var relations = presentRelations(ModelClass, models);
+
+  var expressions = _.map(relations, function (relation) {
+    var related = MoronGraphInserter.relatedModels(relation, models);
+    var subExpression = eagerExpression(relation.relatedModelClass, related);
+
+    if (subExpression) {
+      return relation.name + '.' + subExpression;
+    } else {
+      return relation.name;
+    }
+  });
+
+  if (_.isEmpty(expressions)) {
+    return '';
+  } else {
+    return '[' + expressions.join(', ') + ']';
+  }
+}
+
+function presentRelations(ModelClass, models) {
+  return _.filter(ModelClass.getRelations(), function (relation) {
+    return _.any(models, function (model) {
+      return !_.isUndefined(model[relation.name]);
+    });
+  });
+}
+
+function isSupported(relation) {
+  return relation instanceof MoronBelongsToOneRelation || relation instanceof MoronHasManyRelation || relation instanceof MoronManyToManyRelation;
+}
+
+function diffRelated(relation, owner, current) {
+  var related = MoronGraphInserter.relatedModels(relation, [owner]);
+  var currentRelated = _.compact(_.flatten([current[relation.name]]));
+  var currentById = indexById(currentRelated);
+  // `add` has the models that are not related to the owner yet. `_upsertModels` inserts
+  // the ones that don't exist.
+  var diff = {add: [], update: [], remove: []};
+
+  _.each(related, function (model) {
+    var currentModel = hasId(model) && currentById[model.$id()];
+
+    if (currentModel) {
+      diff.update.push({model: model, current: currentModel});
+    } else {
+      diff.add.push(model);
+    }
+  });
+
+  var relatedById = indexById(related);
+
+  diff.remove = _.reject(currentRelated, function (currentModel) {
+    return !!relatedById[currentModel.$id()];
+  });
+
+  return diff;
+}
+
+function isSoftDeleted(ModelClass, model) {
+  var softDelete = ModelClass.softDelete;
+
+  if (!softDelete) {
+    return false;
+  }
+
+  var restoreValue = _.isUndefined(softDelete.restoreValue) ? null : softDelete.restoreValue;
+  return model[softDelete.column] !== restoreValue;
+}
+
+function indexById(models) {
+  return _.indexBy(_.filter(models, hasId), function (model) {
+    return model.$id();
+  });
+}
+
+function hasId(model) {
+  // Composite identifiers are arrays and all of their values must be set.
+  return _.all(_.flatten([model.$id()]), function (value) {
+    return !_.isUndefined(value) && !_.isNull(value);
+  });
+}
+
+function sameId(model1, model2) {
+  return String(model1.$id()) === String(model2.$id());
+}
+
+module.exports = MoronGraphUpserter;
@@ -0,0 +1,279 @@
+"use strict";
+
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , MoronValidationError = require('./MoronValidationError')
+  , MoronEagerIdentityMap = require('./MoronEagerIdentityMap');
+
+// Separates the relation path and the column name in the aliases of the joined columns.
+var ALIAS_SEPARATOR = ':';
+
+/**
+ * Fetches the relations of an eager expression using a single query.
+ *
+ * All relations in the expression are joined to the query using `LEFT JOIN`s. The columns
+ * of each joined table are selected using aliases of form `relationPath:column`. For example
+ * for expression `children.pets` the columns of the `pets` table are selected as
+ * `children:pets:id`, `children:pets:name` and so on. The same aliases are used for the joined
+ * tables so that they can be referenced in the where clauses of the query:
+ *
+ * ```js
+ * Person
+ *   .query()
+ *   .eager('children.pets')
+ *   .eagerAlgorithm('join')
+ *   .where('children:pets.species', 'dog');
+ * ```
+ *
+ * The flat result rows are then converted into a graph of models. Like `MoronEagerFetcher`,
+ * each row is represented by one `MoronModel` instance that is shared by all owners and
+ * expression paths that reach it.
+ *
+ * Recursive expressions without a depth limit (`^` and `*`) cannot be fetched with a finite
+ * number of joins and are not supported. Limited recursion like `parent.^3` is supported.
+ *
+ * Note that `limit` and `offset` apply to the joined rows and not to the root models.
+ *
+ * @constructor
+ */
+function MoronJoinEagerFetcher(opt) {
+  this.modelClass = opt.modelClass;
+  this.transaction = opt.transaction || opt.modelClass.boundTransaction;
+  this.eager = opt.eager;
+  this.filters = opt.filters || {};
+  this.identityMap = new MoronEagerIdentityMap();
+  this.rootNode = null;
+}
+
+/**
+ * Adds the joins and the selects to the query.
+ *
+ * @param {MoronQueryBuilder} builder
+ * @returns {Promise}
+ */
+MoronJoinEagerFetcher.prototype.build = function (builder) {
+  var self = this;
+  var tableName = this.modelClass.tableName;
+
+  this.rootNode = createNode(this.modelClass, null, null, tableName);
+
+  return this._createChildNodes(this.rootNode, this.eager).then(function () {
+    if (!builder.has('select')) {
+      builder.select(tableName + '.*');
+    }
+
+    self._buildNode(builder, self.rootNode);
+  });
+};
+
+/**
+ * Converts the rows returned by the query into a graph of models.
+ *
+ * @param {Array.<Object>} rows
+ * @returns {Array.<MoronModel>}
+ */
+MoronJoinEagerFetcher.prototype.parseResult = function (rows) {
+  var self = this;
+  var roots = [];
+  var rootsByKey = Object.create(null);
+
+  var keys = _.map(rows, function (row) {
+    var json = _.omit(row, isAliasedColumn);
+    var id = _.map(self.rootNode.idColumns, function (column) {
+      return json[column];
+    });
+
+    // The whole row is the key only if the identifier columns were not selected.
+    var key = _.any(id, _.isUndefined) ? JSON.stringify(_.values(json)) : JSON.stringify(id);
+
+    if (!rootsByKey[key]) {
+      rootsByKey[key] = self.identityMap.merge(self.modelClass.fromDatabaseJson(json));
+      roots.push(rootsByKey[key]);
+    }
+
+    return key;
+  });
+
+  // The roots are created first so that the related models that are also roots are
+  // shared with them.
+  _.each(rows, function (row, idx) {
+    self._parseNode(self.rootNode, rootsByKey[keys[idx]], keys[idx], row);
+  });
+
+  return roots;
+};
+
+MoronJoinEagerFetcher.prototype._createChildNodes = function (node, eager) {
+  var self = this;
+
+  if (eager.isAllRecursive()) {
+    throwRecursiveError();
+  }
+
+  return Promise.all(_.flatten(_.map(node.modelClass.getRelations(), function (relation) {
+    return _.map(eager.aliases(relation.name), function (alias) {
+      var nextEager = eager.relation(alias);
+
+      if (eager.maxRecursionDepth(alias) === Infinity) {
+        throwRecursiveError();
+      }
+
+      if (!relation.relatedModelClass) {
+        // Polymorphic relations have a different related model class for each owner.
+        throw new MoronValidationError({eager: 'polymorphic relation "' + relation.name + '" cannot be fetched using the join algorithm'});
+      }
+
+      var tableAlias = node.relation ? node.tableAlias + ALIAS_SEPARATOR + alias : alias;
+      var child = createNode(relation.relatedModelClass, relation, alias, tableAlias);
+
+      child.filterNames = eager.args(alias);
+      node.children.push(child);
+
+      return relation.relatedModelClass.$$fetchTableColumns(self.transaction).then(function (columns) {
+        child.columns = columns;
+        return self._createChildNodes(child, nextEager);
+      });
+    });
+  })));
+};
+
+MoronJoinEagerFetcher.prototype._buildNode = function (builder, node) {
+  var self = this;
+
+  _.each(node.children, function (child) {
+    var joinTableAlias = child.tableAlias + '_join';
+
+    child.relation.join(builder, {
+      joinOperation: 'leftJoin',
+      ownerTable: node.tableAlias,
+      relatedTableAlias: child.tableAlias,
+      relatedJoinSelect: self._relatedJoinSelect(builder, child),
+      joinTableAlias: joinTableAlias
+    });
+
+    _.each(child.columns, function (column) {
+      builder.select(child.tableAlias + '.' + column + ' as ' + child.tableAlias + ALIAS_SEPARATOR + column);
+    });
+
+    _.each(child.relation.joinTableExtras, function (extra) {
+      builder.select(joinTableAlias + '.' + extra.joinTableCol + ' as ' + child.tableAlias + ALIAS_SEPARATOR + extra.aliasProp);
+    });
+
+    self._buildNode(builder, child);
+  });
+};
+
+MoronJoinEagerFetcher.prototype._relatedJoinSelect = function (builder, node) {
+  var self = this;
+  var relation = node.relation;
+  var ModelClass = relation.relatedModelClass;
+
+  if (relation.additionalQuery === _.noop && _.isEmpty(node.filterNames) && !ModelClass.softDelete) {
+    // The table can be joined directly.
+    return null;
+  }
+
+  // The relation query, the filters and the soft delete filter are applied to a subquery
+  // that is joined instead of the related table.
+  var subQuery = builder.constructor.forClass(ModelClass).call(relation.additionalQuery);
+
+  _.each(node.filterNames, function (filterName) {
+    var filter = self.filters[filterName];
+
+    if (!_.isFunction(filter)) {
+      throw new MoronValidationError({eager: 'could not find filter "' + filterName + '" for relation "' + relation.name + '"'});
+    }
+
+    subQuery.call(filter);
+  });
+
+  var sql = subQuery.build().toSQL();
+  return ModelClass.knex.raw('(' + sql.sql + ') as ??', sql.bindings.concat(node.tableAlias));
+};
+
+MoronJoinEagerFetcher.prototype._parseNode = function (node, owner, ownerKey, row) {
+  var self = this;
+
+  _.each(node.children, function (child) {
+    var json = {};
+
+    _.each(child.columns, function (column) {
+      json[column] = row[child.tableAlias + ALIAS_SEPARATOR + column];
+    });
+
+    _.each(child.relation.joinTableExtras, function (extra) {
+      json[extra.aliasProp] = row[child.tableAlias + ALIAS_SEPARATOR + extra.aliasProp];
+    });
+
+    var id = _.map(child.idColumns, function (column) {
+      return json[column];
+    });
+
+    if (_.all(id, isNullOrUndefined)) {
+      // The left join didn't find a related row.
+      if (_.isUndefined(owner[child.key])) {
+        owner[child.key] = child.relation.isOneToOne() ? null : [];
+      }
+
+      return;
+    }
+
+    var key = ownerKey + ALIAS_SEPARATOR + JSON.stringify(id);
+    var model = child.models[key];
+
+    if (!model) {
+      model = child.modelClass.fromDatabaseJson(json);
+      child.relation._markJoinTableExtras(model);
+
+      // Models that hold values of the join table columns are specific to the
+      // owner and cannot be shared.
+      if (_.isEmpty(child.relation.joinTableExtras)) {
+        model = self.identityMap.merge(model);
+      }
+
+      child.models[key] = model;
+
+      if (child.relation.isOneToOne()) {
+        owner[child.key] = model;
+      } else {
+        owner[child.key] = owner[child.key] || [];
+
+        // A shared owner can get the same related model through multiple paths.
+        if (!_.contains(owner[child.key], model)) {
+          owner[child.key].push(model);
+        }
+      }
+    }
+
+    self._parseNode(child, model, key, row);
+  });
+};
+
+function createNode(modelClass, relation, key, tableAlias) {
+  return {
+    modelClass: modelClass,
+    relation: relation,
+    key: key,
+    tableAlias: tableAlias,
+    idColumns: _.flatten([modelClass.idColumn]),
+    columns: [],
+    filterNames: [],
+    children: [],
+    // Models of this node by the path of identifiers from the root.
+    models: Object.create(null)
+  };
+}
+
+function isAliasedColumn(value, column) {
+  return column.indexOf(ALIAS_SEPARATOR) !== -1;
+}
+
+function isNullOrUndefined(value) {
+  return _.isNull(value) || _.isUndefined(value);
+}
+
+function throwRecursiveError() {
+  throw new MoronValidationError({eager: 'recursive eager expressions without a depth limit are not supported by the join algorithm'});
+}
+
+module.exports = MoronJoinEagerFetcher;
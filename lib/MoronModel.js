@@ -1,15 +1,25 @@
 "use strict";
 
 var _ = require('lodash')
+  , Promise = require('bluebird')
   , MoronModelBase = require('./MoronModelBase')
   , MoronQueryBuilder = require('./MoronQueryBuilder')
   , MoronRelationExpression = require('./MoronRelationExpression')
   , MoronValidationError = require('./MoronValidationError')
+  , MoronConcurrencyError = require('./MoronConcurrencyError')
   , MoronEagerFetcher = require('./MoronEagerFetcher')
+  , MoronGraphInserter = require('./MoronGraphInserter')
+  , MoronGraphUpserter = require('./MoronGraphUpserter')
+  , MoronTransaction = require('./MoronTransaction')
   , MoronRelation = require('./relations/MoronRelation')
+  , MoronBelongsToOneRelation = require('./relations/MoronBelongsToOneRelation')
   , MoronHasOneRelation = require('./relations/MoronHasOneRelation')
   , MoronHasManyRelation = require('./relations/MoronHasManyRelation')
-  , MoronManyToManyRelation = require('./relations/MoronManyToManyRelation');
+  , MoronManyToManyRelation = require('./relations/MoronManyToManyRelation')
+  , MoronHasManyThroughRelation = require('./relations/MoronHasManyThroughRelation')
+  , MoronHasOneThroughRelation = require('./relations/MoronHasOneThroughRelation')
+  , MoronMorphToRelation = require('./relations/MoronMorphToRelation')
+  , MoronMorphManyRelation = require('./relations/MoronMorphManyRelation');
 
 /**
  *
@@ -32,8 +42,10 @@ var _ = require('lodash')
  * resource.$relatedQuery('products').where('id', 100).patch({a:10});
  * resource.$relatedQuery('products').delete();
  *
- * MoronModel.transaction(Resource, Product, Quota, function (Resource, Product, Quota) {
- *   Resource.
+ * MoronModel.transaction(Resource, Product, function (Resource, Product) {
+ *   return Resource.query().insert({name: 'foo'}).then(function (resource) {
+ *     return Product.query().insert({resourceId: resource.id});
+ *   });
  * });
  *
  *
@@ -69,13 +81,67 @@ function MoronModel() {
 
 MoronModelBase.makeSubclass(MoronModel);
 
+/**
+ * Gets or sets the identifier of the model.
+ *
+ * If `idColumn` is an array (composite key) the identifier is an array of values
+ * in the same order as the columns in `idColumn`.
+ *
+ * @param {*=} id
+ *    The identifier to set. If not given, the identifier is returned.
+ *
+ * @returns {*}
+ */
 MoronModel.prototype.$id = function () {
-  var ModelClass = this.constructor;
+  var idProperty = this.constructor.getIdProperty();
 
   if (arguments.length > 0) {
-    this[ModelClass.getIdProperty()] = arguments[0];
+    this.$setValues(idProperty, arguments[0]);
+  } else {
+    return this.$values(idProperty);
+  }
+};
+
+/**
+ * Returns the values of one or more properties.
+ *
+ * @param {String|Array.<String>} props
+ *    A property name or an array of property names.
+ *
+ * @returns {*|Array.<*>}
+ *    The value of the property or an array of values if `props` is an array.
+ */
+MoronModel.prototype.$values = function (props) {
+  var self = this;
+
+  if (_.isArray(props)) {
+    return _.map(props, function (prop) {
+      return self[prop];
+    });
+  } else {
+    return this[props];
+  }
+};
+
+/**
+ * Sets the values of one or more properties.
+ *
+ * @param {String|Array.<String>} props
+ *    A property name or an array of property names.
+ *
+ * @param {*|Array.<*>} values
+ *    A value or an array of values in the same order as `props`. If `props` is an
+ *    array and `values` is null or undefined, all properties are set to `values`.
+ */
+MoronModel.prototype.$setValues = function (props, values) {
+  var self = this;
+
+  if (_.isArray(props)) {
+    _.each(props, function (prop, idx) {
+      self[prop] = values ? values[idx] : values;
+    });
   } else {
-    return this[ModelClass.getIdProperty()];
+    this[props] = values;
   }
 };
 
@@ -85,21 +151,27 @@ MoronModel.prototype.$query = function (transaction) {
 
   return MoronQueryBuilder
     .forClass(ModelClass)
-    .transacting(transaction || ModelClass.transaction)
+    .transacting(transaction || ModelClass.boundTransaction)
     .findImpl(function () {
-      this.where(ModelClass.getFullIdColumn(), self.$id());
+      this.whereComposite(ModelClass.getFullIdColumn(), self.$id());
     })
     .insertImpl(function () {
       ModelClass.$$insert(this, self);
     })
+    .insertWithRelatedImpl(function () {
+      ModelClass.$$insertWithRelated(this, self);
+    })
+    .upsertGraphImpl(function () {
+      ModelClass.$$upsertGraph(this, self);
+    })
     .updateImpl(function (update) {
-      ModelClass.$$update(this, update || self).where(ModelClass.getFullIdColumn(), self.$id());
+      ModelClass.$$update(this, update || self, self).whereComposite(ModelClass.getFullIdColumn(), self.$id());
     })
     .patchImpl(function (patch) {
-      ModelClass.$$patch(this, patch || self).where(ModelClass.getFullIdColumn(), self.$id());
+      ModelClass.$$patch(this, patch || self, self).whereComposite(ModelClass.getFullIdColumn(), self.$id());
     })
     .deleteImpl(function () {
-      ModelClass.$$delete(this).where(ModelClass.getFullIdColumn(), self.$id());
+      ModelClass.$$delete(this, self).whereComposite(ModelClass.getFullIdColumn(), self.$id());
     })
     .relateImpl(function () {
       throw new Error('relate makes no sense in this context');
@@ -110,19 +182,25 @@ MoronModel.prototype.$query = function (transaction) {
 };
 
 MoronModel.prototype.$relatedQuery = function (relationName, transaction) {
-  var relation = this.constructor.getRelation(relationName);
+  var relation = this.constructor.getRelation(relationName).relationFor(this);
   var ModelClass = relation.relatedModelClass;
   var self = this;
 
   return MoronQueryBuilder
     .forClass(ModelClass)
-    .transacting(transaction || ModelClass.transaction)
+    .transacting(transaction || ModelClass.boundTransaction)
     .findImpl(function () {
       relation.find(this, self);
     })
     .insertImpl(function (modelsToInsert) {
       relation.insert(this, self, modelsToInsert);
     })
+    .insertWithRelatedImpl(function () {
+      throw new Error('insertWithRelated makes no sense in this context');
+    })
+    .upsertGraphImpl(function () {
+      throw new Error('upsertGraph makes no sense in this context');
+    })
     .updateImpl(function (update) {
       relation.update(this, self, update);
     })
@@ -135,13 +213,200 @@ MoronModel.prototype.$relatedQuery = function (relationName, transaction) {
     .relateImpl(function (ids) {
       relation.relate(this, self, ids);
     })
-    .unrelateImpl(function () {
-      relation.unrelate(this, self);
+    .unrelateImpl(function (ids) {
+      relation.unrelate(this, self, ids);
     });
 };
 
-MoronModel.prototype.$loadRelated = function (eagerExpression, transaction) {
-  return this.constructor.loadRelated(this, eagerExpression, transaction);
+MoronModel.prototype.$loadRelated = function (eagerExpression, transaction, filters) {
+  return this.constructor.loadRelated(this, eagerExpression, transaction, filters);
+};
+
+/**
+ * Returns the properties that have changed since the model was fetched from the
+ * database or saved.
+ *
+ * The state of the model is stored when it is created using `fromDatabaseJson` (all
+ * query results are) and after it has been inserted, updated or patched. All properties
+ * of a model that has no stored state have changed. Relations and the values of join
+ * table columns are not tracked.
+ *
+ * @returns {Object}
+ *    The changed properties and their current values.
+ */
+MoronModel.prototype.$changes = function () {
+  var ModelClass = this.constructor;
+  var relations = ModelClass.getRelations();
+  var savedJson = this.$$savedJson;
+  var changes = {};
+
+  for (var key in this) {
+    if (!ModelClass.hasOwnJsonProperty(this, key) || relations[key] || _.contains(this.$$joinTableExtras, key)) {
+      continue;
+    }
+
+    if (!savedJson || !_.has(savedJson, key) || !_.isEqual(savedJson[key], this[key])) {
+      changes[key] = this[key];
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Returns true if the property has changed since the model was fetched from the
+ * database or saved.
+ *
+ * @see $changes
+ * @param {String=} prop
+ *    If not given, returns true if any property has changed.
+ *
+ * @returns {Boolean}
+ */
+MoronModel.prototype.$isDirty = function (prop) {
+  var changes = this.$changes();
+
+  if (_.isUndefined(prop)) {
+    return !_.isEmpty(changes);
+  } else {
+    return _.has(changes, prop);
+  }
+};
+
+/**
+ * Saves the model to the database.
+ *
+ * A model without an identifier is inserted. Otherwise only the changed properties
+ * are patched. Nothing is written if there are no changes.
+ *
+ * ```js
+ * person.firstName = 'Jennifer';
+ * person.$save().then(function (person) {
+ *   // update "Person" set "firstName" = 'Jennifer' where "Person"."id" = 1
+ * });
+ * ```
+ *
+ * @see $changes
+ * @param {Object=} transaction
+ * @returns {MoronQueryBuilder}
+ *    A query that resolves to this model.
+ */
+MoronModel.prototype.$save = function (transaction) {
+  var self = this;
+
+  if (_.any(ensureArray(this.$id()), isNullOrUndefined)) {
+    return this.$query(transaction).insert();
+  }
+
+  var changes = this.$changes();
+
+  if (_.isEmpty(changes)) {
+    return this.$query(transaction).resolve(this);
+  }
+
+  return this.$query(transaction).patch(changes).runAfterModelCreate(function () {
+    self.$$snapshot();
+    return self;
+  });
+};
+
+/**
+ * Called before a model is inserted into the database.
+ *
+ * This is called for all insert queries: `query().insert()`, `$query().insert()`,
+ * `$relatedQuery().insert()` etc. You can modify the model here and the modifications
+ * are written to the database. You can return a promise from this function if you need
+ * to do asynchronous stuff. If the promise is rejected (or an exception is thrown) the
+ * query is rejected with the same error.
+ *
+ * @param {Object=} transaction
+ *    The transaction the query is executed in or null if there is none. Use this
+ *    to execute other queries in the same transaction.
+ *
+ * @return {Promise|*}
+ */
+MoronModel.prototype.$beforeInsert = function (transaction) {
+  // Do nothing by default.
+};
+
+/**
+ * Called after a model has been inserted into the database.
+ *
+ * The identifier of the model has been set when this is called. You can return a promise
+ * from this function if you need to do asynchronous stuff.
+ *
+ * @param {Object=} transaction
+ *    The transaction the query is executed in or null if there is none.
+ *
+ * @return {Promise|*}
+ */
+MoronModel.prototype.$afterInsert = function (transaction) {
+  // Do nothing by default.
+};
+
+/**
+ * Called before a model is updated or patched.
+ *
+ * This is called for the model that is given to `update` or `patch` method (or the model
+ * itself when `$query().update()` is called without arguments). Note that when a query
+ * updates multiple rows, the model only contains the updated values and not the full rows.
+ * You can return a promise from this function if you need to do asynchronous stuff.
+ *
+ * @param {Object=} transaction
+ *    The transaction the query is executed in or null if there is none.
+ *
+ * @param {MoronModelOptions} options
+ *    `options.patch` is true if this is a patch.
+ *
+ * @return {Promise|*}
+ */
+MoronModel.prototype.$beforeUpdate = function (transaction, options) {
+  // Do nothing by default.
+};
+
+/**
+ * Called after a model has been updated or patched.
+ *
+ * @param {Object=} transaction
+ *    The transaction the query is executed in or null if there is none.
+ *
+ * @param {MoronModelOptions} options
+ *    `options.patch` is true if this was a patch.
+ *
+ * @return {Promise|*}
+ */
+MoronModel.prototype.$afterUpdate = function (transaction, options) {
+  // Do nothing by default.
+};
+
+/**
+ * Called before a model is deleted.
+ *
+ * This is only called for `$query().delete()` since other delete queries don't
+ * have model instances to call this for. You can return a promise from this function
+ * if you need to do asynchronous stuff.
+ *
+ * @param {Object=} transaction
+ *    The transaction the query is executed in or null if there is none.
+ *
+ * @return {Promise|*}
+ */
+MoronModel.prototype.$beforeDelete = function (transaction) {
+  // Do nothing by default.
+};
+
+/**
+ * Called after a model has been deleted.
+ *
+ * This is only called for `$query().delete()`.
+ *
+ * @param {Object=} transaction
+ *    The transaction the query is executed in or null if there is none.
+ *
+ * @return {Promise|*}
+ */
+MoronModel.prototype.$afterDelete = function (transaction) {
+  // Do nothing by default.
 };
 
 /**
@@ -186,6 +451,55 @@ MoronModel.prototype.$formatDatabaseJson = function (json) {
   return ModelClass.$$omitNonColumns(json);
 };
 
+/**
+ * @override
+ */
+MoronModel.prototype.$toDatabaseJson = function () {
+  var json = MoronModelBase.prototype.$toDatabaseJson.call(this);
+
+  if (this.$$joinTableExtras) {
+    // The values of join table columns are not columns of the model's table.
+    return _.omit(json, this.$$joinTableExtras);
+  } else {
+    return json;
+  }
+};
+
+/**
+ * @override
+ */
+MoronModel.prototype.$clone = function () {
+  var copy = MoronModelBase.prototype.$clone.call(this);
+
+  if (this.$$savedJson) {
+    setSavedJson(copy, this.constructor.deepCloneJson(this.$$savedJson));
+  }
+
+  if (this.$$joinTableExtras) {
+    copy.$$setJoinTableExtras(this.$$joinTableExtras);
+  }
+
+  return copy;
+};
+
+/**
+ * Marks the properties that hold the values of the join table columns of a
+ * many-to-many relation.
+ *
+ * @see MoronManyToManyRelation
+ * @param {Array.<String>} props
+ * @private
+ */
+MoronModel.prototype.$$setJoinTableExtras = function (props) {
+  // Not enumerable for the same reason as `$$savedJson`.
+  Object.defineProperty(this, '$$joinTableExtras', {
+    value: props,
+    enumerable: false,
+    writable: true,
+    configurable: true
+  });
+};
+
 /**
  * @override
  */
@@ -193,15 +507,15 @@ MoronModel.prototype.$setJson = function (json, options) {
   MoronModelBase.prototype.$setJson.call(this, json, options);
 
   var relations = this.constructor.getRelations();
-  if (!relations.length || !_.isObject(json)) {
+  if (_.isEmpty(relations) || !_.isObject(json)) {
     return;
   }
 
   // Parse relations into MoronModel instances.
   for (var relationName in relations) {
-    if (relations.hasOwnProperty(relationName) && json.hasOwnProperty(relationName)) {
+    if (_.has(json, relationName)) {
       var relationJson = json[relationName];
-      var relation = relations[relationName];
+      var relation = relationJson ? relations[relationName].relationFor(this) : null;
 
       if (_.isArray(relationJson)) {
         var arr = new Array(relationJson.length);
@@ -236,14 +550,80 @@ MoronModel.prototype.$toJson = function (shallow) {
   }
 };
 
+MoronModel.BelongsToOneRelation = MoronBelongsToOneRelation;
 MoronModel.HasOneRelation = MoronHasOneRelation;
 MoronModel.HasManyRelation = MoronHasManyRelation;
 MoronModel.ManyToManyRelation = MoronManyToManyRelation;
+MoronModel.HasManyThroughRelation = MoronHasManyThroughRelation;
+MoronModel.HasOneThroughRelation = MoronHasOneThroughRelation;
+MoronModel.MorphToRelation = MoronMorphToRelation;
+MoronModel.MorphManyRelation = MoronMorphManyRelation;
 
 MoronModel.knex = null;
 MoronModel.tableName = null;
 MoronModel.idColumn = 'id';
-MoronModel.transaction = null;
+MoronModel.boundTransaction = null;
+
+/**
+ * Column used for optimistic locking.
+ *
+ * When this is set, `$query().update()` and `$query().patch()` only update the row if its
+ * version is still the version of the model and increment it. A `MoronConcurrencyError`
+ * is thrown if the row has been modified (or deleted) in the meantime. Nothing is checked
+ * for models whose version is not set.
+ *
+ * Inserted models get version 1 unless they have a version.
+ *
+ * @type {String}
+ */
+MoronModel.versionColumn = null;
+
+/**
+ * Makes deletes only mark the rows deleted.
+ *
+ * An object `{column: String, value: *, restoreValue: *}`. `delete` sets `column` to
+ * `value` (or the return value of `value` if it is a function) instead of deleting the
+ * rows. Queries that select, update or delete the rows of the table only see the rows
+ * whose `column` is `restoreValue` (null by default) unless `withDeleted()` or
+ * `onlyDeleted()` is called. Deleting a row twice therefore doesn't overwrite `column`.
+ * `restore()` sets the `column` back to `restoreValue`. The join rows of many-to-many
+ * relations are kept so that the restored rows are still related. `unrelate` also
+ * unrelates the soft deleted rows and `upsertGraph` restores the ones in the graph.
+ *
+ * ```js
+ * Person.softDelete = {
+ *   column: 'deletedAt',
+ *   value: function () {
+ *     return new Date().toISOString();
+ *   }
+ * };
+ * ```
+ *
+ * @type {Object}
+ */
+MoronModel.softDelete = null;
+
+/**
+ * Properties that are set to the time the row was created and last updated.
+ *
+ * An object `{createdAt: {property: String, column: String}, updatedAt: {property: String, column: String}}`.
+ * Either one can be left out. If `property` is not given, the property of `column` is used.
+ *
+ * Inserts set both properties unless they are already set. Updates and patches, also the
+ * ones made by `query().patch()`, set the `updatedAt` property. The value is an integer
+ * (milliseconds since the epoch) if the property's type in `jsonSchema` is `integer` or
+ * `number` and a `date-time` string otherwise.
+ *
+ * ```js
+ * Person.timestamps = {
+ *   createdAt: {property: 'createdAt', column: 'created_at'},
+ *   updatedAt: {property: 'updatedAt', column: 'updated_at'}
+ * };
+ * ```
+ *
+ * @type {Object}
+ */
+MoronModel.timestamps = null;
 
 MoronModel.jsonAttributes = null;
 MoronModel.relationMappings = null;
@@ -252,16 +632,23 @@ MoronModel.$$idProperty = null;
 MoronModel.$$relations = null;
 MoronModel.$$pickAttributes = null;
 MoronModel.$$omitAttributes = null;
+MoronModel.$$tableColumns = null;
 
 MoronModel.query = function (transaction) {
   var ModelClass = this;
 
   return MoronQueryBuilder
     .forClass(ModelClass)
-    .transacting(transaction || ModelClass.transaction)
+    .transacting(transaction || ModelClass.boundTransaction)
     .insertImpl(function (models) {
       ModelClass.$$insert(this, models);
     })
+    .insertWithRelatedImpl(function (models) {
+      ModelClass.$$insertWithRelated(this, models);
+    })
+    .upsertGraphImpl(function (models) {
+      ModelClass.$$upsertGraph(this, models);
+    })
     .updateImpl(function (update) {
       ModelClass.$$update(this, update);
     })
@@ -279,6 +666,17 @@ MoronModel.query = function (transaction) {
     });
 };
 
+/**
+ * @override
+ *
+ * The state of the created model is stored for `$changes`.
+ */
+MoronModel.fromDatabaseJson = function (json) {
+  var model = MoronModelBase.fromDatabaseJson.call(this, json);
+  model.$$snapshot();
+  return model;
+};
+
 MoronModel.ensureModel = function (model, options) {
   var ModelClass = this;
 
@@ -307,22 +705,54 @@ MoronModel.ensureModelArray = function (models, options) {
   });
 };
 
+/**
+ * Returns the name of the identifier property.
+ *
+ * Returns an array of property names if `idColumn` is an array.
+ *
+ * @returns {String|Array.<String>}
+ */
 MoronModel.getIdProperty = function () {
+  var ModelClass = this;
+
   if (!this.$$idProperty) {
-    this.$$idProperty = this.columnNameToPropertyName(this.idColumn);
+    this.$$idProperty = _.map(ensureArray(this.idColumn), function (idColumn) {
+      var idProperty = ModelClass.columnNameToPropertyName(idColumn);
 
-    if (!this.$$idProperty) {
-      throw new Error(this.name +
-        '.$parseDatabaseJson probably changes the value of the id column `' + this.idColumn +
-        '` which is a no-no.');
+      if (!idProperty) {
+        throw new Error(ModelClass.name +
+          '.$parseDatabaseJson probably changes the value of the id column `' + idColumn +
+          '` which is a no-no.');
+      }
+
+      return idProperty;
+    });
+
+    if (!_.isArray(this.idColumn)) {
+      this.$$idProperty = this.$$idProperty[0];
     }
   }
 
   return this.$$idProperty;
 };
 
+/**
+ * Returns the identifier column with the table name prepended.
+ *
+ * Returns an array of columns if `idColumn` is an array.
+ *
+ * @returns {String|Array.<String>}
+ */
 MoronModel.getFullIdColumn = function () {
-  return this.tableName + '.' + this.idColumn;
+  var tableName = this.tableName;
+
+  if (_.isArray(this.idColumn)) {
+    return _.map(this.idColumn, function (idColumn) {
+      return tableName + '.' + idColumn;
+    });
+  } else {
+    return tableName + '.' + this.idColumn;
+  }
 };
 
 /**
@@ -389,24 +819,69 @@ MoronModel.getJsonAttributes = function () {
   return this.jsonAttributes;
 };
 
+/**
+ * Creates a subclass of this class that is bound to the given knex instance.
+ *
+ * All queries created using the returned class (and instances of it) are executed using
+ * the given knex instance. The relations of the returned class are also bound to the knex
+ * instance, so a whole graph of models can be pointed to another database:
+ *
+ * ```js
+ * var knex1 = require('knex')({...});
+ * var knex2 = require('knex')({...});
+ *
+ * Person.bindKnex(knex1).query().then(function (persons) {
+ *   // `persons` were fetched from the first database.
+ * });
+ *
+ * Person.bindKnex(knex2).query().eager('pets').then(function (persons) {
+ *   // `persons` and their pets were fetched from the second database.
+ * });
+ * ```
+ *
+ * The bound classes are cached per knex instance, so calling this multiple times with the
+ * same knex instance returns the same class.
+ *
+ * @param {Object} knex
+ *    knex instance.
+ *
+ * @return {MoronModel}
+ */
 MoronModel.bindKnex = function (knex) {
-
+  return this.$$bind(knex, 'knex', 'bindKnex');
 };
 
+/**
+ * Creates a subclass of this class that is bound to the given transaction.
+ *
+ * All queries created using the returned class (and instances of it) are executed in
+ * the transaction. The relations of the returned class are also bound to the transaction
+ * so that `$relatedQuery` and eager loading work inside the transaction too.
+ *
+ * The bound classes are cached per transaction, so calling this multiple times with the
+ * same transaction returns the same class.
+ *
+ * @param {Object} transaction
+ *    knex transaction object.
+ *
+ * @return {MoronModel}
+ */
 MoronModel.bindTransaction = function (transaction) {
-
+  return this.$$bind(transaction, 'boundTransaction', 'bindTransaction');
 };
 
+MoronModel.transaction = MoronTransaction;
+
 MoronModel.knexQuery = function (transaction) {
-  return this.knex.table(this.tableName).transacting(transaction || this.transaction);
+  return this.knex.table(this.tableName).transacting(transaction || this.boundTransaction);
 };
 
 MoronModel.generateId = function () {
   return null;
 };
 
-MoronModel.loadRelated = function ($models, expression, transaction) {
-  transaction = transaction || this.transaction;
+MoronModel.loadRelated = function ($models, expression, transaction, filters) {
+  transaction = transaction || this.boundTransaction;
 
   if (!(expression instanceof MoronRelationExpression)) {
     expression = MoronRelationExpression.parse(expression);
@@ -420,7 +895,8 @@ MoronModel.loadRelated = function ($models, expression, transaction) {
     transaction: transaction,
     modelClass: this,
     models: this.ensureModelArray($models),
-    eager: expression
+    eager: expression,
+    filters: filters
   }).fetch().then(function (models) {
     return _.isArray($models) ? models : models[0];
   });
@@ -429,6 +905,7 @@ MoronModel.loadRelated = function ($models, expression, transaction) {
 MoronModel.$$insert = function (builder, $models) {
   var ModelClass = this;
   var models = ModelClass.ensureModelArray($models);
+  var versionProperty = ModelClass.versionColumn && ModelClass.columnNameToPropertyName(ModelClass.versionColumn);
 
   var json = _.map(models, function (model) {
     var id = ModelClass.generateId();
@@ -437,10 +914,33 @@ MoronModel.$$insert = function (builder, $models) {
       model.$id(id);
     }
 
-    return model.$toDatabaseJson();
+    if (versionProperty && isNullOrUndefined(model[versionProperty])) {
+      // The first version of a row.
+      model[versionProperty] = 1;
+    }
+
+    // The timestamps are only set to the model when the query is executed.
+    var insert = model.$clone();
+    setInsertTimestamps(ModelClass, insert, new Date());
+
+    return insert.$toDatabaseJson();
   });
 
-  return builder.insert(json).returning(ModelClass.getFullIdColumn()).runAfterModelCreatePushFront(function (ids) {
+  return builder.insert(json).returning(ModelClass.getFullIdColumn()).runBefore(function (result) {
+    var builder = this;
+    // All timestamps of an insert get the same value.
+    var now = new Date();
+
+    _.each(models, function (model) {
+      setInsertTimestamps(ModelClass, model, now);
+    });
+
+    return Promise.all(_.invoke(models, '$beforeInsert', builder.transaction())).then(function () {
+      // The hooks may have modified the models. Recreate the inserted rows.
+      builder.clear('insert').insert(_.invoke(models, '$toDatabaseJson'));
+      return result;
+    });
+  }).runAfterModelCreatePushFront(function (ids) {
     // TODO
     if (ids.length === 1 && models.length > 1) {
       var lastId = ids[0];
@@ -451,18 +951,73 @@ MoronModel.$$insert = function (builder, $models) {
     }
 
     _.each(models, function (model, idx) {
-      model.$id(ids[idx]);
+      var id = ids[idx];
+
+      if (id instanceof MoronModel) {
+        // Rows returned by a multi-column `returning` are converted into models.
+        id = id.$id();
+      }
+
+      // A single returned value cannot be mapped to a composite identifier. In that
+      // case the identifier must have been given in the inserted model.
+      if (!_.isArray(ModelClass.getIdProperty()) || _.isArray(id)) {
+        model.$id(id);
+      }
     });
 
-    if (_.isArray($models)) {
-      return models;
-    } else {
-      return models[0];
-    }
+    _.invoke(models, '$$snapshot');
+
+    return Promise.all(_.invoke(models, '$afterInsert', this.transaction())).then(function () {
+      if (_.isArray($models)) {
+        return models;
+      } else {
+        return models[0];
+      }
+    });
+  });
+};
+
+MoronModel.$$insertWithRelated = function (builder, $models) {
+  var ModelClass = this;
+  var models = ModelClass.ensureModelArray($models);
+
+  return builder.runBefore(function () {
+    var builder = this;
+
+    return new MoronGraphInserter({
+      modelClass: ModelClass,
+      models: models,
+      transaction: builder.transaction()
+    }).execute().then(function () {
+      builder.resolve(_.isArray($models) ? models : models[0]);
+    });
+  });
+};
+
+MoronModel.$$upsertGraph = function (builder, $models) {
+  var ModelClass = this;
+  var models = ModelClass.ensureModelArray($models);
+
+  return builder.runBefore(function () {
+    var builder = this;
+
+    return new MoronGraphUpserter({
+      modelClass: ModelClass,
+      models: models,
+      transaction: builder.transaction()
+    }).execute().then(function () {
+      builder.resolve(_.isArray($models) ? models : models[0]);
+    });
   });
 };
 
-MoronModel.$$update = function (builder, $update) {
+/**
+ * @param {MoronQueryBuilder} builder
+ * @param {Object|MoronModel} $update
+ * @param {MoronModel=} lockModel
+ *    The model whose row is updated. Its version is checked if `versionColumn` is set.
+ */
+MoronModel.$$update = function (builder, $update, lockModel) {
   if (!$update) {
     return builder;
   }
@@ -470,15 +1025,13 @@ MoronModel.$$update = function (builder, $update) {
   var ModelClass = this;
   $update = ModelClass.ensureModel($update);
 
-  var update = $update.$clone();
-  delete update[ModelClass.getIdProperty()];
-
-  return builder.update(update.$toDatabaseJson()).runAfterModelCreatePushFront(function () {
-    return $update;
-  });
+  return ModelClass.$$updateWithHooks(builder, $update, {}, lockModel);
 };
 
-MoronModel.$$patch = function (builder, $patch) {
+/**
+ * @see $$update
+ */
+MoronModel.$$patch = function (builder, $patch, lockModel) {
   if (!$patch) {
     return builder;
   }
@@ -486,18 +1039,199 @@ MoronModel.$$patch = function (builder, $patch) {
   var ModelClass = this;
   $patch = ModelClass.ensureModel($patch, {patch: true});
 
-  var patch = $patch.$clone();
-  delete patch[ModelClass.getIdProperty()];
+  return ModelClass.$$updateWithHooks(builder, $patch, {patch: true}, lockModel);
+};
+
+MoronModel.$$delete = function (builder, $model) {
+  if ($model) {
+    builder.runBefore(function (result) {
+      return Promise.resolve($model.$beforeDelete(this.transaction())).return(result);
+    });
+  }
+
+  var ModelClass = this;
+  var softDelete = ModelClass.softDelete;
+
+  if (softDelete) {
+    builder.update(softDelete.column, _.isFunction(softDelete.value) ? softDelete.value() : softDelete.value);
+  } else {
+    builder.delete();
+  }
+
+  return builder.runAfterModelCreatePushFront(function () {
+    if ($model) {
+      return Promise.resolve($model.$afterDelete(this.transaction())).return({});
+    } else {
+      return {};
+    }
+  });
+};
+
+/**
+ * Stores the current state of the model for `$changes`.
+ *
+ * @private
+ */
+MoronModel.prototype.$$snapshot = function () {
+  var ModelClass = this.constructor;
+  var json = {};
+
+  for (var key in this) {
+    // Relations are skipped without `getRelations` because this is also called
+    // while the relations are being created.
+    if (ModelClass.hasOwnJsonProperty(this, key) && !isModelValue(this[key])) {
+      json[key] = ModelClass.deepCloneJson(this[key]);
+    }
+  }
+
+  setSavedJson(this, json);
+};
+
+/**
+ * @private
+ */
+MoronModel.$$normalizeIds = function ($ids) {
+  if (_.isArray(this.getIdProperty())) {
+    // A single composite identifier is an array of values.
+    return _.isArray(_.first($ids)) ? $ids : [$ids];
+  } else {
+    return _.flatten([$ids]);
+  }
+};
+
+/**
+ * @private
+ */
+MoronModel.$$updateWithHooks = function (builder, model, options, lockModel) {
+  var ModelClass = this;
+  var versionProperty = ModelClass.versionColumn && ModelClass.columnNameToPropertyName(ModelClass.versionColumn);
+  var version = lockModel && versionProperty ? lockModel[versionProperty] : null;
+  var isLocked = !isNullOrUndefined(version);
+  var updatedAtProperty = null;
+
+  var toUpdateJson = function (setUpdatedAt) {
+    var update = model.$clone();
+
+    if (setUpdatedAt) {
+      ModelClass.$$setTimestamp(update, 'updatedAt', true);
+    }
+
+    _.each(ensureArray(ModelClass.getIdProperty()), function (idProperty) {
+      delete update[idProperty];
+    });
+
+    if (isLocked) {
+      update[versionProperty] = version + 1;
+    }
+
+    return update.$toDatabaseJson();
+  };
+
+  if (isLocked) {
+    builder.where(ModelClass.tableName + '.' + ModelClass.versionColumn, version);
+  }
+
+  // The timestamp is only set to the model when the query is executed.
+  return builder.update(toUpdateJson(true)).runBefore(function (result) {
+    var builder = this;
+    updatedAtProperty = ModelClass.$$setTimestamp(model, 'updatedAt', true);
+
+    return Promise.resolve(model.$beforeUpdate(builder.transaction(), options)).then(function () {
+      // The hook may have modified the model. Recreate the update.
+      builder.clear('update').update(toUpdateJson());
+      return result;
+    });
+  }).runAfterModelCreatePushFront(function (numUpdated) {
+    if (isLocked) {
+      if (numUpdated === 0) {
+        throw new MoronConcurrencyError(ModelClass.name + ' ' + JSON.stringify(lockModel.$id()) + ' has been modified since version ' + version);
+      }
+
+      model[versionProperty] = lockModel[versionProperty] = version + 1;
+
+      if (lockModel !== model && lockModel.$$savedJson) {
+        lockModel.$$savedJson[versionProperty] = version + 1;
+      }
+    }
+
+    if (updatedAtProperty && lockModel && lockModel !== model) {
+      lockModel[updatedAtProperty] = model[updatedAtProperty];
+
+      if (lockModel.$$savedJson) {
+        lockModel.$$savedJson[updatedAtProperty] = model[updatedAtProperty];
+      }
+    }
 
-  return builder.update(patch.$toDatabaseJson()).runAfterModelCreatePushFront(function () {
-    return $patch;
+    model.$$snapshot();
+    return Promise.resolve(model.$afterUpdate(this.transaction(), options)).return(model);
   });
 };
 
-MoronModel.$$delete = function (builder) {
-  return builder.delete().runAfterModelCreatePushFront(function () {
-    return {};
+/**
+ * Sets the `timestamps[name]` property of `model` to the current time or to `now`.
+ *
+ * @param {MoronModel} model
+ * @param {String} name
+ *    `createdAt` or `updatedAt`.
+ * @param {Boolean} overwrite
+ *    If false, the property is only set if it has no value.
+ * @param {Date=} now
+ *    The time to use instead of the current time.
+ * @returns {String}
+ *    The name of the property or null if the timestamp is not configured.
+ * @private
+ */
+MoronModel.$$setTimestamp = function (model, name, overwrite, now) {
+  var timestamp = this.timestamps && this.timestamps[name];
+
+  if (!timestamp) {
+    return null;
+  }
+
+  var property = timestamp.property || this.columnNameToPropertyName(timestamp.column);
+
+  if (overwrite || isNullOrUndefined(model[property])) {
+    model[property] = formatTime(this, property, now || new Date());
+  }
+
+  return property;
+};
+
+/**
+ * @private
+ */
+MoronModel.$$bind = function (knexOrTransaction, propertyName, relationBindMethod) {
+  var ModelClass = this;
+
+  if (!knexOrTransaction.$$moronBoundModels) {
+    knexOrTransaction.$$moronBoundModels = [];
+  }
+
+  var cached = _.find(knexOrTransaction.$$moronBoundModels, {modelClass: ModelClass});
+
+  if (cached) {
+    return cached.boundModelClass;
+  }
+
+  var BoundModelClass = ModelClass.makeSubclass(function BoundModel() {
+    ModelClass.apply(this, arguments);
+  });
+
+  BoundModelClass[propertyName] = knexOrTransaction;
+
+  // Add the class to the cache before binding the relations. This way the
+  // recursion ends when a relation points back to this class.
+  knexOrTransaction.$$moronBoundModels.push({
+    modelClass: ModelClass,
+    boundModelClass: BoundModelClass
   });
+
+  BoundModelClass.$$relations = _.reduce(ModelClass.getRelations(), function (relations, relation, relationName) {
+    relations[relationName] = relation[relationBindMethod](knexOrTransaction);
+    return relations;
+  }, Object.create(null));
+
+  return BoundModelClass;
 };
 
 MoronModel.$$omitNonColumns = function (json) {
@@ -527,6 +1261,59 @@ MoronModel.$$omitRelations = function (json) {
   return json;
 };
 
+/**
+ * Fetches the column names of the table. The names are cached after the first call.
+ *
+ * @private
+ */
+MoronModel.$$fetchTableColumns = function (transaction) {
+  var ModelClass = this;
+
+  // Subclasses inherit the cache of the parent class. Only use it if the table is the same.
+  if (this.$$tableColumns && this.$$tableColumns.tableName === this.tableName) {
+    return Promise.resolve(this.$$tableColumns.columns);
+  }
+
+  return Promise.resolve(this.knexQuery(transaction).columnInfo()).then(function (columnInfo) {
+    ModelClass.$$tableColumns = {tableName: ModelClass.tableName, columns: _.keys(columnInfo)};
+    return ModelClass.$$tableColumns.columns;
+  });
+};
+
+function setSavedJson(model, json) {
+  // Not enumerable so that the stored state doesn't show up in the model's properties.
+  Object.defineProperty(model, '$$savedJson', {
+    value: json,
+    enumerable: false,
+    writable: true,
+    configurable: true
+  });
+}
+
+function isModelValue(value) {
+  return value instanceof MoronModel || (_.isArray(value) && value[0] instanceof MoronModel);
+}
+
+function setInsertTimestamps(ModelClass, model, now) {
+  ModelClass.$$setTimestamp(model, 'createdAt', false, now);
+  ModelClass.$$setTimestamp(model, 'updatedAt', false, now);
+}
+
+function formatTime(ModelClass, property, time) {
+  var schema = ModelClass.jsonSchema && ModelClass.jsonSchema.properties && ModelClass.jsonSchema.properties[property];
+  var types = schema ? ensureArray(schema.type) : [];
+
+  if (_.contains(types, 'integer') || _.contains(types, 'number')) {
+    return time.getTime();
+  } else {
+    return time.toISOString();
+  }
+}
+
+function isNullOrUndefined(value) {
+  return _.isNull(value) || _.isUndefined(value);
+}
+
 function ensureArray(obj) {
   if (_.isArray(obj)) {
     return obj;
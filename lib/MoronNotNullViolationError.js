@@ -0,0 +1,18 @@
+var util = require('util')
+  , MoronDbError = require('./MoronDbError');
+
+/**
+ * Error of a query that would have set a non-nullable column to null.
+ *
+ * @extends MoronDbError
+ */
+function MoronNotNullViolationError(nativeError, info) {
+  MoronDbError.call(this, nativeError, info);
+  Error.captureStackTrace(this, arguments.callee);
+
+  this.statusCode = 422;
+}
+
+util.inherits(MoronNotNullViolationError, MoronDbError);
+
+module.exports = MoronNotNullViolationError;
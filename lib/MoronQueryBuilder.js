@@ -3,7 +3,13 @@
 var _ = require('lodash')
   , Promise = require('bluebird')
   , MoronRelationExpression = require('./MoronRelationExpression')
-  , MoronValidationError = require('./MoronValidationError');
+  , MoronJoinEagerFetcher = require('./MoronJoinEagerFetcher')
+  , MoronValidationError = require('./MoronValidationError')
+  , MoronDbError = require('./MoronDbError')
+  , MoronUniqueViolationError = require('./MoronUniqueViolationError')
+  , MoronForeignKeyViolationError = require('./MoronForeignKeyViolationError')
+  , MoronNotNullViolationError = require('./MoronNotNullViolationError')
+  , MoronCheckViolationError = require('./MoronCheckViolationError');
 
 /**
  *
@@ -12,10 +18,10 @@ var _ = require('lodash')
  *  [defined by insertImpl etc.]
  *               |
  *               ▼
- *          [build query]
+ *           runBefore
  *               |
  *               ▼
- *           runBefore
+ *          [build query]
  *               |
  *               ▼
  *         [execute query]
@@ -39,7 +45,7 @@ var _ = require('lodash')
  */
 function MoronQueryBuilder(modelClass) {
   this._modelClass = modelClass;
-  this._transaction = modelClass.transaction || null;
+  this._transaction = modelClass.boundTransaction || null;
   this._knexCalls = {};
   this._explicitResolveValue = null;
 
@@ -50,6 +56,8 @@ function MoronQueryBuilder(modelClass) {
 
   this._findImpl = null;
   this._insertImpl = null;
+  this._insertWithRelatedImpl = null;
+  this._upsertGraphImpl = null;
   this._updateImpl = null;
   this._patchImpl = null;
   this._deleteImpl = null;
@@ -57,7 +65,13 @@ function MoronQueryBuilder(modelClass) {
   this._unrelateImpl = null;
 
   this._eagerExpression = null;
+  this._eagerFilters = null;
+  this._eagerAlgorithm = 'whereIn';
   this._allowedEagerExpression = null;
+  this._relationsJoined = false;
+  this._relationAggregates = [];
+  this._deletedRows = 'exclude';
+  this._tableName = this._modelClass.tableName;
 }
 
 MoronQueryBuilder.forClass = function (modelClass) {
@@ -119,6 +133,16 @@ MoronQueryBuilder.prototype.insertImpl = function (insertImpl) {
   return this;
 };
 
+MoronQueryBuilder.prototype.insertWithRelatedImpl = function (insertWithRelatedImpl) {
+  this._insertWithRelatedImpl = insertWithRelatedImpl;
+  return this;
+};
+
+MoronQueryBuilder.prototype.upsertGraphImpl = function (upsertGraphImpl) {
+  this._upsertGraphImpl = upsertGraphImpl;
+  return this;
+};
+
 MoronQueryBuilder.prototype.updateImpl = function (updateImpl) {
   this._updateImpl = updateImpl;
   return this;
@@ -149,8 +173,40 @@ MoronQueryBuilder.prototype.transacting = function (transaction) {
   return this;
 };
 
-MoronQueryBuilder.prototype.eager = function (exp) {
+/**
+ * Fetches relations eagerly for the result models.
+ *
+ * Relations in the expression can be given named filters as arguments:
+ * `children(onlyActive, orderByName).pets(dogs)`. The names are resolved from the
+ * `filters` object and each filter is called with the `MoronQueryBuilder` of the
+ * relation query.
+ *
+ * A relation can be fetched multiple times into different properties using aliases:
+ * `[pets(dogs) as dogs, pets(cats) as cats]`.
+ *
+ * Recursive relations can be given a depth limit: `parent.^3` fetches at most three
+ * levels of parents.
+ *
+ * ```js
+ * Person
+ *   .query()
+ *   .eager('children(orderByName).pets(dogs)', {
+ *     orderByName: function (builder) {
+ *       builder.orderBy('name');
+ *     },
+ *     dogs: function (builder) {
+ *       builder.where('species', 'dog');
+ *     }
+ *   })
+ * ```
+ *
+ * @param {String|MoronRelationExpression|function} exp
+ * @param {Object.<String, function(MoronQueryBuilder)>=} filters
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.eager = function (exp, filters) {
   this._eagerExpression = _.isFunction(exp) ? exp.call(this) : (exp || null);
+  this._eagerFilters = filters || null;
 
   if (_.isString(this._eagerExpression)) {
     this._eagerExpression = MoronRelationExpression.parse(this._eagerExpression);
@@ -165,6 +221,35 @@ MoronQueryBuilder.prototype.eager = function (exp) {
   return this;
 };
 
+/**
+ * Sets the algorithm used to fetch the relations of the eager expression.
+ *
+ * `whereIn` (the default) fetches each relation with a separate query using the
+ * identifiers of the owner models. `join` fetches the whole expression in the same
+ * query using joins. See `MoronJoinEagerFetcher` for the details and the limitations.
+ *
+ * ```js
+ * Person
+ *   .query()
+ *   .eager('[pets, children.pets]')
+ *   .eagerAlgorithm('join')
+ *   .where('children:pets.species', 'dog')
+ * ```
+ *
+ * @param {String} algorithm
+ *    `whereIn` or `join`.
+ *
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.eagerAlgorithm = function (algorithm) {
+  if (algorithm !== 'whereIn' && algorithm !== 'join') {
+    throw new Error('unknown eager algorithm "' + algorithm + '"');
+  }
+
+  this._eagerAlgorithm = algorithm;
+  return this;
+};
+
 MoronQueryBuilder.prototype.allowEager = function (exp) {
   this._allowedEagerExpression = _.isFunction(exp) ? exp.call(this) : (exp || null);
 
@@ -182,7 +267,7 @@ MoronQueryBuilder.prototype.allowEager = function (exp) {
 };
 
 MoronQueryBuilder.prototype.call = function (func) {
-  func.call(this);
+  func.call(this, this);
   return this;
 };
 
@@ -196,11 +281,14 @@ MoronQueryBuilder.prototype.transaction = function () {
 
 MoronQueryBuilder.prototype.isFindQuery = function () {
   return _.isEmpty(this._knexCalls.insert) &&
+    _.isEmpty(this._knexCalls.insertWithRelated) &&
+    _.isEmpty(this._knexCalls.upsertGraph) &&
     _.isEmpty(this._knexCalls.update) &&
     _.isEmpty(this._knexCalls.patch) &&
     _.isEmpty(this._knexCalls.delete) &&
     _.isEmpty(this._knexCalls.relate) &&
-    _.isEmpty(this._knexCalls.unrelate);
+    _.isEmpty(this._knexCalls.unrelate) &&
+    _.isEmpty(this._knexCalls.restore);
 };
 
 MoronQueryBuilder.prototype.toString = function () {
@@ -219,6 +307,8 @@ MoronQueryBuilder.prototype.dumpSql = function (logger) {
 MoronQueryBuilder.prototype.clone = function () {
   var clone = new this.constructor(this._modelClass);
 
+  clone._transaction = this._transaction;
+
   // Simple two-level deep copy.
   clone._knexCalls = _.mapValues(this._knexCalls, function (calls) {
     return _.map(calls, _.identity);
@@ -231,13 +321,21 @@ MoronQueryBuilder.prototype.clone = function () {
   clone._runAfter = _.map(this._runAfter, _.identity);
   clone._findImpl = this._findImpl;
   clone._insertImpl = this._insertImpl;
+  clone._insertWithRelatedImpl = this._insertWithRelatedImpl;
+  clone._upsertGraphImpl = this._upsertGraphImpl;
   clone._updateImpl = this._updateImpl;
   clone._patchImpl = this._patchImpl;
   clone._deleteImpl = this._deleteImpl;
   clone._relateImpl = this._relateImpl;
   clone._unrelateImpl = this._unrelateImpl;
   clone._eagerExpression = this._eagerExpression;
+  clone._eagerFilters = this._eagerFilters;
+  clone._eagerAlgorithm = this._eagerAlgorithm;
   clone._allowedEagerExpression = this._allowedEagerExpression;
+  clone._relationsJoined = this._relationsJoined;
+  clone._relationAggregates = this._relationAggregates.slice();
+  clone._deletedRows = this._deletedRows;
+  clone._tableName = this._tableName;
 
   return clone;
 };
@@ -245,6 +343,8 @@ MoronQueryBuilder.prototype.clone = function () {
 MoronQueryBuilder.prototype.clearCustomImpl = function () {
   this._findImpl = null;
   this._insertImpl = null;
+  this._insertWithRelatedImpl = null;
+  this._upsertGraphImpl = null;
   this._updateImpl = null;
   this._patchImpl = null;
   this._deleteImpl = null;
@@ -263,6 +363,7 @@ MoronQueryBuilder.prototype.clearAllBut = function () {
     }
   });
 
+  resetTableName(this);
   return this;
 };
 
@@ -275,6 +376,7 @@ MoronQueryBuilder.prototype.clear = function () {
     this._knexCalls = {};
   }
 
+  resetTableName(this);
   return this;
 };
 
@@ -337,99 +439,17 @@ MoronQueryBuilder.prototype.build = function () {
 };
 
 MoronQueryBuilder.build = function (builder) {
-  var isFindQuery = builder.isFindQuery();
-
-  var inserts = builder._knexCalls.insert;
-  var updates = builder._knexCalls.update;
-  var patches = builder._knexCalls.patch;
-  var deletes = builder._knexCalls.delete;
-  var relates = builder._knexCalls.relate;
-  var unrelates = builder._knexCalls.unrelate;
-
-  if (builder._insertImpl) {
-    builder._knexCalls.insert = [];
-  }
-
-  if (builder._updateImpl) {
-    builder._knexCalls.update = [];
-  }
-
-  if (builder._patchImpl) {
-    builder._knexCalls.patch = [];
-  }
-
-  if (builder._deleteImpl) {
-    builder._knexCalls.delete = [];
-  }
-
-  if (builder._relateImpl) {
-    builder._knexCalls.relate = [];
-  }
-
-  if (builder._unrelateImpl) {
-    builder._knexCalls.unrelate = [];
-  }
-
-  if (builder._insertImpl) {
-    _.each(inserts, function (args) {
-      builder._insertImpl.apply(builder, args);
-    });
-  }
-
-  if (builder._updateImpl) {
-    _.each(updates, function (args) {
-      builder._updateImpl.apply(builder, args);
-    });
-  }
-
-  if (builder._patchImpl) {
-    _.each(patches, function (args) {
-      builder._patchImpl.apply(builder, args);
-    });
-  }
-
-  if (builder._deleteImpl) {
-    _.each(deletes, function (args) {
-      builder._deleteImpl.apply(builder, args);
-    });
-  }
-
-  if (builder._relateImpl) {
-    _.each(relates, function (args) {
-      builder._relateImpl.apply(builder, args);
-    });
-  }
-
-  if (builder._unrelateImpl) {
-    _.each(unrelates, function (args) {
-      builder._unrelateImpl.apply(builder, args);
-    });
-  }
-
-  if (builder._findImpl && isFindQuery) {
-    builder._findImpl.call(builder);
-  }
-
-  var knexBuilder = builder._modelClass.knexQuery(builder._transaction);
-
-  _.each(builder._knexCalls, function (calls, methodName) {
-    if (_.isFunction(knexBuilder[methodName])) {
-      _.each(calls, function (args) {
-        knexBuilder[methodName].apply(knexBuilder, args);
-      });
-    }
-  });
-
-  return knexBuilder;
+  callCustomImpl(builder);
+  return buildKnexQuery(builder);
 };
 
 MoronQueryBuilder.prototype._execute = function () {
   var builder = this.clone();
   var promise = Promise.resolve();
-  var knexBuilder = null;
+  var joinEagerFetcher = createJoinEagerFetcher(builder);
 
   if (!builder._explicitResolveValue) {
-    knexBuilder = builder.constructor.build(builder);
+    callCustomImpl(builder);
   }
 
   _.each(builder._runBefore, function (func) {
@@ -438,8 +458,16 @@ MoronQueryBuilder.prototype._execute = function () {
     });
   });
 
+  // The knex query is built after the runBefore methods have been executed
+  // so that they can still modify the query (for example the data to insert).
   promise = promise.then(function () {
-    return builder._explicitResolveValue || knexBuilder;
+    if (builder._explicitResolveValue) {
+      return builder._explicitResolveValue;
+    } else if (joinEagerFetcher) {
+      return joinEagerFetch(builder, joinEagerFetcher);
+    } else {
+      return buildKnexQuery(builder);
+    }
   });
 
   _.each(builder._runAfterKnexQuery, function (func) {
@@ -459,7 +487,8 @@ MoronQueryBuilder.prototype._execute = function () {
   });
 
   promise = promise.then(function (models) {
-    return eagerFetch(builder, models);
+    // The join algorithm fetches the relations already in the main query.
+    return joinEagerFetcher ? models : eagerFetch(builder, models);
   });
 
   _.each(builder._runAfter, function (func) {
@@ -468,7 +497,10 @@ MoronQueryBuilder.prototype._execute = function () {
     });
   });
 
-  return promise;
+  return promise.catch(function (err) {
+    // Constraint violations are converted into `MoronDbError` subclasses.
+    throw wrapDbError(err);
+  });
 };
 
 MoronQueryBuilder.prototype.pluck = function () {
@@ -494,7 +526,274 @@ MoronQueryBuilder.prototype.first = function () {
   });
 };
 
+/**
+ * Where clause for a single column or for multiple columns.
+ *
+ * ```js
+ * builder.whereComposite('Person.id', 1);
+ * builder.whereComposite(['Person.tenantId', 'Person.id'], [1, 2]);
+ * ```
+ *
+ * @param {String|Array.<String>} columns
+ * @param {*|Array.<*>} values
+ *    A value or an array of values in the same order as `columns`.
+ */
+MoronQueryBuilder.prototype.whereComposite = function (columns, values) {
+  if (!_.isArray(columns)) {
+    return this.where(columns, values);
+  }
+
+  for (var i = 0, l = columns.length; i < l; ++i) {
+    this.where(columns[i], values[i]);
+  }
+
+  return this;
+};
+
+/**
+ * Where in clause for a single column or for multiple columns.
+ *
+ * ```js
+ * builder.whereInComposite('Person.id', [1, 2, 3]);
+ * builder.whereInComposite(['Person.tenantId', 'Person.id'], [[1, 2], [1, 3]]);
+ * builder.whereInComposite(['Person.tenantId', 'Person.id'], knexSubQuery);
+ * ```
+ *
+ * Multiple columns are compared as tuples: `(a, b) in ((1, 2), (1, 3))`. SQLite doesn't
+ * support tuple lists and the comparison is made using OR-ed ANDs instead.
+ *
+ * @param {String|Array.<String>} columns
+ * @param {Array.<*>|Array.<Array.<*>>|Object} values
+ *    An array of values, an array of value arrays in the same order as `columns` or
+ *    a knex query builder that selects the columns.
+ */
+MoronQueryBuilder.prototype.whereInComposite = function (columns, values) {
+  if (!_.isArray(columns)) {
+    return this.whereIn(columns, values);
+  }
+
+  if (columns.length === 1) {
+    return this.whereIn(columns[0], _.isArray(values) ? _.map(values, _.first) : values);
+  }
+
+  if (!_.isArray(values)) {
+    return whereInCompositeSubQuery(this, columns, values);
+  }
+
+  if (_.isEmpty(values)) {
+    return this.whereRaw('1 = 0');
+  }
+
+  if (this._modelClass.knex.client.dialect === 'sqlite3') {
+    return this.where(function () {
+      var knexBuilder = this;
+
+      _.each(values, function (value) {
+        knexBuilder.orWhere(function () {
+          for (var i = 0, l = columns.length; i < l; ++i) {
+            this.where(columns[i], value[i]);
+          }
+        });
+      });
+    });
+  }
+
+  return this.whereIn(columns, values);
+};
+
+/**
+ * Joins the related tables of a relation expression using inner joins.
+ *
+ * The joins are created from the relation mappings. The joined tables are aliased
+ * by the relation names. Nested relations are aliased by the path separated by `:`.
+ *
+ * ```js
+ * Person
+ *   .query()
+ *   .joinRelation('[pets, movies.actors]')
+ *   .where('pets.name', 'Fluffy')
+ *   .where('movies:actors.name', 'Arnold')
+ * ```
+ *
+ * The relations can also be aliased: `pets as p`. If no columns are selected, only the
+ * columns of the model table are selected. Note that joining `MoronHasManyRelation`s
+ * and `MoronManyToManyRelation`s can return the same model multiple times.
+ *
+ * @param {String|MoronRelationExpression} relationExpression
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.joinRelation = function (relationExpression) {
+  return joinRelation(this, relationExpression, 'join');
+};
+
+/**
+ * Like `joinRelation` but uses left joins.
+ *
+ * @param {String|MoronRelationExpression} relationExpression
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.leftJoinRelation = function (relationExpression) {
+  return joinRelation(this, relationExpression, 'leftJoin');
+};
+
+/**
+ * Adds a `where exists` clause with a subquery that selects the related rows.
+ *
+ * The subquery is created from the relation mappings. The optional callback is called
+ * with the `MoronQueryBuilder` of the subquery. The related table is aliased by the
+ * relation name.
+ *
+ * ```js
+ * Person
+ *   .query()
+ *   .whereExistsRelated('pets', function (builder) {
+ *     builder.where('pets.name', 'Fluffy');
+ *   })
+ * ```
+ *
+ * Nested relations like `movies.actors` create nested subqueries. The callback is
+ * called for the last one.
+ *
+ * @param {String} relationPath
+ * @param {function(MoronQueryBuilder)=} callback
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.whereExistsRelated = function (relationPath, callback) {
+  var ModelClass = this._modelClass;
+  return this.whereExists(relatedSubQuery(ModelClass, ModelClass.tableName, null, relationPath.split('.'), callback));
+};
+
+/**
+ * Selects the number of related models of each model.
+ *
+ * The count is selected using a correlated subquery so that the related models don't
+ * need to be fetched. The count is stored to property `relationName + 'Count'` by
+ * default:
+ *
+ * ```js
+ * Person
+ *   .query()
+ *   .withCount('pets')
+ *   .then(function (persons) {
+ *     console.log(persons[0].petsCount);
+ *   });
+ * ```
+ *
+ * If no columns are selected, all columns of the model table are selected.
+ *
+ * @param {String} relationName
+ * @param {String=} propertyName
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.withCount = function (relationName, propertyName) {
+  return relationAggregate(this, 'count', relationName, '*', propertyName);
+};
+
+/**
+ * Selects the sum of a column of the related models of each model.
+ *
+ * The sum is stored to property `relationName + 'Sum' + ColumnName` by default. For example
+ * `withSum('orders', 'amount')` creates property `ordersSumAmount`. The related table is
+ * aliased by the relation name.
+ *
+ * @see withCount
+ * @param {String} relationName
+ * @param {String} column
+ * @param {String=} propertyName
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.withSum = function (relationName, column, propertyName) {
+  return relationAggregate(this, 'sum', relationName, column, propertyName);
+};
+
+/**
+ * Like `withSum` but selects the average.
+ *
+ * @see withSum
+ * @param {String} relationName
+ * @param {String} column
+ * @param {String=} propertyName
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.withAvg = function (relationName, column, propertyName) {
+  return relationAggregate(this, 'avg', relationName, column, propertyName);
+};
+
+/**
+ * Like `withSum` but selects the minimum.
+ *
+ * @see withSum
+ * @param {String} relationName
+ * @param {String} column
+ * @param {String=} propertyName
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.withMin = function (relationName, column, propertyName) {
+  return relationAggregate(this, 'min', relationName, column, propertyName);
+};
+
+/**
+ * Like `withSum` but selects the maximum.
+ *
+ * @see withSum
+ * @param {String} relationName
+ * @param {String} column
+ * @param {String=} propertyName
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.withMax = function (relationName, column, propertyName) {
+  return relationAggregate(this, 'max', relationName, column, propertyName);
+};
+
+/**
+ * Makes the query also select, update or delete the soft deleted rows.
+ *
+ * By default queries only see the rows of models that have `softDelete` set if they
+ * haven't been deleted.
+ *
+ * @see MoronModel.softDelete
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.withDeleted = function () {
+  this._deletedRows = 'include';
+  return this;
+};
+
+/**
+ * Makes the query select only the soft deleted rows.
+ *
+ * @see MoronModel.softDelete
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.onlyDeleted = function () {
+  this._deletedRows = 'only';
+  return this;
+};
+
+/**
+ * Restores the soft deleted rows that match the query.
+ *
+ * ```js
+ * Person.query().restore().where('id', 1).then(function (numRestored) {
+ *   // update "Person" set "deletedAt" = NULL where "id" = 1 and "deletedAt" is not null
+ * });
+ * ```
+ *
+ * @see MoronModel.softDelete
+ * @returns {MoronQueryBuilder}
+ */
+MoronQueryBuilder.prototype.restore = function () {
+  if (!this._modelClass.softDelete) {
+    throw new Error(this._modelClass.name + '.softDelete is not set');
+  }
+
+  this._knexCalls.restore = [[]];
+  return this.onlyDeleted();
+};
+
 MoronQueryBuilder.prototype.insert            = queryMethod('insert');
+MoronQueryBuilder.prototype.insertWithRelated = queryMethod('insertWithRelated');
+MoronQueryBuilder.prototype.upsertGraph       = queryMethod('upsertGraph');
 MoronQueryBuilder.prototype.update            = queryMethod('update');
 MoronQueryBuilder.prototype.patch             = queryMethod('patch');
 MoronQueryBuilder.prototype.delete            = queryMethod('delete');
@@ -504,9 +803,9 @@ MoronQueryBuilder.prototype.unrelate          = queryMethod('unrelate');
 MoronQueryBuilder.prototype.select            = queryMethod('select');
 MoronQueryBuilder.prototype.columns           = queryMethod('columns');
 MoronQueryBuilder.prototype.column            = queryMethod('column');
-MoronQueryBuilder.prototype.from              = queryMethod('from');
-MoronQueryBuilder.prototype.into              = queryMethod('into');
-MoronQueryBuilder.prototype.table             = queryMethod('table');
+MoronQueryBuilder.prototype.from              = tableMethod('from');
+MoronQueryBuilder.prototype.into              = tableMethod('into');
+MoronQueryBuilder.prototype.table             = tableMethod('table');
 MoronQueryBuilder.prototype.distinct          = queryMethod('distinct');
 MoronQueryBuilder.prototype.join              = queryMethod('join');
 MoronQueryBuilder.prototype.innerJoin         = queryMethod('innerJoin');
@@ -568,6 +867,418 @@ function queryMethod(methodName) {
   };
 }
 
+function tableMethod(methodName) {
+  var method = queryMethod(methodName);
+
+  return function (table) {
+    // Subqueries are not tables. Aliased tables are not the model table.
+    this._tableName = _.isString(table) ? table : null;
+    return method.apply(this, arguments);
+  };
+}
+
+function resetTableName(builder) {
+  var tableCalls = _.filter([].concat(
+    builder._knexCalls.from || [],
+    builder._knexCalls.into || [],
+    builder._knexCalls.table || []
+  ), _.negate(_.isEmpty));
+
+  if (_.isEmpty(tableCalls)) {
+    builder._tableName = builder._modelClass.tableName;
+  }
+}
+
+function callCustomImpl(builder) {
+  var isFindQuery = builder.isFindQuery();
+
+  var inserts = builder._knexCalls.insert;
+  var insertsWithRelated = builder._knexCalls.insertWithRelated;
+  var upserts = builder._knexCalls.upsertGraph;
+  var updates = builder._knexCalls.update;
+  var patches = builder._knexCalls.patch;
+  var deletes = builder._knexCalls.delete;
+  var relates = builder._knexCalls.relate;
+  var unrelates = builder._knexCalls.unrelate;
+
+  if (builder._insertImpl) {
+    builder._knexCalls.insert = [];
+  }
+
+  if (builder._insertWithRelatedImpl) {
+    builder._knexCalls.insertWithRelated = [];
+  }
+
+  if (builder._upsertGraphImpl) {
+    builder._knexCalls.upsertGraph = [];
+  }
+
+  if (builder._updateImpl) {
+    builder._knexCalls.update = [];
+  }
+
+  if (builder._patchImpl) {
+    builder._knexCalls.patch = [];
+  }
+
+  if (builder._deleteImpl) {
+    builder._knexCalls.delete = [];
+  }
+
+  if (builder._relateImpl) {
+    builder._knexCalls.relate = [];
+  }
+
+  if (builder._unrelateImpl) {
+    builder._knexCalls.unrelate = [];
+  }
+
+  if (builder._insertImpl) {
+    _.each(inserts, function (args) {
+      builder._insertImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._insertWithRelatedImpl) {
+    _.each(insertsWithRelated, function (args) {
+      builder._insertWithRelatedImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._upsertGraphImpl) {
+    _.each(upserts, function (args) {
+      builder._upsertGraphImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._updateImpl) {
+    _.each(updates, function (args) {
+      builder._updateImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._patchImpl) {
+    _.each(patches, function (args) {
+      builder._patchImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._deleteImpl) {
+    _.each(deletes, function (args) {
+      builder._deleteImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._relateImpl) {
+    _.each(relates, function (args) {
+      builder._relateImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._unrelateImpl) {
+    _.each(unrelates, function (args) {
+      builder._unrelateImpl.apply(builder, args);
+    });
+  }
+
+  if (builder._findImpl && isFindQuery) {
+    builder._findImpl.call(builder);
+  }
+}
+
+function whereInCompositeSubQuery(builder, columns, subQuery) {
+  var placeholders = [];
+  var bindings = [];
+
+  // Each part of a `Table.column` reference needs its own identifier binding.
+  _.each(columns, function (column) {
+    var parts = column.split('.');
+    placeholders.push(_.map(parts, _.constant('??')).join('.'));
+    bindings.push.apply(bindings, parts);
+  });
+
+  bindings.push(subQuery);
+  return builder.whereRaw('(' + placeholders.join(', ') + ') in (?)', bindings);
+}
+
+function joinRelation(builder, expression, joinOperation) {
+  if (!(expression instanceof MoronRelationExpression)) {
+    expression = MoronRelationExpression.parse(expression);
+  }
+
+  var ModelClass = builder._modelClass;
+
+  builder._relationsJoined = true;
+  joinRelationNodes(builder, ModelClass, ModelClass.tableName, null, expression, joinOperation);
+
+  return builder;
+}
+
+function joinRelationNodes(builder, ModelClass, ownerTable, parentAlias, expression, joinOperation) {
+  _.each(expression.nodes, function (node) {
+    var key = node.alias || node.name;
+
+    if (expression.maxRecursionDepth(key) === Infinity) {
+      throw new Error('cannot join recursive relation expressions without a depth limit');
+    }
+
+    var relation = joinableRelation(ModelClass, node.name);
+    var alias = parentAlias ? parentAlias + ':' + key : key;
+
+    relation.join(builder, {
+      joinOperation: joinOperation,
+      ownerTable: ownerTable,
+      relatedTableAlias: alias
+    });
+
+    joinRelationNodes(builder, relation.relatedModelClass, alias, alias, expression.relation(key), joinOperation);
+  });
+}
+
+function relatedSubQuery(ModelClass, ownerTable, parentAlias, relationNames, callback) {
+  var relation = joinableRelation(ModelClass, relationNames[0]);
+  var RelatedModelClass = relation.relatedModelClass;
+  var alias = parentAlias ? parentAlias + ':' + relation.name : relation.name;
+  var subQuery = MoronQueryBuilder.forClass(RelatedModelClass).select(RelatedModelClass.knex.raw('1'));
+
+  relation.correlatedQuery(subQuery, {
+    ownerTable: ownerTable,
+    relatedTableAlias: alias
+  });
+
+  if (relationNames.length > 1) {
+    subQuery.whereExists(relatedSubQuery(RelatedModelClass, alias, alias, _.rest(relationNames), callback));
+  } else if (callback) {
+    subQuery.call(callback);
+  }
+
+  return subQuery.build();
+}
+
+function relationAggregate(builder, aggregate, relationName, column, propertyName) {
+  var ModelClass = builder._modelClass;
+  var relation = joinableRelation(ModelClass, relationName);
+  var RelatedModelClass = relation.relatedModelClass;
+  var knex = RelatedModelClass.knex;
+
+  if (!propertyName) {
+    if (aggregate === 'count') {
+      propertyName = relationName + 'Count';
+    } else {
+      propertyName = relationName + capitalize(aggregate) + capitalize(_.last(column.split('.')));
+    }
+  }
+
+  if (column !== '*' && column.indexOf('.') === -1) {
+    column = relationName + '.' + column;
+  }
+
+  var subQuery = MoronQueryBuilder.forClass(RelatedModelClass)[aggregate](column);
+
+  relation.correlatedQuery(subQuery, {
+    ownerTable: ModelClass.tableName,
+    relatedTableAlias: relationName
+  });
+
+  var sql = subQuery.build().toSQL();
+  builder._relationAggregates.push(knex.raw('(' + sql.sql + ') as ??', sql.bindings.concat(propertyName)));
+
+  return builder;
+}
+
+function joinableRelation(ModelClass, relationName) {
+  var relation = ModelClass.getRelation(relationName);
+
+  if (!relation.relatedModelClass) {
+    // Polymorphic relations have a different related model class for each owner.
+    throw new Error('cannot join polymorphic relation ' + ModelClass.name + '.' + relationName);
+  }
+
+  return relation;
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function hasSelects(builder) {
+  return _.any(['select', 'columns', 'column', 'distinct', 'count', 'min', 'max', 'sum', 'avg'], function (methodName) {
+    return builder.has(methodName);
+  });
+}
+
+function buildKnexQuery(builder) {
+  var knexBuilder = builder._modelClass.knexQuery(builder._transaction);
+
+  var relationAggregates = builder.isFindQuery() ? builder._relationAggregates : [];
+
+  if ((builder._relationsJoined || !_.isEmpty(relationAggregates)) && !hasSelects(builder)) {
+    // The columns of the joined tables would otherwise override the model's columns.
+    // The aggregates need to be selected in addition to the model's columns.
+    knexBuilder.select(builder._modelClass.tableName + '.*');
+  }
+
+  _.each(builder._knexCalls, function (calls, methodName) {
+    if (_.isFunction(knexBuilder[methodName])) {
+      _.each(calls, function (args) {
+        knexBuilder[methodName].apply(knexBuilder, args);
+      });
+    }
+  });
+
+  _.each(relationAggregates, function (aggregate) {
+    knexBuilder.select(aggregate);
+  });
+
+  if (builder._modelClass.softDelete) {
+    buildSoftDelete(builder, knexBuilder);
+  }
+
+  return knexBuilder;
+}
+
+function buildSoftDelete(builder, knexBuilder) {
+  var ModelClass = builder._modelClass;
+  var softDelete = ModelClass.softDelete;
+  var column = ModelClass.tableName + '.' + softDelete.column;
+  var restoreValue = _.isUndefined(softDelete.restoreValue) ? null : softDelete.restoreValue;
+
+  if (builder._tableName !== ModelClass.tableName || builder.has('insert') || builder.has('truncate')) {
+    // Only the queries that read or modify the rows of the model table are filtered. Aliased
+    // tables are joined through subqueries that select from the table.
+    return;
+  }
+
+  if (builder.has('restore')) {
+    knexBuilder.update(softDelete.column, restoreValue);
+  }
+
+  if (builder._deletedRows === 'exclude') {
+    if (_.isNull(restoreValue)) {
+      knexBuilder.whereNull(column);
+    } else {
+      knexBuilder.where(column, restoreValue);
+    }
+  } else if (builder._deletedRows === 'only') {
+    if (_.isNull(restoreValue)) {
+      knexBuilder.whereNotNull(column);
+    } else {
+      knexBuilder.whereNot(column, restoreValue);
+    }
+  }
+}
+
+function wrapDbError(err) {
+  if (!err || err instanceof MoronDbError) {
+    return err;
+  }
+
+  var info = parseSqliteError(err) || parsePostgresError(err) || parseMysqlError(err);
+
+  if (!info) {
+    return err;
+  }
+
+  // The table is not guessed when the driver doesn't tell it. The failing query may
+  // have been for example a join table insert and not a query to the builder's table.
+  return new info.ErrorClass(err, info);
+}
+
+function parseSqliteError(err) {
+  var message = err.message || '';
+  var match = null;
+
+  if (err.code !== 'SQLITE_CONSTRAINT') {
+    return null;
+  }
+
+  if ((match = /UNIQUE constraint failed: (.+)$/.exec(message))) {
+    return sqliteColumnsInfo(MoronUniqueViolationError, match[1]);
+  } else if ((match = /NOT NULL constraint failed: (.+)$/.exec(message))) {
+    return sqliteColumnsInfo(MoronNotNullViolationError, match[1]);
+  } else if ((match = /CHECK constraint failed: (.+)$/.exec(message))) {
+    return {ErrorClass: MoronCheckViolationError, constraint: match[1]};
+  } else if (/FOREIGN KEY constraint failed/.test(message)) {
+    return {ErrorClass: MoronForeignKeyViolationError};
+  }
+
+  return null;
+}
+
+function sqliteColumnsInfo(ErrorClass, columns) {
+  // `columns` is like "Table.a, Table.b".
+  columns = _.map(columns.split(','), function (column) {
+    return column.trim().split('.');
+  });
+
+  return {
+    ErrorClass: ErrorClass,
+    table: columns[0][0],
+    columns: _.map(columns, _.last)
+  };
+}
+
+function parsePostgresError(err) {
+  var ErrorClass = {
+    '23505': MoronUniqueViolationError,
+    '23503': MoronForeignKeyViolationError,
+    '23502': MoronNotNullViolationError,
+    '23514': MoronCheckViolationError
+  }[err.code];
+
+  if (!ErrorClass) {
+    return null;
+  }
+
+  var columns = [];
+  // `detail` is like 'Key (a, b)=(1, 2) already exists.'
+  var match = /Key \((.+?)\)=/.exec(err.detail || '');
+
+  if (err.column) {
+    columns = [err.column];
+  } else if (match) {
+    columns = _.map(match[1].split(','), function (column) {
+      return _.trim(column.trim(), '"');
+    });
+  }
+
+  return {
+    ErrorClass: ErrorClass,
+    table: err.table,
+    columns: columns,
+    constraint: err.constraint
+  };
+}
+
+function parseMysqlError(err) {
+  var message = err.message || '';
+  var match = null;
+
+  if (err.code === 'ER_DUP_ENTRY' && (match = /for key '(.+?)'/.exec(message))) {
+    return {ErrorClass: MoronUniqueViolationError, constraint: _.last(match[1].split('.'))};
+  } else if (err.code === 'ER_NO_REFERENCED_ROW_2' || err.code === 'ER_ROW_IS_REFERENCED_2') {
+    // The message is like "... (`db`.`Table`, CONSTRAINT `fk` FOREIGN KEY (`a`) REFERENCES ...".
+    match = /`[^`]+`\.`([^`]+)`, CONSTRAINT `([^`]+)` FOREIGN KEY \(([^)]+)\)/.exec(message);
+
+    return {
+      ErrorClass: MoronForeignKeyViolationError,
+      table: match && match[1],
+      constraint: match && match[2],
+      columns: match ? _.map(match[3].split(','), function (column) {
+        return _.trim(column.trim(), '`');
+      }) : []
+    };
+  } else if (err.code === 'ER_BAD_NULL_ERROR' && (match = /Column '(.+?)' cannot be null/.exec(message))) {
+    return {ErrorClass: MoronNotNullViolationError, columns: [match[1]]};
+  } else if (err.code === 'ER_NO_DEFAULT_FOR_FIELD' && (match = /Field '(.+?)' doesn't have a default value/.exec(message))) {
+    return {ErrorClass: MoronNotNullViolationError, columns: [match[1]]};
+  } else if (err.code === 'ER_CHECK_CONSTRAINT_VIOLATED' && (match = /Check constraint '(.+?)' is violated/.exec(message))) {
+    return {ErrorClass: MoronCheckViolationError, constraint: match[1]};
+  }
+
+  return null;
+}
+
 function createModels(builder, result) {
   if (_.isNull(result) || _.isUndefined(result)) {
     return null;
@@ -576,23 +1287,54 @@ function createModels(builder, result) {
   if (_.isArray(result)) {
     if (result.length > 0 && _.isObject(result[0])) {
       for (var i = 0, l = result.length; i < l; ++i) {
-        result[i] = builder._modelClass.fromDatabaseJson(result[i]);
+        result[i] = toModel(builder, result[i]);
       }
     }
   } else if (_.isObject(result)) {
-    result = builder._modelClass.fromDatabaseJson(result);
+    result = toModel(builder, result);
   }
 
   return result;
 }
 
+function toModel(builder, obj) {
+  // The result can already contain model instances (for example when a graph
+  // insert resolves the inserted models). Recreating them would lose the relations.
+  if (obj instanceof builder._modelClass) {
+    return obj;
+  } else {
+    return builder._modelClass.fromDatabaseJson(obj);
+  }
+}
+
+function createJoinEagerFetcher(builder) {
+  if (!builder._eagerExpression || builder._eagerAlgorithm !== 'join' || !builder.isFindQuery()) {
+    return null;
+  }
+
+  return new MoronJoinEagerFetcher({
+    modelClass: builder._modelClass,
+    transaction: builder.transaction(),
+    eager: builder._eagerExpression,
+    filters: builder._eagerFilters
+  });
+}
+
+function joinEagerFetch(builder, joinEagerFetcher) {
+  return joinEagerFetcher.build(builder).then(function () {
+    return buildKnexQuery(builder);
+  }).then(function (rows) {
+    return joinEagerFetcher.parseResult(rows);
+  });
+}
+
 function eagerFetch(builder, models) {
   if (!builder._eagerExpression) {
     return models;
   }
 
   if (models instanceof builder._modelClass || (_.isArray(models) && models[0] instanceof builder._modelClass)) {
-    return builder._modelClass.loadRelated(models, builder._eagerExpression, builder.transaction());
+    return builder._modelClass.loadRelated(models, builder._eagerExpression, builder.transaction(), builder._eagerFilters);
   } else {
     return models;
   }
@@ -72,14 +72,57 @@ MoronRelationExpressionParser.prototype._parseToken = function (token, nodes) {
     this._throwInvalidExpressionError();
   }
 
-  var node = new MoronRelationExpressionNode(token);
+  var match = TOKEN_REGEX.exec(token);
+
+  if (!match) {
+    this._throwInvalidExpressionError();
+  }
+
+  var node = new MoronRelationExpressionNode(match[1]);
+  var recursionMatch = RECURSION_REGEX.exec(match[1]);
+
+  if (recursionMatch) {
+    // `^3` recurses at most three levels deep.
+    node.name = '^';
+    node.maxDepth = parseInt(recursionMatch[1], 10);
+
+    if (node.maxDepth < 1) {
+      this._throwInvalidExpressionError();
+    }
+  }
+
+  if (match[2] !== undefined) {
+    node.args = this._parseArgs(match[2]);
+  }
+
+  if (match[3] !== undefined) {
+    node.alias = match[3];
+  }
+
   nodes.push(node);
 
   return node.children;
 };
 
+MoronRelationExpressionParser.prototype._parseArgs = function (argsStr) {
+  if (argsStr.trim().length === 0) {
+    return [];
+  }
+
+  return _.map(argsStr.split(','), function (arg) {
+    arg = arg.trim();
+
+    if (!ARG_REGEX.test(arg)) {
+      this._throwInvalidExpressionError();
+    }
+
+    return arg;
+  }, this);
+};
+
 MoronRelationExpressionParser.prototype._forEachToken = function (str, separator, callback) {
   var bracketDepth = 0;
+  var parenDepth = 0;
   var previousMatchIndex = -1;
   var token = null;
   var i = 0;
@@ -93,14 +136,18 @@ MoronRelationExpressionParser.prototype._forEachToken = function (str, separator
       bracketDepth++;
     } else if (c === ']') {
       bracketDepth--;
-    } else if (c === separator && bracketDepth === 0) {
+    } else if (c === '(') {
+      parenDepth++;
+    } else if (c === ')') {
+      parenDepth--;
+    } else if (c === separator && bracketDepth === 0 && parenDepth === 0) {
       token = str.substring(previousMatchIndex + 1, i).trim();
       callback.call(this, token);
       previousMatchIndex = i;
     }
   }
 
-  if (bracketDepth !== 0) {
+  if (bracketDepth !== 0 || parenDepth !== 0) {
     this._throwInvalidExpressionError();
   }
 };
@@ -124,7 +171,7 @@ MoronRelationExpression.prototype.isRecursive = function (relationName) {
   for (var i = 0, l = this.nodes.length; i < l; ++i) {
     var node = this.nodes[i];
 
-    if (node.name === relationName) {
+    if (nodeKey(node) === relationName) {
       return node.children.length === 1 && node.children[0].name === '^';
     }
   }
@@ -132,6 +179,72 @@ MoronRelationExpression.prototype.isRecursive = function (relationName) {
   return false;
 };
 
+/**
+ * Returns the arguments given to a relation in the expression.
+ *
+ * For example for expression `children(onlyActive, orderByName).pets` this returns
+ * `['onlyActive', 'orderByName']` for relation `children` and `[]` for relation `pets`.
+ *
+ * @param {String} relationName
+ *    Name or alias of the relation.
+ *
+ * @returns {Array.<String>}
+ */
+MoronRelationExpression.prototype.args = function (relationName) {
+  for (var i = 0, l = this.nodes.length; i < l; ++i) {
+    var node = this.nodes[i];
+
+    if (nodeKey(node) === relationName) {
+      return node.args || [];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Returns the names under which a relation is fetched in the expression.
+ *
+ * A relation can appear multiple times in an expression under different aliases. For example
+ * for expression `[pets(dogs) as dogs, pets(cats) as cats]` this returns `['dogs', 'cats']`
+ * for relation `pets`. Relations without an alias are fetched under their own name.
+ *
+ * @param {String} relationName
+ * @returns {Array.<String>}
+ */
+MoronRelationExpression.prototype.aliases = function (relationName) {
+  if (this.isAllRecursive()) {
+    return [relationName];
+  }
+
+  return _.uniq(_.map(_.filter(this.nodes, {name: relationName}), nodeKey));
+};
+
+/**
+ * Returns the maximum recursion depth of a recursive relation.
+ *
+ * For example for expression `parent.^3` this returns 3 for relation `parent`. `Infinity` is
+ * returned for relations that recurse without a limit (`parent.^`) and for `*`.
+ *
+ * @param {String} relationName
+ * @returns {Number}
+ */
+MoronRelationExpression.prototype.maxRecursionDepth = function (relationName) {
+  if (this.isAllRecursive()) {
+    return Infinity;
+  }
+
+  for (var i = 0, l = this.nodes.length; i < l; ++i) {
+    var node = this.nodes[i];
+
+    if (nodeKey(node) === relationName && this.isRecursive(relationName)) {
+      return node.children[0].maxDepth || Infinity;
+    }
+  }
+
+  return 0;
+};
+
 MoronRelationExpression.prototype.isAllRecursive = function () {
   return this.nodes.length === 1 && this.nodes[0].name === '*';
 };
@@ -144,12 +257,21 @@ MoronRelationExpression.prototype.relation = function (relationName) {
   for (var i = 0, l = this.nodes.length; i < l; ++i) {
     var node = this.nodes[i];
 
-    if (node.name !== relationName) {
+    if (nodeKey(node) !== relationName) {
       continue;
     }
 
-    if (this.isRecursive(node.name)) {
-      return new MoronRelationExpression([node]);
+    if (this.isRecursive(relationName)) {
+      var maxDepth = node.children[0].maxDepth;
+
+      if (!maxDepth) {
+        return new MoronRelationExpression([node]);
+      } else if (maxDepth === 1) {
+        // This was the last level.
+        return new MoronRelationExpression([]);
+      } else {
+        return new MoronRelationExpression([recursiveNode(node, maxDepth - 1)]);
+      }
     } else {
       return new MoronRelationExpression(node.children);
     }
@@ -168,13 +290,19 @@ MoronRelationExpression.prototype.isSubExpression = function (expr) {
   }
 
   for (var i = 0, l = expr.nodes.length; i < l; ++i) {
+    // Aliased relations are compared to this expression by the relation name.
     var relationName = expr.nodes[i].name;
+    var key = nodeKey(expr.nodes[i]);
+
+    if (expr.isRecursive(key) && (this.isAllRecursive() || this.isRecursive(relationName))) {
+      if (expr.maxRecursionDepth(key) > this.maxRecursionDepth(relationName)) {
+        return false;
+      }
 
-    if (expr.isRecursive(relationName) && (this.isAllRecursive() || this.isRecursive(relationName))) {
-      return true;
+      continue;
     }
 
-    var subExpression = expr.relation(relationName);
+    var subExpression = expr.relation(key);
     var ownSubExpression = this.relation(relationName);
 
     if (!ownSubExpression || !ownSubExpression.isSubExpression(subExpression)) {
@@ -185,6 +313,25 @@ MoronRelationExpression.prototype.isSubExpression = function (expr) {
   return true;
 };
 
+// Relation name optionally followed by a list of arguments and an alias:
+// `name`, `name(arg1, arg2)`, `name as alias` or `name(arg1) as alias`.
+var TOKEN_REGEX = /^([^\s\(\)\[\],]+)\s*(?:\(([^\(\)]*)\))?(?:\s+as\s+([^\s\.\(\)\[\],]+))?$/;
+var RECURSION_REGEX = /^\^(\d+)$/;
+var ARG_REGEX = /^[^\s\.\[\],]+$/;
+
+function recursiveNode(node, maxDepth) {
+  var recursion = new MoronRelationExpressionNode('^');
+  recursion.maxDepth = maxDepth;
+
+  return _.assign(new MoronRelationExpressionNode(node.name), node, {
+    children: [recursion]
+  });
+}
+
+function nodeKey(node) {
+  return node.alias || node.name;
+}
+
 function isArrayToken(token) {
   return token.length >= 2 && token.charAt(0) === '[' && token.charAt(token.length - 1) === ']';
 }
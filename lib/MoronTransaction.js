@@ -1,3 +1,83 @@
-module.exports = function MoronTransaction() {
+"use strict";
 
-};
+var _ = require('lodash')
+  , Promise = require('bluebird')
+  , utils = require('./utils');
+
+/**
+ * Starts a transaction.
+ *
+ * Give the model classes you want to use in the transaction as arguments to this
+ * function. The model classes are bound to a newly created transaction and passed to
+ * the callback. All queries created using the bound model classes or any instances of
+ * those classes are executed in the transaction.
+ *
+ * The transaction is committed if the promise returned from the callback is resolved
+ * successfully. If the returned promise is rejected (or the callback throws) the
+ * transaction is rolled back.
+ *
+ * ```js
+ * MoronModel.transaction(Person, Animal, function (Person, Animal) {
+ *
+ *   return Person
+ *     .query()
+ *     .insert({firstName: 'Jennifer'})
+ *     .then(function (jennifer) {
+ *       return jennifer.$relatedQuery('pets').insert({name: 'Fluffy'});
+ *     });
+ *
+ * }).then(function () {
+ *   console.log('Jennifer and Fluffy were successfully inserted');
+ * }).catch(function (err) {
+ *   console.log('Something went wrong. Neither Jennifer nor Fluffy were inserted');
+ * });
+ * ```
+ *
+ * The knex transaction object is bound to `this` inside the callback.
+ *
+ * @param {...MoronModel} modelClasses
+ *    The model classes to bind to the transaction. All of them must use the same knex instance.
+ *
+ * @param {function(...MoronModel)} callback
+ *    Called with the bound model classes in the same order they were given to this function.
+ *
+ * @return {Promise}
+ *    Resolved with the result of the callback after the transaction has been committed.
+ */
+function MoronTransaction() {
+  var MoronModel = require('./MoronModel');
+  var modelClasses = _.initial(arguments);
+  var callback = _.last(arguments);
+
+  if (!_.isFunction(callback)) {
+    return Promise.reject(new Error('the last argument to transaction must be a callback function'));
+  }
+
+  if (_.isEmpty(modelClasses)) {
+    return Promise.reject(new Error('at least one model class must be given to transaction'));
+  }
+
+  for (var i = 0; i < modelClasses.length; ++i) {
+    if (!utils.isSubclassOf(modelClasses[i], MoronModel)) {
+      return Promise.reject(new Error('objects passed to transaction must be subclasses of MoronModel'));
+    }
+  }
+
+  var knex = _.first(modelClasses).knex;
+
+  if (_.any(modelClasses, function (ModelClass) { return ModelClass.knex !== knex; })) {
+    return Promise.reject(new Error('all model classes passed to transaction must be bound to the same knex instance'));
+  }
+
+  return Promise.resolve(knex.transaction(function (trx) {
+    var boundModelClasses = _.map(modelClasses, function (ModelClass) {
+      return ModelClass.bindTransaction(trx);
+    });
+
+    return Promise.try(function () {
+      return callback.apply(trx, boundModelClasses);
+    });
+  }));
+}
+
+module.exports = MoronTransaction;
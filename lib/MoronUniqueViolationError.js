@@ -0,0 +1,18 @@
+var util = require('util')
+  , MoronDbError = require('./MoronDbError');
+
+/**
+ * Error of a query that would have created a duplicate value for a unique index.
+ *
+ * @extends MoronDbError
+ */
+function MoronUniqueViolationError(nativeError, info) {
+  MoronDbError.call(this, nativeError, info);
+  Error.captureStackTrace(this, arguments.callee);
+
+  this.statusCode = 409;
+}
+
+util.inherits(MoronUniqueViolationError, MoronDbError);
+
+module.exports = MoronUniqueViolationError;
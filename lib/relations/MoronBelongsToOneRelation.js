@@ -0,0 +1,160 @@
+"use strict";
+
+var _ = require('lodash')
+  , MoronRelation = require('./MoronRelation')
+  , MoronQueryBuilder = require('../MoronQueryBuilder');
+
+/**
+ * One-to-one relation where the foreign key is in the owner table.
+ *
+ * For example a passport belongs to one person through `Passport.personId`:
+ *
+ * ```js
+ * Passport.relationMappings = {
+ *   owner: {
+ *     relation: MoronModel.BelongsToOneRelation,
+ *     modelClass: Person,
+ *     join: {
+ *       from: 'Passport.personId',
+ *       to: 'Person.id'
+ *     }
+ *   }
+ * };
+ * ```
+ *
+ * Use `MoronHasOneRelation` when the foreign key is in the related table.
+ *
+ * @constructor
+ * @extends MoronRelation
+ */
+function MoronBelongsToOneRelation() {
+  MoronRelation.apply(this, arguments);
+}
+
+MoronRelation.makeSubclass(MoronBelongsToOneRelation);
+
+MoronBelongsToOneRelation.prototype.find = function (builder, $owners, propertyName) {
+  var self = this;
+  var prop = propertyName || this.name;
+  var owners = this.ownerModelClass.ensureModelArray($owners);
+  var relatedIds = _.unique(_.invoke(owners, '$values', this.ownerProp), String);
+
+  return this._makeFindQuery(builder, relatedIds).runAfterModelCreate(function (related) {
+    var relatedById = _.indexBy(related, function (rel) {
+      return rel.$values(self.relatedProp);
+    });
+
+    _.each(owners, function (owner) {
+      owner[prop] = relatedById[owner.$values(self.ownerProp)] || null;
+    });
+
+    return related;
+  });
+};
+
+MoronBelongsToOneRelation.prototype.isOneToOne = function () {
+  return true;
+};
+
+MoronBelongsToOneRelation.prototype.insert = function (builder, $owner, $insertion) {
+  var self = this;
+  var owner = this.ownerModelClass.ensureModel($owner);
+  var insertion = this.relatedModelClass.ensureModelArray($insertion);
+
+  if (insertion.length > 1) {
+    throw new Error('can only insert one model to a MoronBelongsToOneRelation');
+  }
+
+  return this.relatedModelClass.$$insert(builder, insertion).runAfterModelCreate(function (inserted) {
+    owner.$setValues(self.ownerProp, inserted[0].$values(self.relatedProp));
+    owner[self.name] = inserted[0];
+
+    return MoronQueryBuilder
+      .forClass(self.ownerModelClass)
+      .transacting(builder.transaction())
+      .update(self._relatedKeyColumns(inserted[0].$values(self.relatedProp)))
+      .whereComposite(self.ownerModelClass.getFullIdColumn(), owner.$id())
+      .then(function () {
+        return _.isArray($insertion) ? inserted : inserted[0];
+      });
+  });
+};
+
+MoronBelongsToOneRelation.prototype.update = function (builder, $owner, $update) {
+  var owner = this.ownerModelClass.ensureModel($owner);
+
+  this._makeFindQuery(builder, [owner.$values(this.ownerProp)]);
+  this.relatedModelClass.$$update(builder, $update);
+
+  return builder;
+};
+
+MoronBelongsToOneRelation.prototype.patch = function (builder, $owner, $patch) {
+  var owner = this.ownerModelClass.ensureModel($owner);
+
+  this._makeFindQuery(builder, [owner.$values(this.ownerProp)]);
+  this.relatedModelClass.$$patch(builder, $patch);
+
+  return builder;
+};
+
+MoronBelongsToOneRelation.prototype.delete = function (builder, $owner) {
+  var owner = this.ownerModelClass.ensureModel($owner);
+
+  this._makeFindQuery(builder, [owner.$values(this.ownerProp)]);
+  this.relatedModelClass.$$delete(builder);
+
+  return builder;
+};
+
+MoronBelongsToOneRelation.prototype.relate = function (builder, $owner, $ids) {
+  var owner = this.ownerModelClass.ensureModel($owner);
+  var ids = this._normalizeKeys($ids);
+
+  if (ids.length > 1) {
+    throw new Error('can only relate one model to a MoronBelongsToOneRelation');
+  }
+
+  return builder
+    .from(this.ownerModelClass.tableName)
+    .update(this._relatedKeyColumns(ids[0]))
+    .whereComposite(this.ownerModelClass.getFullIdColumn(), owner.$id())
+    .runAfterModelCreatePushFront(function () {
+      return $ids;
+    });
+};
+
+MoronBelongsToOneRelation.prototype.unrelate = function (builder, $owner) {
+  var owner = this.ownerModelClass.ensureModel($owner);
+
+  return builder
+    .from(this.ownerModelClass.tableName)
+    .update(this._relatedKeyColumns(null))
+    .whereComposite(this.ownerModelClass.getFullIdColumn(), owner.$id());
+};
+
+/**
+ * Returns the column values of the owner row that point to the related model with
+ * key `relatedKey`.
+ *
+ * `null` key creates the values that unrelate the owner.
+ *
+ * @returns {Object}
+ */
+MoronBelongsToOneRelation.prototype._relatedKeyColumns = function (relatedKey) {
+  return this._columnValues(this.ownerCol, relatedKey);
+};
+
+MoronBelongsToOneRelation.prototype._makeFindQuery = function (builder, relatedIds) {
+  relatedIds = this._compactKeys(relatedIds);
+
+  if (_.isEmpty(relatedIds)) {
+    return builder.resolve([]);
+  } else {
+    return builder
+      .whereInComposite(this.fullRelatedCol(), relatedIds)
+      .call(this.additionalQuery);
+  }
+};
+
+module.exports = MoronBelongsToOneRelation;
@@ -13,16 +13,19 @@ function MoronHasManyRelation() {
 
 MoronRelation.makeSubclass(MoronHasManyRelation);
 
-MoronHasManyRelation.prototype.find = function (builder, $owners) {
+MoronHasManyRelation.prototype.find = function (builder, $owners, propertyName) {
   var self = this;
+  var prop = propertyName || this.name;
   var owners = this.ownerModelClass.ensureModelArray($owners);
-  var ownerIds = _.unique(_.pluck(owners, this.ownerProp));
+  var ownerIds = _.unique(_.invoke(owners, '$values', this.ownerProp), String);
 
   return this._makeFindQuery(builder, ownerIds).runAfterModelCreatePushFront(function (related) {
-    var relatedByOwnerId = _.groupBy(related, self.relatedProp);
+    var relatedByOwnerId = _.groupBy(related, function (rel) {
+      return rel.$values(self.relatedProp);
+    });
 
     _.each(owners, function (owner) {
-      owner[self.name] = relatedByOwnerId[owner[self.ownerProp]] || [];
+      owner[prop] = relatedByOwnerId[owner.$values(self.ownerProp)] || [];
     });
 
     return related;
@@ -35,7 +38,7 @@ MoronHasManyRelation.prototype.insert = function (builder, $owner, $insertion) {
   var insertion = this.relatedModelClass.ensureModelArray($insertion);
 
   _.each(insertion, function (insert) {
-    insert[self.relatedProp] = owner[self.ownerProp];
+    self._setOwnerKey(insert, owner.$values(self.ownerProp));
   });
 
   return this.relatedModelClass.$$insert(builder, insertion).runAfterModelCreate(function (models) {
@@ -47,7 +50,7 @@ MoronHasManyRelation.prototype.insert = function (builder, $owner, $insertion) {
 MoronHasManyRelation.prototype.update = function (builder, $owner, $update) {
   var owner = this.ownerModelClass.ensureModel($owner);
 
-  this._makeFindQuery(builder, [owner[this.ownerProp]]);
+  this._makeFindQuery(builder, [owner.$values(this.ownerProp)]);
   this.relatedModelClass.$$update(builder, $update);
 
   return builder;
@@ -56,7 +59,7 @@ MoronHasManyRelation.prototype.update = function (builder, $owner, $update) {
 MoronHasManyRelation.prototype.patch = function (builder, $owner, $patch) {
   var owner = this.ownerModelClass.ensureModel($owner);
 
-  this._makeFindQuery(builder, [owner[this.ownerProp]]);
+  this._makeFindQuery(builder, [owner.$values(this.ownerProp)]);
   this.relatedModelClass.$$patch(builder, $patch);
 
   return builder;
@@ -65,7 +68,7 @@ MoronHasManyRelation.prototype.patch = function (builder, $owner, $patch) {
 MoronHasManyRelation.prototype.delete = function (builder, $owner) {
   var owner = this.ownerModelClass.ensureModel($owner);
 
-  this._makeFindQuery(builder, [owner[this.ownerProp]]);
+  this._makeFindQuery(builder, [owner.$values(this.ownerProp)]);
   this.relatedModelClass.$$delete(builder);
 
   return builder;
@@ -75,26 +78,59 @@ MoronHasManyRelation.prototype.relate = function (builder, $owner, $ids) {
   var owner = this.ownerModelClass.ensureModel($owner);
 
   return builder
-    .update(this.relatedCol, owner[this.ownerProp])
-    .whereIn(this.relatedModelClass.getFullIdColumn(), _.flatten([$ids]))
+    .update(this._ownerKeyColumns(owner.$values(this.ownerProp)))
+    .whereInComposite(this.relatedModelClass.getFullIdColumn(), this.relatedModelClass.$$normalizeIds($ids))
     .runAfterPushFront(function () {
       return $ids;
     });
 };
 
-MoronHasManyRelation.prototype.unrelate = function (builder, $owner) {
+/**
+ * Unrelates the related models of `$owner`.
+ *
+ * If `$ids` is given, only the related models with the given identifiers are unrelated.
+ * Otherwise all related models that match the query are unrelated. The number of
+ * unrelated models is returned.
+ */
+MoronHasManyRelation.prototype.unrelate = function (builder, $owner, $ids) {
   var owner = this.ownerModelClass.ensureModel($owner);
 
-  return builder
-    .update(this.relatedCol, null)
-    .where(this.fullRelatedCol(), owner[this.ownerProp])
-    .runAfterPushFront(function () {
-      return {};
-    });
+  // Soft deleted related models are also unrelated so that they don't come back to
+  // the owner when they are restored.
+  builder
+    .withDeleted()
+    .update(this._ownerKeyColumns(null))
+    .whereComposite(this.fullRelatedCol(), owner.$values(this.ownerProp));
+
+  if (!_.isUndefined($ids)) {
+    builder.whereInComposite(this.relatedModelClass.getFullIdColumn(), this.relatedModelClass.$$normalizeIds($ids));
+  }
+
+  return builder;
+};
+
+/**
+ * Sets the properties of a related model that point to the owner with key `ownerKey`.
+ */
+MoronHasManyRelation.prototype._setOwnerKey = function (related, ownerKey) {
+  related.$setValues(this.relatedProp, ownerKey);
+};
+
+/**
+ * Returns the column values of a related row that point to the owner with key `ownerKey`.
+ *
+ * `null` key creates the values that unrelate the row.
+ *
+ * @returns {Object}
+ */
+MoronHasManyRelation.prototype._ownerKeyColumns = function (ownerKey) {
+  return this._columnValues(this.relatedCol, ownerKey);
 };
 
 MoronHasManyRelation.prototype._makeFindQuery = function (builder, ownerIds) {
-  return builder.whereIn(this.fullRelatedCol(), _.compact(ownerIds));
+  return builder
+    .whereInComposite(this.fullRelatedCol(), this._compactKeys(ownerIds))
+    .call(this.additionalQuery);
 };
 
 module.exports = MoronHasManyRelation;
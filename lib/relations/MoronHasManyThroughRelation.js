@@ -0,0 +1,222 @@
+"use strict";
+
+var _ = require('lodash')
+  , MoronRelation = require('./MoronRelation')
+  , ownerJoinColumnAlias = '_join_';
+
+/**
+ * Relation to the models of a table that is reached through a chain of intermediate tables.
+ *
+ * The intermediate tables are described by `join.through` that can be an object or an
+ * array of objects. `from` of each object is joined to the previous table and `to` to
+ * the next one:
+ *
+ * ```js
+ * Country.relationMappings = {
+ *   people: {
+ *     relation: MoronModel.HasManyThroughRelation,
+ *     modelClass: Person,
+ *     join: {
+ *       from: 'Country.id',
+ *       through: [{
+ *         from: 'City.countryId',
+ *         to: 'City.id'
+ *       }],
+ *       to: 'Person.cityId'
+ *     }
+ *   }
+ * };
+ * ```
+ *
+ * The related models can be fetched, eagerly loaded and counted. The rows cannot be
+ * modified through the relation because the intermediate rows would be ambiguous.
+ *
+ * @constructor
+ * @extends MoronRelation
+ */
+function MoronHasManyThroughRelation() {
+  MoronRelation.apply(this, arguments);
+}
+
+MoronRelation.makeSubclass(MoronHasManyThroughRelation);
+
+MoronHasManyThroughRelation.prototype.setMapping = function (mapping) {
+  var retVal = MoronRelation.prototype.setMapping.call(this, mapping);
+
+  if (_.isEmpty(this.throughChain)) {
+    throw new Error(this.ownerModelClass.name + '.relationMappings.' + this.name + '.join must have the `through` that describes the intermediate tables.');
+  }
+
+  return retVal;
+};
+
+MoronHasManyThroughRelation.prototype.find = function (builder, $owners, propertyName) {
+  var self = this;
+  var prop = propertyName || this.name;
+  var owners = this.ownerModelClass.ensureModelArray($owners);
+  var firstHop = _.first(this.throughChain);
+
+  if (!builder.has('select')) {
+    builder.select(this.relatedModelClass.tableName + '.*');
+  }
+
+  this._makeFindQuery(builder, _.unique(_.invoke(owners, '$values', this.ownerProp), String));
+
+  var joinColumns = _.flatten([firstHop.ownerCol]);
+  var joinColumnAliases = _.map(joinColumns, function (col, idx) {
+    return joinColumns.length === 1 ? ownerJoinColumnAlias : ownerJoinColumnAlias + idx;
+  });
+
+  // Select the identifier of the owner model from the first intermediate table.
+  _.each(joinColumns, function (col, idx) {
+    builder.select(firstHop.table + '.' + col + ' as ' + joinColumnAliases[idx]);
+  });
+
+  return builder.runAfterModelCreatePushFront(function (related) {
+    // A related row is returned once for each chain of intermediate rows that reaches it
+    // from the owner.
+    related = _.uniq(related, function (rel, idx) {
+      var id = rel.$id();
+      // Rows without the identifier cannot be told apart.
+      return _.isUndefined(id) ? idx : JSON.stringify([rel.$values(joinColumnAliases), id]);
+    });
+
+    var relatedByOwnerId = _.groupBy(related, function (rel) {
+      return rel.$values(joinColumnAliases);
+    });
+
+    _.each(owners, function (owner) {
+      var ownerRelated = relatedByOwnerId[owner.$values(self.ownerProp)] || [];
+
+      if (self.isOneToOne()) {
+        owner[prop] = _.first(ownerRelated) || null;
+      } else {
+        owner[prop] = ownerRelated;
+      }
+    });
+
+    _.each(related, function (rel) {
+      _.each(joinColumnAliases, function (alias) {
+        delete rel[alias];
+      });
+    });
+
+    return related;
+  });
+};
+
+/**
+ * Joins the intermediate tables and the related table to a query that selects from the
+ * owner table.
+ *
+ * The intermediate tables are aliased as `opt.relatedTableAlias + '_through' + index`.
+ *
+ * @see MoronRelation.prototype.join
+ * @returns {MoronQueryBuilder}
+ */
+MoronHasManyThroughRelation.prototype.join = function (builder, opt) {
+  opt = this._joinOptions(opt);
+
+  var prevTable = opt.ownerTable;
+  var prevCols = _.flatten([this.ownerCol]);
+
+  _.each(this.throughChain, function (hop, idx) {
+    var hopAlias = throughTableAlias(opt.relatedTableAlias, idx);
+
+    joinOn(builder, opt.joinOperation, hop.table + ' as ' + hopAlias, prevTable, prevCols, hopAlias, _.flatten([hop.ownerCol]));
+
+    prevTable = hopAlias;
+    prevCols = _.flatten([hop.relatedCol]);
+  });
+
+  return joinOn(builder, opt.joinOperation, opt.relatedJoinSelect, prevTable, prevCols, opt.relatedTableAlias, _.flatten([this.relatedCol]));
+};
+
+/**
+ * @see MoronRelation.prototype.correlatedQuery
+ * @returns {MoronQueryBuilder}
+ */
+MoronHasManyThroughRelation.prototype.correlatedQuery = function (builder, opt) {
+  opt = this._joinOptions(opt);
+
+  var nextTable = opt.relatedTableAlias;
+  var nextCols = _.flatten([this.relatedCol]);
+
+  builder.from(opt.relatedJoinSelect);
+
+  for (var idx = this.throughChain.length - 1; idx >= 0; --idx) {
+    var hop = this.throughChain[idx];
+    var hopAlias = throughTableAlias(opt.relatedTableAlias, idx);
+
+    joinOn(builder, 'join', hop.table + ' as ' + hopAlias, nextTable, nextCols, hopAlias, _.flatten([hop.relatedCol]));
+
+    nextTable = hopAlias;
+    nextCols = _.flatten([hop.ownerCol]);
+  }
+
+  var ownerCols = _.flatten([this.ownerCol]);
+
+  for (var i = 0; i < ownerCols.length; ++i) {
+    builder.whereRaw('??.?? = ??.??', [nextTable, nextCols[i], opt.ownerTable, ownerCols[i]]);
+  }
+
+  return builder;
+};
+
+MoronHasManyThroughRelation.prototype.insert = function () {
+  throw new Error('cannot insert models through ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronHasManyThroughRelation.prototype.update = function () {
+  throw new Error('cannot update models through ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronHasManyThroughRelation.prototype.patch = function () {
+  throw new Error('cannot patch models through ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronHasManyThroughRelation.prototype.delete = function () {
+  throw new Error('cannot delete models through ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronHasManyThroughRelation.prototype.relate = function () {
+  throw new Error('cannot relate models through ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronHasManyThroughRelation.prototype.unrelate = function () {
+  throw new Error('cannot unrelate models through ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronHasManyThroughRelation.prototype._makeFindQuery = function (builder, ownerIds) {
+  var nextTable = this.relatedModelClass.tableName;
+  var nextCols = _.flatten([this.relatedCol]);
+
+  for (var idx = this.throughChain.length - 1; idx >= 0; --idx) {
+    var hop = this.throughChain[idx];
+
+    joinOn(builder, 'join', hop.table, nextTable, nextCols, hop.table, _.flatten([hop.relatedCol]));
+
+    nextTable = hop.table;
+    nextCols = _.flatten([hop.ownerCol]);
+  }
+
+  var firstHop = _.first(this.throughChain);
+
+  return builder
+    .whereInComposite(this._fullColumn(firstHop.table, firstHop.ownerCol), this._compactKeys(ownerIds))
+    .call(this.additionalQuery);
+};
+
+function joinOn(builder, joinOperation, joinTable, leftTable, leftCols, rightTable, rightCols) {
+  return builder[joinOperation](joinTable, function () {
+    for (var i = 0; i < leftCols.length; ++i) {
+      this.on(leftTable + '.' + leftCols[i], '=', rightTable + '.' + rightCols[i]);
+    }
+  });
+}
+
+function throughTableAlias(relatedTableAlias, idx) {
+  return relatedTableAlias + '_through' + idx;
+}
+
+module.exports = MoronHasManyThroughRelation;
@@ -1,28 +1,75 @@
 "use strict";
 
 var _ = require('lodash')
-  , MoronRelation = require('./MoronRelation');
+  , MoronHasManyRelation = require('./MoronHasManyRelation')
+  , MoronQueryBuilder = require('../MoronQueryBuilder');
 
 /**
+ * One-to-one relation where the foreign key is in the related table.
+ *
+ * For example a person has one passport through `Passport.personId`:
+ *
+ * ```js
+ * Person.relationMappings = {
+ *   passport: {
+ *     relation: MoronModel.HasOneRelation,
+ *     modelClass: Passport,
+ *     join: {
+ *       from: 'Person.id',
+ *       to: 'Passport.personId'
+ *     }
+ *   }
+ * };
+ * ```
+ *
+ * This is the other side of a `MoronBelongsToOneRelation`. The relation property is a
+ * single model or null. Inserting or relating a model unrelates the model that was
+ * related before so that an owner never has more than one related model. The unrelate
+ * is a separate query that is run in the transaction of the insert or relate query. If
+ * the query has no transaction, start one using `MoronModel.transaction` so that the
+ * current model stays related if the insert or relate fails.
+ *
  * @constructor
- * @extends MoronRelation
+ * @extends MoronHasManyRelation
  */
 function MoronHasOneRelation() {
-  MoronRelation.apply(this, arguments);
+  MoronHasManyRelation.apply(this, arguments);
 }
 
-MoronRelation.makeSubclass(MoronHasOneRelation);
+MoronHasManyRelation.makeSubclass(MoronHasOneRelation);
 
-MoronHasOneRelation.prototype.find = function (builder, $owners) {
+MoronHasOneRelation.prototype.setMapping = function (mapping) {
+  var retVal = MoronHasManyRelation.prototype.setMapping.call(this, mapping);
+
+  var ownerIdCol = _.flatten([this.ownerModelClass.idColumn]);
+  var relatedIdCol = _.flatten([this.relatedModelClass.idColumn]);
+
+  // The mappings written for the foreign key in the owner table point from a column that
+  // is not the owner identifier to the related identifier.
+  if (!_.isEqual(_.flatten([this.ownerCol]), ownerIdCol) && _.isEqual(_.flatten([this.relatedCol]), relatedIdCol)) {
+    throw new Error(this.ownerModelClass.name + '.relationMappings.' + this.name + ': the foreign key of a HasOneRelation is in the related table. Use BelongsToOneRelation when it is in the owner table.');
+  }
+
+  return retVal;
+};
+
+MoronHasOneRelation.prototype.isOneToOne = function () {
+  return true;
+};
+
+MoronHasOneRelation.prototype.find = function (builder, $owners, propertyName) {
   var self = this;
+  var prop = propertyName || this.name;
   var owners = this.ownerModelClass.ensureModelArray($owners);
-  var relatedIds = _.unique(_.compact(_.pluck(owners, this.ownerProp)));
+  var ownerIds = _.unique(_.invoke(owners, '$values', this.ownerProp), String);
 
-  return this._makeFindQuery(builder, relatedIds).runAfterModelCreate(function (related) {
-    var relatedById = _.indexBy(related, self.relatedProp);
+  return this._makeFindQuery(builder, ownerIds).runAfterModelCreatePushFront(function (related) {
+    var relatedByOwnerId = _.indexBy(related, function (rel) {
+      return rel.$values(self.relatedProp);
+    });
 
     _.each(owners, function (owner) {
-      owner[self.name] = relatedById[owner[self.ownerProp]] || null;
+      owner[prop] = relatedByOwnerId[owner.$values(self.ownerProp)] || null;
     });
 
     return related;
@@ -38,84 +85,46 @@ MoronHasOneRelation.prototype.insert = function (builder, $owner, $insertion) {
     throw new Error('can only insert one model to a MoronHasOneRelation');
   }
 
-  return this.relatedModelClass.$$insert(builder, insertion).runAfterModelCreate(function (inserted) {
-    owner[self.ownerProp] = inserted[0][self.relatedProp];
-    owner[self.name] = inserted[0];
-
-    return self.ownerModelClass
-      .knexQuery(builder.transaction())
-      .where(self.ownerModelClass.getFullIdColumn(), owner.$id())
-      .update(self.ownerCol, inserted[0][self.relatedProp])
-      .then(function () {
-        return _.isArray($insertion) ? inserted : inserted[0];
-      });
-  });
-};
-
-MoronHasOneRelation.prototype.update = function (builder, $owner, $update) {
-  var owner = this.ownerModelClass.ensureModel($owner);
-
-  this._makeFindQuery(builder, [owner[this.ownerProp]]);
-  this.relatedModelClass.$$update(builder, $update);
-
-  return builder;
-};
-
-MoronHasOneRelation.prototype.patch = function (builder, $owner, $patch) {
-  var owner = this.ownerModelClass.ensureModel($owner);
-
-  this._makeFindQuery(builder, [owner[this.ownerProp]]);
-  this.relatedModelClass.$$patch(builder, $patch);
+  this._setOwnerKey(insertion[0], owner.$values(this.ownerProp));
+  this._unrelateCurrent(builder, owner);
 
-  return builder;
-};
-
-MoronHasOneRelation.prototype.delete = function (builder, $owner) {
-  var owner = this.ownerModelClass.ensureModel($owner);
-
-  this._makeFindQuery(builder, [owner[this.ownerProp]]);
-  this.relatedModelClass.$$delete(builder);
-
-  return builder;
+  return this.relatedModelClass.$$insert(builder, insertion).runAfterModelCreate(function (models) {
+    owner[self.name] = models[0];
+    return _.isArray($insertion) ? models : models[0];
+  });
 };
 
 MoronHasOneRelation.prototype.relate = function (builder, $owner, $ids) {
   var owner = this.ownerModelClass.ensureModel($owner);
-  var ids = _.flatten([$ids]);
+  var ids = this.relatedModelClass.$$normalizeIds($ids);
 
   if (ids.length > 1) {
     throw new Error('can only relate one model to a MoronHasOneRelation');
   }
 
-  return builder
-    .from(this.ownerModelClass.tableName)
-    .update(this.ownerCol, ids[0])
-    .where(this.ownerModelClass.getFullIdColumn(), owner.$id())
-    .runAfterModelCreatePushFront(function () {
-      return $ids;
-    });
-};
-
-MoronHasOneRelation.prototype.unrelate = function (builder, $owner) {
-  var owner = this.ownerModelClass.ensureModel($owner);
+  this._unrelateCurrent(builder, owner);
 
   return builder
-    .from(this.ownerModelClass.tableName)
-    .update(this.ownerCol, null)
-    .where(this.ownerModelClass.getFullIdColumn(), owner.$id())
-    .runAfterModelCreatePushFront(function () {
-      return {};
+    .update(this._ownerKeyColumns(owner.$values(this.ownerProp)))
+    .whereInComposite(this.relatedModelClass.getFullIdColumn(), ids)
+    .runAfterPushFront(function () {
+      return $ids;
     });
 };
 
-MoronHasOneRelation.prototype._makeFindQuery = function (builder, relatedIds) {
-  relatedIds = _.compact(relatedIds);
+/**
+ * Makes `builder` unrelate the current related model of `owner` before it is executed.
+ */
+MoronHasOneRelation.prototype._unrelateCurrent = function (builder, owner) {
+  var self = this;
 
-  if (_.isEmpty(relatedIds)) {
-    return builder.resolve([]);
-  } else {
-    return builder.whereIn(this.fullRelatedCol(), relatedIds);
-  }
+  return builder.runBefore(function () {
+    return MoronQueryBuilder
+      .forClass(self.relatedModelClass)
+      .transacting(builder.transaction())
+      .update(self._ownerKeyColumns(null))
+      .whereComposite(self.fullRelatedCol(), owner.$values(self.ownerProp));
+  });
 };
 
 module.exports = MoronHasOneRelation;
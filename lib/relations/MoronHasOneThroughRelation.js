@@ -0,0 +1,23 @@
+"use strict";
+
+var MoronHasManyThroughRelation = require('./MoronHasManyThroughRelation');
+
+/**
+ * Like `MoronHasManyThroughRelation` but the relation property is a single model.
+ *
+ * If multiple models are found for an owner, the first one is used.
+ *
+ * @constructor
+ * @extends MoronHasManyThroughRelation
+ */
+function MoronHasOneThroughRelation() {
+  MoronHasManyThroughRelation.apply(this, arguments);
+}
+
+MoronHasManyThroughRelation.makeSubclass(MoronHasOneThroughRelation);
+
+MoronHasOneThroughRelation.prototype.isOneToOne = function () {
+  return true;
+};
+
+module.exports = MoronHasOneThroughRelation;
@@ -2,6 +2,7 @@
 
 var _ = require('lodash')
   , MoronRelation = require('./MoronRelation')
+  , MoronQueryBuilder = require('../MoronQueryBuilder')
   , ownerJoinColumnAlias = '_join_';
 
 /**
@@ -24,8 +25,9 @@ MoronManyToManyRelation.prototype.setMapping = function (mapping) {
   return retVal;
 };
 
-MoronManyToManyRelation.prototype.find = function (builder, $owners) {
+MoronManyToManyRelation.prototype.find = function (builder, $owners, propertyName) {
   var self = this;
+  var prop = propertyName || this.name;
   var owners = this.ownerModelClass.ensureModelArray($owners);
 
   if (!builder.has('select')) {
@@ -33,35 +35,140 @@ MoronManyToManyRelation.prototype.find = function (builder, $owners) {
   }
 
   // Add the statements that select the owners' rows.
-  this._makeFindQuery(builder, _.unique(_.pluck(owners, this.ownerProp)));
+  this._makeFindQuery(builder, _.unique(_.invoke(owners, '$values', this.ownerProp), String));
+
+  var joinColumns = _.flatten([this.fullJoinTableOwnerCol()]);
+  var joinColumnAliases = _.map(joinColumns, function (col, idx) {
+    return joinColumns.length === 1 ? ownerJoinColumnAlias : ownerJoinColumnAlias + idx;
+  });
 
   // Select the joined identifier of the owner model.
-  builder.select(this.fullJoinTableOwnerCol() + ' as ' + ownerJoinColumnAlias);
+  _.each(joinColumns, function (col, idx) {
+    builder.select(col + ' as ' + joinColumnAliases[idx]);
+  });
+
+  // Select the additional columns of the join table into the related models.
+  _.each(this.joinTableExtras, function (extra) {
+    builder.select(self.joinTable + '.' + extra.joinTableCol + ' as ' + extra.aliasProp);
+  });
 
   return builder.runAfterModelCreatePushFront(function (related) {
-    var relatedByOwnerId = _.groupBy(related, ownerJoinColumnAlias);
+    var relatedByOwnerId = _.groupBy(related, function (rel) {
+      return rel.$values(joinColumnAliases);
+    });
 
     _.each(owners, function (owner) {
-      owner[self.name] = relatedByOwnerId[owner[self.ownerProp]] || [];
+      owner[prop] = relatedByOwnerId[owner.$values(self.ownerProp)] || [];
     });
 
     _.each(related, function (rel) {
-      delete rel[ownerJoinColumnAlias];
+      _.each(joinColumnAliases, function (alias) {
+        delete rel[alias];
+      });
+
+      self._markJoinTableExtras(rel);
     });
 
     return related;
   });
 };
 
+/**
+ * Joins the join table and the related table to a query that selects from the owner table.
+ *
+ * The join table is aliased as `opt.joinTableAlias` which defaults to
+ * `opt.relatedTableAlias + '_join'`.
+ *
+ * @see MoronRelation.prototype.join
+ * @returns {MoronQueryBuilder}
+ */
+MoronManyToManyRelation.prototype.join = function (builder, opt) {
+  opt = this._joinOptions(opt);
+
+  var joinTableAlias = opt.joinTableAlias || opt.relatedTableAlias + '_join';
+  var ownerCols = _.flatten([this.ownerCol]);
+  var relatedCols = _.flatten([this.relatedCol]);
+  var joinTableOwnerCols = _.flatten([this.joinTableOwnerCol]);
+  var joinTableRelatedCols = _.flatten([this.joinTableRelatedCol]);
+
+  builder[opt.joinOperation](this.joinTable + ' as ' + joinTableAlias, function () {
+    for (var i = 0; i < ownerCols.length; ++i) {
+      this.on(opt.ownerTable + '.' + ownerCols[i], '=', joinTableAlias + '.' + joinTableOwnerCols[i]);
+    }
+  });
+
+  return builder[opt.joinOperation](opt.relatedJoinSelect, function () {
+    for (var i = 0; i < relatedCols.length; ++i) {
+      this.on(joinTableAlias + '.' + joinTableRelatedCols[i], '=', opt.relatedTableAlias + '.' + relatedCols[i]);
+    }
+  });
+};
+
+/**
+ * Makes a query select the related rows of the owner table rows of an enclosing query.
+ *
+ * The join table is aliased as `opt.joinTableAlias` which defaults to
+ * `opt.relatedTableAlias + '_join'`.
+ *
+ * @see MoronRelation.prototype.correlatedQuery
+ * @returns {MoronQueryBuilder}
+ */
+MoronManyToManyRelation.prototype.correlatedQuery = function (builder, opt) {
+  opt = this._joinOptions(opt);
+
+  var joinTableAlias = opt.joinTableAlias || opt.relatedTableAlias + '_join';
+  var ownerCols = _.flatten([this.ownerCol]);
+  var relatedCols = _.flatten([this.relatedCol]);
+  var joinTableOwnerCols = _.flatten([this.joinTableOwnerCol]);
+  var joinTableRelatedCols = _.flatten([this.joinTableRelatedCol]);
+
+  builder.from(this.joinTable + ' as ' + joinTableAlias).join(opt.relatedJoinSelect, function () {
+    for (var i = 0; i < relatedCols.length; ++i) {
+      this.on(joinTableAlias + '.' + joinTableRelatedCols[i], '=', opt.relatedTableAlias + '.' + relatedCols[i]);
+    }
+  });
+
+  for (var i = 0; i < ownerCols.length; ++i) {
+    builder.whereRaw('??.?? = ??.??', [joinTableAlias, joinTableOwnerCols[i], opt.ownerTable, ownerCols[i]]);
+  }
+
+  return builder;
+};
+
 MoronManyToManyRelation.prototype.insert = function (builder, $owner, $insertion) {
   var self = this;
   var owner = this.ownerModelClass.ensureModel($owner);
+  var extras = [];
+
+  if (!_.isEmpty(this.joinTableExtras)) {
+    var models = this.relatedModelClass.ensureModelArray($insertion);
+
+    // The values of the join table columns are written to the join rows
+    // and must not be inserted to the related table.
+    extras = _.map(models, function (model) {
+      var values = self._joinTableExtraValues(model);
+
+      _.each(self.joinTableExtras, function (extra) {
+        delete model[extra.aliasProp];
+      });
+
+      return values;
+    });
+
+    $insertion = _.isArray($insertion) ? models : models[0];
+  }
 
   // This adds the insert operation and the needed runAfter* methods.
   this.relatedModelClass.$$insert(builder, $insertion);
 
   return builder.runAfterModelCreate(function (related) {
-    var joinRows = self._createJoinRows(owner[self.ownerProp], _.isArray(related) ? _.pluck(related, self.relatedProp) : [related[self.relatedProp]]);
+    var relatedModels = _.flatten([related]);
+    var joinRows = self._createJoinRows(owner.$values(self.ownerProp), _.invoke(relatedModels, '$values', self.relatedProp), extras);
+
+    _.each(relatedModels, function (model, idx) {
+      _.assign(model, extras[idx]);
+      self._markJoinTableExtras(model);
+    });
 
     owner[self.name] = _.compact(_.flatten([owner[self.name], related]));
     // Insert the join rows to the join table.
@@ -77,7 +184,7 @@ MoronManyToManyRelation.prototype.insert = function (builder, $owner, $insertion
 
 MoronManyToManyRelation.prototype.update = function (builder, $owner, $update) {
   var owner = this.ownerModelClass.ensureModel($owner);
-  var idSelectQuery = this._makeFindIdQuery(builder, [owner[this.ownerProp]]).build();
+  var idSelectQuery = this._makeFindIdQuery(builder, [owner.$values(this.ownerProp)]).build();
 
   // Clear all statements but increment and decrement. We don't want to include
   // them in the main query since they are also in the idSelectQuery sub query.
@@ -88,12 +195,12 @@ MoronManyToManyRelation.prototype.update = function (builder, $owner, $update) {
   // This adds the update operation and the needed runAfter* methods.
   this.relatedModelClass.$$update(builder, $update);
 
-  return builder.whereIn(this.relatedModelClass.getFullIdColumn(), idSelectQuery);
+  return builder.whereInComposite(this.relatedModelClass.getFullIdColumn(), idSelectQuery);
 };
 
 MoronManyToManyRelation.prototype.patch = function (builder, $owner, $patch) {
   var owner = this.ownerModelClass.ensureModel($owner);
-  var idSelectQuery = this._makeFindIdQuery(builder, [owner[this.ownerProp]]).build();
+  var idSelectQuery = this._makeFindIdQuery(builder, [owner.$values(this.ownerProp)]).build();
 
   // Clear all statements but increment and decrement. We don't want to include
   // them in the main query since they are also in the idSelectQuery sub query.
@@ -104,13 +211,13 @@ MoronManyToManyRelation.prototype.patch = function (builder, $owner, $patch) {
   // This adds the patch operation and the needed runAfter* methods.
   this.relatedModelClass.$$patch(builder, $patch);
 
-  return builder.whereIn(this.relatedModelClass.getFullIdColumn(), idSelectQuery);
+  return builder.whereInComposite(this.relatedModelClass.getFullIdColumn(), idSelectQuery);
 };
 
 MoronManyToManyRelation.prototype.delete = function (builder, $owner) {
   var self = this;
   var owner = this.ownerModelClass.ensureModel($owner);
-  var idSelectQuery = this._makeFindIdQuery(builder, [owner[this.ownerProp]]).build();
+  var idSelectQuery = this._makeFindIdQuery(builder, [owner.$values(this.ownerProp)]).build();
 
   // Clear all statements. We don't want to include them in the main query since they
   // are also in the idSelectQuery sub query.
@@ -118,23 +225,48 @@ MoronManyToManyRelation.prototype.delete = function (builder, $owner) {
 
   // This adds the delete operation and the needed runAfter* methods.
   this.relatedModelClass.$$delete(builder);
+  builder.whereInComposite(this.relatedModelClass.getFullIdColumn(), idSelectQuery);
 
-  return builder.whereIn(this.relatedModelClass.getFullIdColumn(), idSelectQuery).runBefore(function (result) {
+  if (this.relatedModelClass.softDelete) {
+    // The join rows are kept so that the relations come back when the rows are restored.
+    return builder;
+  }
+
+  return builder.runBefore(function (result) {
     // Delete the join rows from the join table.
-    return self.relatedModelClass
-      .knexQuery(builder.transaction())
+    return MoronQueryBuilder
+      .forClass(self.relatedModelClass)
+      .transacting(builder.transaction())
       .delete()
       .from(self.joinTable)
-      .whereIn(self.fullJoinTableRelatedCol(), idSelectQuery)
+      .whereInComposite(self.fullJoinTableRelatedCol(), idSelectQuery)
       .then(function () {
         return result;
       });
   });
 };
 
+/**
+ * Relates models to `$owner` by inserting join rows.
+ *
+ * `$ids` are the values of `relatedProp`. Objects that contain the `relatedProp` values
+ * and the values of the `join.through.extra` properties can also be given:
+ * `relate({id: 10, role: 'Hero'})`.
+ */
 MoronManyToManyRelation.prototype.relate = function (builder, $owner, $ids) {
+  var self = this;
   var owner = this.ownerModelClass.ensureModel($owner);
-  var joinRows = this._createJoinRows(owner[this.ownerProp], _.flatten([$ids]));
+  var items = this._normalizeRelateItems($ids);
+
+  var keys = _.map(items, function (item) {
+    return isRelatedObject(item) ? relatedKey(item, self.relatedProp) : item;
+  });
+
+  var extras = _.map(items, function (item) {
+    return isRelatedObject(item) ? self._joinTableExtraValues(item) : {};
+  });
+
+  var joinRows = this._createJoinRows(owner.$values(this.ownerProp), keys, extras);
   var arrayInput = _.isArray($ids);
 
   // Insert join rows into the join table.
@@ -146,27 +278,54 @@ MoronManyToManyRelation.prototype.relate = function (builder, $owner, $ids) {
   });
 };
 
-MoronManyToManyRelation.prototype.unrelate = function (builder, $owner) {
-  var self = this;
+/**
+ * Unrelates the related models of `$owner` by deleting the join rows.
+ *
+ * If `$ids` is given, only the related models whose `relatedProp` values are in `$ids`
+ * are unrelated. Otherwise all related models that match the query are unrelated. The
+ * number of deleted join rows is returned.
+ */
+MoronManyToManyRelation.prototype.unrelate = function (builder, $owner, $ids) {
   var owner = this.ownerModelClass.ensureModel($owner);
-  var idSelectQuery = this._makeFindIdQuery(builder, [owner[self.ownerProp]]).build();
+  var ownerValues = owner.$values(this.ownerProp);
+
+  // Soft deleted related models keep their join rows and can also be unrelated.
+  var relatedSelectQuery = this
+    ._makeFindIdQuery(builder.withDeleted(), [ownerValues])
+    .clear('select')
+    .select(this.fullRelatedCol())
+    .build();
 
   // Clear all statements. We don't want to include them in the main query since they
-  // are also in the idSelectQuery sub query.
+  // are also in the relatedSelectQuery sub query.
   builder.clear();
 
-  // Delete the join rows from the join table.
-  return builder
+  // Delete the join rows of the owner from the join table.
+  builder
     .delete()
-    .from(self.joinTable)
-    .whereIn(self.fullJoinTableRelatedCol(), idSelectQuery)
-    .runAfterModelCreatePushFront(_.constant({}));
+    .from(this.joinTable)
+    .whereComposite(this.fullJoinTableOwnerCol(), ownerValues)
+    .whereInComposite(this.fullJoinTableRelatedCol(), relatedSelectQuery);
+
+  if (!_.isUndefined($ids)) {
+    builder.whereInComposite(this.fullJoinTableRelatedCol(), this._normalizeKeys($ids));
+  }
+
+  return builder;
 };
 
 MoronManyToManyRelation.prototype._makeFindQuery = function (builder, ownerIds) {
+  var joinTableRelatedCols = _.flatten([this.fullJoinTableRelatedCol()]);
+  var relatedCols = _.flatten([this.fullRelatedCol()]);
+
   return builder
-    .join(this.joinTable, this.fullJoinTableRelatedCol(), this.fullRelatedCol())
-    .whereIn(this.fullJoinTableOwnerCol(), ownerIds);
+    .join(this.joinTable, function () {
+      for (var i = 0, l = relatedCols.length; i < l; ++i) {
+        this.on(joinTableRelatedCols[i], relatedCols[i]);
+      }
+    })
+    .whereInComposite(this.fullJoinTableOwnerCol(), ownerIds)
+    .call(this.additionalQuery);
 };
 
 MoronManyToManyRelation.prototype._makeFindIdQuery = function (builder, ownerIds) {
@@ -179,21 +338,74 @@ MoronManyToManyRelation.prototype._makeFindIdQuery = function (builder, ownerIds
   return this._makeFindQuery(builder, ownerIds);
 };
 
-MoronManyToManyRelation.prototype._createJoinRows = function (ownerId, relatedIds) {
+MoronManyToManyRelation.prototype._createJoinRows = function (ownerId, relatedIds, extras) {
   var self = this;
 
   if (!_.isArray(relatedIds)) {
     relatedIds = [relatedIds];
   }
 
-  return _.map(relatedIds, function (relatedId) {
-    var joinRow = {};
+  return _.map(relatedIds, function (relatedId, idx) {
+    var joinRow = _.assign(
+      self._columnValues(self.joinTableOwnerCol, ownerId),
+      self._columnValues(self.joinTableRelatedCol, relatedId));
 
-    joinRow[self.joinTableOwnerCol] = ownerId;
-    joinRow[self.joinTableRelatedCol] = relatedId;
+    _.each(self.joinTableExtras, function (extra) {
+      var value = extras && extras[idx] && extras[idx][extra.aliasProp];
+
+      if (!_.isUndefined(value)) {
+        joinRow[extra.joinTableCol] = value;
+      }
+    });
 
     return joinRow;
   });
 };
 
+/**
+ * Picks the values of the `join.through.extra` properties from an object.
+ *
+ * @returns {Object}
+ */
+MoronManyToManyRelation.prototype._joinTableExtraValues = function (obj) {
+  var values = {};
+
+  _.each(this.joinTableExtras, function (extra) {
+    if (!_.isUndefined(obj[extra.aliasProp])) {
+      values[extra.aliasProp] = obj[extra.aliasProp];
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Like `_normalizeKeys` but also accepts an object or an array of objects.
+ *
+ * @returns {Array}
+ */
+MoronManyToManyRelation.prototype._normalizeRelateItems = function ($items) {
+  if (isRelatedObject($items)) {
+    return [$items];
+  } else if (_.isArray($items) && isRelatedObject(_.first($items))) {
+    return $items;
+  } else {
+    return this._normalizeKeys($items);
+  }
+};
+
+function isRelatedObject(item) {
+  return _.isObject(item) && !_.isArray(item);
+}
+
+function relatedKey(obj, relatedProp) {
+  if (_.isArray(relatedProp)) {
+    return _.map(relatedProp, function (prop) {
+      return obj[prop];
+    });
+  } else {
+    return obj[relatedProp];
+  }
+}
+
 module.exports = MoronManyToManyRelation;
@@ -0,0 +1,122 @@
+"use strict";
+
+var _ = require('lodash')
+  , MoronHasManyRelation = require('./MoronHasManyRelation');
+
+/**
+ * The owner side of a polymorphic relation.
+ *
+ * The related table points to the owners of multiple tables. A type column of the related
+ * table tells which table the owner of each row is in. `morph.value` is the value of the
+ * type column for the owners of this relation:
+ *
+ * ```js
+ * Post.relationMappings = {
+ *   comments: {
+ *     relation: MoronModel.MorphManyRelation,
+ *     modelClass: Comment,
+ *     join: {
+ *       from: 'Post.id',
+ *       to: 'Comment.commentableId'
+ *     },
+ *     morph: {
+ *       column: 'Comment.commentableType',
+ *       value: 'post'
+ *     }
+ *   }
+ * };
+ * ```
+ *
+ * Works like `MoronHasManyRelation` except that only the rows of the type are related
+ * and the type column is written when models are inserted, related and unrelated.
+ *
+ * @see MoronMorphToRelation
+ * @constructor
+ * @extends MoronHasManyRelation
+ */
+function MoronMorphManyRelation() {
+  MoronHasManyRelation.apply(this, arguments);
+
+  /**
+   * The type column in the related table.
+   *
+   * @type {String}
+   */
+  this.typeCol = null;
+
+  /**
+   * The type property in the related model.
+   *
+   * @type {String}
+   */
+  this.typeProp = null;
+
+  /**
+   * The value of the type column for the owners of this relation.
+   *
+   * @type {*}
+   */
+  this.typeValue = null;
+}
+
+MoronHasManyRelation.makeSubclass(MoronMorphManyRelation);
+
+MoronMorphManyRelation.prototype.setMapping = function (mapping) {
+  var retVal = MoronHasManyRelation.prototype.setMapping.call(this, mapping);
+  var errorPrefix = this.ownerModelClass.name + '.relationMappings.' + this.name;
+  var morph = mapping.morph;
+
+  if (!morph || !_.isString(morph.column) || _.isUndefined(morph.value)) {
+    throw new Error(errorPrefix + '.morph must be an object that describes the type column of the related table. For example: {column: \'SomeTable.someType\', value: \'someValue\'}');
+  }
+
+  var typeColumn = this._parseColumn(morph.column);
+
+  if (typeColumn.table !== this.relatedModelClass.tableName || !typeColumn.name) {
+    throw new Error(errorPrefix + '.morph.column must point to the related model table. For example `SomeTable.someType`.');
+  }
+
+  this.typeCol = typeColumn.name;
+  this.typeProp = this._propertyName(typeColumn, this.relatedModelClass);
+  this.typeValue = morph.value;
+
+  var additionalQuery = this.additionalQuery;
+  var fullTypeCol = this.relatedModelClass.tableName + '.' + this.typeCol;
+  var typeValue = this.typeValue;
+
+  // All queries of the relation are restricted to the rows of the type.
+  this.additionalQuery = function (builder) {
+    builder.where(fullTypeCol, typeValue).call(additionalQuery);
+  };
+
+  return retVal;
+};
+
+MoronMorphManyRelation.prototype.clone = function () {
+  var clone = MoronHasManyRelation.prototype.clone.call(this);
+
+  clone.typeCol = this.typeCol;
+  clone.typeProp = this.typeProp;
+  clone.typeValue = this.typeValue;
+
+  return clone;
+};
+
+MoronMorphManyRelation.prototype.unrelate = function (builder, $owner, $ids) {
+  return MoronHasManyRelation.prototype.unrelate
+    .call(this, builder, $owner, $ids)
+    .where(this.relatedModelClass.tableName + '.' + this.typeCol, this.typeValue);
+};
+
+MoronMorphManyRelation.prototype._setOwnerKey = function (related, ownerKey) {
+  MoronHasManyRelation.prototype._setOwnerKey.call(this, related, ownerKey);
+  related[this.typeProp] = this.typeValue;
+};
+
+MoronMorphManyRelation.prototype._ownerKeyColumns = function (ownerKey) {
+  var columns = MoronHasManyRelation.prototype._ownerKeyColumns.call(this, ownerKey);
+  columns[this.typeCol] = ownerKey === null ? null : this.typeValue;
+  return columns;
+};
+
+module.exports = MoronMorphManyRelation;
@@ -0,0 +1,257 @@
+"use strict";
+
+var _ = require('lodash')
+  , MoronRelation = require('./MoronRelation')
+  , MoronBelongsToOneRelation = require('./MoronBelongsToOneRelation');
+
+/**
+ * The polymorphic side of a polymorphic relation.
+ *
+ * The owner table has a column that points to a row of one of multiple tables and a type
+ * column that tells which table it is. `morph.types` maps the values of the type column
+ * to model classes. The related model is identified by its `idColumn`:
+ *
+ * ```js
+ * Comment.relationMappings = {
+ *   commentable: {
+ *     relation: MoronModel.MorphToRelation,
+ *     join: {
+ *       from: 'Comment.commentableId'
+ *     },
+ *     morph: {
+ *       column: 'Comment.commentableType',
+ *       types: {
+ *         post: Post,
+ *         photo: __dirname + '/Photo'
+ *       }
+ *     }
+ *   }
+ * };
+ * ```
+ *
+ * The relation has no single related model class. The related models of each type are
+ * handled by a `MoronBelongsToOneRelation` that `relationFor` returns for an owner. Eager loading
+ * fetches the related models of each type with a separate query. `$relatedQuery` needs
+ * the type property of the owner to be set, also for `relate`:
+ *
+ * ```js
+ * comment.commentableType = 'post';
+ * comment.$relatedQuery('commentable').relate(post.id);
+ * ```
+ *
+ * Polymorphic relations cannot be joined.
+ *
+ * @see MoronMorphManyRelation
+ * @constructor
+ * @extends MoronRelation
+ */
+function MoronMorphToRelation() {
+  MoronRelation.apply(this, arguments);
+
+  /**
+   * The type column in the owner table.
+   *
+   * @type {String}
+   */
+  this.typeCol = null;
+
+  /**
+   * The type property in the owner model.
+   *
+   * @type {String}
+   */
+  this.typeProp = null;
+
+  /**
+   * The relation of each type by the value of the type column.
+   *
+   * @type {Object.<String, MoronBelongsToOneRelation>}
+   */
+  this.typeRelations = Object.create(null);
+}
+
+MoronRelation.makeSubclass(MoronMorphToRelation);
+
+MoronMorphToRelation.prototype.setMapping = function (mapping) {
+  var self = this;
+  var errorPrefix = this.ownerModelClass.name + '.relationMappings.' + this.name;
+  var morph = mapping.morph;
+
+  if (!mapping.join || !mapping.join.from) {
+    throw new Error(errorPrefix + '.join must be an object that has the column that points to the related models. For example: {from: \'SomeTable.someId\'}');
+  }
+
+  if (!morph || !_.isString(morph.column) || !_.isObject(morph.types) || _.isEmpty(morph.types)) {
+    throw new Error(errorPrefix + '.morph must be an object that describes the type column and maps its values to model classes. For example: {column: \'SomeTable.someType\', types: {someValue: SomeModel}}');
+  }
+
+  var typeColumn = this._parseColumn(morph.column);
+
+  if (typeColumn.table !== this.ownerModelClass.tableName || !typeColumn.name) {
+    throw new Error(errorPrefix + '.morph.column must point to the owner model table. For example `SomeTable.someType`.');
+  }
+
+  _.each(morph.types, function (modelClass, typeValue) {
+    var ModelClass = self._resolveModelClass(modelClass, errorPrefix + '.morph.types.' + typeValue);
+    var relation = new MorphToTypeRelation(self.name, self.ownerModelClass);
+
+    relation.setMapping({
+      relation: MorphToTypeRelation,
+      modelClass: ModelClass,
+      join: {
+        from: mapping.join.from,
+        to: ModelClass.getFullIdColumn()
+      },
+      query: mapping.query
+    });
+
+    relation.typeCol = typeColumn.name;
+    relation.typeValue = typeValue;
+
+    self.typeRelations[typeValue] = relation;
+  });
+
+  var firstRelation = _.first(_.values(this.typeRelations));
+
+  this.additionalQuery = firstRelation.additionalQuery;
+  this.ownerCol = firstRelation.ownerCol;
+  this.ownerProp = firstRelation.ownerProp;
+  this.typeCol = typeColumn.name;
+  this.typeProp = this._propertyName(typeColumn, this.ownerModelClass);
+};
+
+MoronMorphToRelation.prototype.clone = function () {
+  var clone = MoronRelation.prototype.clone.call(this);
+
+  clone.typeCol = this.typeCol;
+  clone.typeProp = this.typeProp;
+  clone.typeRelations = this.typeRelations;
+
+  return clone;
+};
+
+MoronMorphToRelation.prototype.bindKnex = function (knex) {
+  var bound = this.clone();
+
+  bound.ownerModelClass = bound.ownerModelClass.bindKnex(knex);
+  bound.typeRelations = _.mapValues(this.typeRelations, function (relation) {
+    return relation.bindKnex(knex);
+  });
+
+  return bound;
+};
+
+MoronMorphToRelation.prototype.bindTransaction = function (transaction) {
+  var bound = this.clone();
+
+  bound.ownerModelClass = bound.ownerModelClass.bindTransaction(transaction);
+  bound.typeRelations = _.mapValues(this.typeRelations, function (relation) {
+    return relation.bindTransaction(transaction);
+  });
+
+  return bound;
+};
+
+MoronMorphToRelation.prototype.isOneToOne = function () {
+  return true;
+};
+
+/**
+ * Returns the relation of the type of `owner`.
+ *
+ * @throws {Error} if the type of `owner` is not set or is unknown.
+ * @returns {MoronBelongsToOneRelation}
+ */
+MoronMorphToRelation.prototype.relationFor = function (owner) {
+  var typeValue = owner[this.typeProp];
+
+  if (_.isNull(typeValue) || _.isUndefined(typeValue)) {
+    throw new Error(this.ownerModelClass.name + '.' + this.name + ': the type of the related model is unknown because ' + this.typeProp + ' is not set');
+  }
+
+  return this._typeRelation(typeValue);
+};
+
+/**
+ * Groups `owners` by the value of the type column.
+ *
+ * The owners whose type is not set have no related model. Their `propertyName`
+ * property is set to null.
+ *
+ * @see MoronRelation.prototype.groupOwners
+ */
+MoronMorphToRelation.prototype.groupOwners = function (owners, propertyName) {
+  var self = this;
+  var prop = propertyName || this.name;
+
+  var typedOwners = _.filter(owners, function (owner) {
+    var typeValue = owner[self.typeProp];
+
+    if (_.isNull(typeValue) || _.isUndefined(typeValue)) {
+      owner[prop] = null;
+      return false;
+    }
+
+    return true;
+  });
+
+  return _.map(_.groupBy(typedOwners, this.typeProp), function (owners, typeValue) {
+    return {relation: self._typeRelation(typeValue), owners: owners};
+  });
+};
+
+MoronMorphToRelation.prototype.find = function () {
+  throw new Error(this.ownerModelClass.name + '.' + this.name + ' is polymorphic. Use relationFor to get the relation of the type of an owner.');
+};
+
+MoronMorphToRelation.prototype.join = function () {
+  throw new Error('cannot join polymorphic relation ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronMorphToRelation.prototype.correlatedQuery = function () {
+  throw new Error('cannot join polymorphic relation ' + this.ownerModelClass.name + '.' + this.name);
+};
+
+MoronMorphToRelation.prototype._typeRelation = function (typeValue) {
+  var relation = this.typeRelations[typeValue];
+
+  if (!relation) {
+    throw new Error(this.ownerModelClass.name + '.' + this.name + ': unknown type "' + typeValue + '"');
+  }
+
+  return relation;
+};
+
+/**
+ * Relation to the models of one type of a `MoronMorphToRelation`.
+ *
+ * The type column of the owner is written together with the identifier of the
+ * related model.
+ *
+ * @constructor
+ * @extends MoronBelongsToOneRelation
+ */
+function MorphToTypeRelation() {
+  MoronBelongsToOneRelation.apply(this, arguments);
+  this.typeCol = null;
+  this.typeValue = null;
+}
+
+MoronBelongsToOneRelation.makeSubclass(MorphToTypeRelation);
+
+MorphToTypeRelation.prototype.clone = function () {
+  var clone = MoronBelongsToOneRelation.prototype.clone.call(this);
+
+  clone.typeCol = this.typeCol;
+  clone.typeValue = this.typeValue;
+
+  return clone;
+};
+
+MorphToTypeRelation.prototype._relatedKeyColumns = function (relatedKey) {
+  var columns = MoronBelongsToOneRelation.prototype._relatedKeyColumns.call(this, relatedKey);
+  columns[this.typeCol] = relatedKey === null ? null : this.typeValue;
+  return columns;
+};
+
+module.exports = MoronMorphToRelation;
@@ -7,11 +7,19 @@ var _ = require('lodash')
 /**
  * @typedef {Object} MoronRelationJoin
  *
- * @property {String} from
- * @property {String} to
- * @property {Object} through
- * @property {String} through.from
- * @property {String} through.to
+ * Each column can also be an array of columns for composite keys. For example
+ * `['SomeTable.tenantId', 'SomeTable.id']`.
+ *
+ * @property {String|Array.<String>} from
+ * @property {String|Array.<String>} to
+ * @property {Object|Array.<Object>} through
+ *    The join table. An array of objects describes a chain of intermediate tables
+ *    from the `from` table to the `to` table.
+ * @property {String|Array.<String>} through.from
+ * @property {String|Array.<String>} through.to
+ * @property {Array.<String>|Object.<String, String>} through.extra
+ *    Additional columns of the join table. Either an array of column names or an object
+ *    that maps property names to column names.
  */
 
 /**
@@ -21,6 +29,9 @@ var _ = require('lodash')
  * @property {MoronRelation} relation
  * @property {MoronRelationJoin} [join]
  * @property {function(MoronQueryBuilder)|Object} [query]
+ * @property {Object} [morph]
+ *    The type column of a polymorphic relation. See `MoronMorphToRelation` and
+ *    `MoronMorphManyRelation`.
  */
 
 /**
@@ -63,28 +74,36 @@ function MoronRelation(relationName, OwnerClass) {
   /**
    * The relation column in the owner table.
    *
-   * @type {String}
+   * An array of columns if the relation uses a composite key.
+   *
+   * @type {String|Array.<String>}
    */
   this.ownerCol = null;
 
   /**
    * The relation property in the owner model.
    *
-   * @type {String}
+   * An array of properties if the relation uses a composite key.
+   *
+   * @type {String|Array.<String>}
    */
   this.ownerProp = null;
 
   /**
    * The relation column in the related table.
    *
-   * @type {String}
+   * An array of columns if the relation uses a composite key.
+   *
+   * @type {String|Array.<String>}
    */
   this.relatedCol = null;
 
   /**
    * The relation property in the related model.
    *
-   * @type {String}
+   * An array of properties if the relation uses a composite key.
+   *
+   * @type {String|Array.<String>}
    */
   this.relatedProp = null;
 
@@ -98,20 +117,51 @@ function MoronRelation(relationName, OwnerClass) {
   /**
    * The relation column in the join table that points to the owner table.
    *
-   * @type {String}
+   * An array of columns if the relation uses a composite key.
+   *
+   * @type {String|Array.<String>}
    */
   this.joinTableOwnerCol = null;
 
   /**
    * The relation column in the join table that points to the related table.
    *
-   * @type {String}
+   * An array of columns if the relation uses a composite key.
+   *
+   * @type {String|Array.<String>}
    */
   this.joinTableRelatedCol = null;
 
+  /**
+   * Additional columns of the join table.
+   *
+   * Parsed from `join.through.extra` of the relation mapping. Each item has the column
+   * name `joinTableCol` and the name of the property `aliasProp` through which the value is
+   * read from and written to the related models.
+   *
+   * @type {Array.<{joinTableCol: String, aliasProp: String}>}
+   */
+  this.joinTableExtras = [];
+
+  /**
+   * The intermediate tables between the owner and the related table.
+   *
+   * Parsed from `join.through` of the relation mapping. The tables are ordered from the
+   * owner table to the related table. `ownerCol` of each table is joined to the previous
+   * table (the owner table for the first one) and `relatedCol` to the next table (the
+   * related table for the last one). A single `join.through` object creates a chain of
+   * one table.
+   *
+   * @type {Array.<{table: String, ownerCol: String|Array.<String>, relatedCol: String|Array.<String>}>}
+   */
+  this.throughChain = [];
+
   /**
    * Optional additional query.
    *
+   * Parsed from the `query` property of the relation mapping. This is applied to all
+   * queries that select, update, patch or delete related models through this relation.
+   *
    * @type {function (MoronQueryBuilder)}
    */
   this.additionalQuery = null;
@@ -141,23 +191,7 @@ MoronRelation.prototype.setMapping = function (mapping) {
     throw new Error(errorPrefix + '.modelClass is not defined');
   }
 
-  if (_.isString(mapping.modelClass)) {
-    try {
-      this.relatedModelClass = require(mapping.modelClass);
-    } catch (err) {
-      throw new Error(errorPrefix + '.modelClass is an invalid file path to a model class.');
-    }
-
-    if (!utils.isSubclassOf(this.relatedModelClass, MoronModel)) {
-      throw new Error(errorPrefix + '.modelClass is a valid path to a module, but the module doesn\'t export a MoronModel subclass.');
-    }
-  } else {
-    this.relatedModelClass = mapping.modelClass;
-
-    if (!utils.isSubclassOf(this.relatedModelClass, MoronModel)) {
-      throw new Error(errorPrefix + '.modelClass is not a subclass of MoronModel or a file path to a module that exports one.');
-    }
-  }
+  this.relatedModelClass = this._resolveModelClass(mapping.modelClass, errorPrefix + '.modelClass');
 
   if (!mapping.relation) {
     throw new Error(errorPrefix + '.relation is not defined');
@@ -167,15 +201,15 @@ MoronRelation.prototype.setMapping = function (mapping) {
     throw new Error(errorPrefix + '.relation is not a subclass of MoronRelation');
   }
 
-  if (!mapping.join || !_.isString(mapping.join.from) || !_.isString(mapping.join.to)) {
+  if (!mapping.join || !isColumnReference(mapping.join.from) || !isColumnReference(mapping.join.to)) {
     throw new Error(errorPrefix + '.join must be an object that maps the columns of the related models together. For example: {from: \'SomeTable.id\', to: \'SomeOtherTable.someModelId\'}');
   }
 
   var joinOwner = null;
   var joinRelated = null;
 
-  var joinFrom = parseColumn(mapping.join.from);
-  var joinTo = parseColumn(mapping.join.to);
+  var joinFrom = parseColumns(mapping.join.from);
+  var joinTo = parseColumns(mapping.join.to);
 
   if (!joinFrom.table || !joinFrom.name) {
     throw new Error(errorPrefix + '.join.from must have format TableName.columnName. For example `SomeTable.id`.');
@@ -199,38 +233,59 @@ MoronRelation.prototype.setMapping = function (mapping) {
     throw new Error(errorPrefix + '.join: either `from` or `to` must point to the related model table.');
   }
 
+  if (!mapping.join.through && columnCount(joinFrom) !== columnCount(joinTo)) {
+    throw new Error(errorPrefix + '.join: `from` and `to` must have the same number of columns.');
+  }
+
   if (mapping.join.through) {
-    if (!_.isString(mapping.join.through.from) || !_.isString(mapping.join.through.to)) {
-      throw new Error(errorPrefix + '.join.through must be an object that describes the join table. For example: {from: \'JoinTable.someId\', to: \'JoinTable.someOtherId\'}');
-    }
+    var isChain = _.isArray(mapping.join.through);
 
-    var joinTableFrom = parseColumn(mapping.join.through.from);
-    var joinTableTo = parseColumn(mapping.join.through.to);
+    var hops = _.map(_.flatten([mapping.join.through]), function (through, idx) {
+      return parseThroughHop(through, errorPrefix + '.join.through' + (isChain ? '[' + idx + ']' : ''));
+    });
 
-    if (!joinTableFrom.table || !joinTableFrom.name) {
-      throw new Error(errorPrefix + '.join.through.from must have format JoinTable.columnName. For example `JoinTable.someId`.');
+    if (_.isEmpty(hops)) {
+      throw new Error(errorPrefix + '.join.through must not be empty.');
     }
 
-    if (!joinTableTo.table || !joinTableTo.name) {
-      throw new Error(errorPrefix + '.join.through.to must have format JoinTable.columnName. For example `JoinTable.someId`.');
-    }
+    var prevCount = columnCount(joinFrom);
+
+    _.each(hops, function (hop) {
+      if (columnCount(hop.from) !== prevCount) {
+        throw new Error(errorPrefix + '.join.through: `from` and `to` must have the same number of columns as `join.from` and `join.to`.');
+      }
+
+      prevCount = columnCount(hop.to);
+    });
 
-    if (joinTableFrom.table !== joinTableTo.table) {
-      throw new Error(errorPrefix + '.join.through `from` and `to` must point to the same join table.');
+    if (prevCount !== columnCount(joinTo)) {
+      throw new Error(errorPrefix + '.join.through: `from` and `to` must have the same number of columns as `join.from` and `join.to`.');
     }
 
-    this.joinTable = joinTableFrom.table;
+    if (joinFrom.table !== this.ownerModelClass.tableName) {
+      // The chain is described from the related table to the owner table.
+      hops = _.map(hops.reverse(), function (hop) {
+        return {table: hop.table, from: hop.to, to: hop.from, extra: hop.extra};
+      });
+    }
 
-    if (joinFrom.table === this.ownerModelClass.tableName) {
-      this.joinTableOwnerCol = joinTableFrom.name;
-      this.joinTableRelatedCol = joinTableTo.name;
-    } else {
-      this.joinTableRelatedCol = joinTableFrom.name;
-      this.joinTableOwnerCol = joinTableTo.name;
+    this.throughChain = _.map(hops, function (hop) {
+      return {
+        table: hop.table,
+        ownerCol: hop.from.name,
+        relatedCol: hop.to.name
+      };
+    });
+
+    if (!isChain) {
+      this.joinTable = hops[0].table;
+      this.joinTableOwnerCol = hops[0].from.name;
+      this.joinTableRelatedCol = hops[0].to.name;
+      this.joinTableExtras = parseJoinTableExtras(hops[0].extra, errorPrefix);
     }
   }
 
-  this.query = parseMappingQuery(mapping);
+  this.additionalQuery = parseMappingQuery(mapping);
   this.ownerProp = this._propertyName(joinOwner, this.ownerModelClass);
   this.ownerCol = joinOwner.name;
   this.relatedProp = this._propertyName(joinRelated, this.relatedModelClass);
@@ -238,19 +293,28 @@ MoronRelation.prototype.setMapping = function (mapping) {
 };
 
 MoronRelation.prototype.fullOwnerCol = function () {
-  return this.ownerModelClass.tableName + '.' + this.ownerCol;
+  return fullColumn(this.ownerModelClass.tableName, this.ownerCol);
 };
 
 MoronRelation.prototype.fullRelatedCol = function () {
-  return this.relatedModelClass.tableName + '.' + this.relatedCol;
+  return fullColumn(this.relatedModelClass.tableName, this.relatedCol);
 };
 
 MoronRelation.prototype.fullJoinTableOwnerCol = function () {
-  return this.joinTable + '.' + this.joinTableOwnerCol;
+  return fullColumn(this.joinTable, this.joinTableOwnerCol);
 };
 
 MoronRelation.prototype.fullJoinTableRelatedCol = function () {
-  return this.joinTable + '.' + this.joinTableRelatedCol;
+  return fullColumn(this.joinTable, this.joinTableRelatedCol);
+};
+
+/**
+ * Returns true if the relation uses a composite key.
+ *
+ * @returns {Boolean}
+ */
+MoronRelation.prototype.isComposite = function () {
+  return _.isArray(this.ownerCol) || _.isArray(this.relatedCol);
 };
 
 MoronRelation.prototype.clone = function () {
@@ -264,6 +328,8 @@ MoronRelation.prototype.clone = function () {
   clone.joinTable = this.joinTable;
   clone.joinTableOwnerCol = this.joinTableOwnerCol;
   clone.joinTableRelatedCol = this.joinTableRelatedCol;
+  clone.joinTableExtras = this.joinTableExtras;
+  clone.throughChain = this.throughChain;
   clone.additionalQuery = this.additionalQuery;
 
   return clone;
@@ -287,7 +353,130 @@ MoronRelation.prototype.bindTransaction = function (transaction) {
   return bound;
 };
 
-MoronRelation.prototype.find = function (builder, $owners) {
+/**
+ * Returns true if this relation relates an owner to at most one model.
+ *
+ * @returns {Boolean}
+ */
+MoronRelation.prototype.isOneToOne = function () {
+  return false;
+};
+
+/**
+ * Returns the relation that relates `owner` to its related models.
+ *
+ * This is the relation itself except for polymorphic relations whose related model
+ * class depends on the owner.
+ *
+ * @param {MoronModel} owner
+ * @returns {MoronRelation}
+ */
+MoronRelation.prototype.relationFor = function (owner) {
+  return this;
+};
+
+/**
+ * Groups `owners` by the relation that fetches their related models.
+ *
+ * This returns a single group for all but polymorphic relations. The related models of
+ * each group are fetched with a separate query.
+ *
+ * @param {Array.<MoronModel>} owners
+ * @param {String=} propertyName
+ *    The property the related models are set to.
+ *
+ * @returns {Array.<{relation: MoronRelation, owners: Array.<MoronModel>}>}
+ */
+MoronRelation.prototype.groupOwners = function (owners, propertyName) {
+  return [{relation: this, owners: owners}];
+};
+
+/**
+ * Joins the related table to a query that selects from the owner table.
+ *
+ * ```js
+ * relation.join(builder, {
+ *   joinOperation: 'leftJoin',
+ *   relatedTableAlias: 'pets'
+ * });
+ * ```
+ *
+ * @param {MoronQueryBuilder} builder
+ *
+ * @param {Object=} opt
+ * @param {String=} opt.joinOperation
+ *    Name of the knex join method to use. `join` by default.
+ * @param {String=} opt.ownerTable
+ *    Name or alias of the owner table in the query. `ownerModelClass.tableName` by default.
+ * @param {String=} opt.relatedTableAlias
+ *    Alias for the related table. `relatedModelClass.tableName` by default.
+ * @param {Object=} opt.relatedJoinSelect
+ *    Raw subquery that is joined instead of the related table. It must be aliased
+ *    as `opt.relatedTableAlias`. By default the related table is joined or a subquery
+ *    if the relation mapping has a `query`.
+ *
+ * @returns {MoronQueryBuilder}
+ */
+MoronRelation.prototype.join = function (builder, opt) {
+  opt = this._joinOptions(opt);
+
+  var ownerCols = _.flatten([this.ownerCol]);
+  var relatedCols = _.flatten([this.relatedCol]);
+
+  return builder[opt.joinOperation](opt.relatedJoinSelect, function () {
+    for (var i = 0; i < ownerCols.length; ++i) {
+      this.on(opt.ownerTable + '.' + ownerCols[i], '=', opt.relatedTableAlias + '.' + relatedCols[i]);
+    }
+  });
+};
+
+/**
+ * Makes a query select the related rows of the owner table rows of an enclosing query.
+ *
+ * This is used to create correlated subqueries. For example the following selects
+ * the persons that have pets:
+ *
+ * ```js
+ * var subQuery = MoronQueryBuilder.forClass(Pet).select(knex.raw('1'));
+ * relation.correlatedQuery(subQuery, {relatedTableAlias: 'pets'});
+ * Person.query().whereExists(subQuery.build());
+ * ```
+ *
+ * @param {MoronQueryBuilder} builder
+ *    Query builder for the related model class.
+ *
+ * @param {Object=} opt
+ *    The same options as for `join` except `joinOperation`.
+ *
+ * @returns {MoronQueryBuilder}
+ */
+MoronRelation.prototype.correlatedQuery = function (builder, opt) {
+  opt = this._joinOptions(opt);
+
+  var ownerCols = _.flatten([this.ownerCol]);
+  var relatedCols = _.flatten([this.relatedCol]);
+
+  builder.from(opt.relatedJoinSelect);
+
+  for (var i = 0; i < ownerCols.length; ++i) {
+    builder.whereRaw('??.?? = ??.??', [opt.relatedTableAlias, relatedCols[i], opt.ownerTable, ownerCols[i]]);
+  }
+
+  return builder;
+};
+
+/**
+ * Builds a query that fetches the related models of all `$owners`.
+ *
+ * The related models are set to the `propertyName` property of the owners. The relation
+ * name is used by default.
+ *
+ * @param {MoronQueryBuilder} builder
+ * @param {MoronModel|Array.<MoronModel>} $owners
+ * @param {String=} propertyName
+ * @returns {MoronQueryBuilder}
+ */
+MoronRelation.prototype.find = function (builder, $owners, propertyName) {
   return builder;
 };
 
@@ -315,17 +504,161 @@ MoronRelation.prototype.unrelate = function (builder, $owner) {
   return builder;
 };
 
+/**
+ * Marks the `join.through.extra` properties of a related model so that they are not
+ * written to the related table.
+ */
+MoronRelation.prototype._markJoinTableExtras = function (model) {
+  if (!_.isEmpty(this.joinTableExtras)) {
+    model.$$setJoinTableExtras(_.pluck(this.joinTableExtras, 'aliasProp'));
+  }
+};
+
+/**
+ * Returns the model class given in a relation mapping.
+ *
+ * The class can also be given as a path to a module that exports it. `mappingPath` is
+ * the path of the class in the relation mappings for the error messages.
+ *
+ * @returns {MoronModel}
+ */
+MoronRelation.prototype._resolveModelClass = function (modelClass, mappingPath) {
+  var MoronModel = require('../MoronModel');
+  var ModelClass = modelClass;
+
+  if (_.isString(modelClass)) {
+    try {
+      ModelClass = require(modelClass);
+    } catch (err) {
+      throw new Error(mappingPath + ' is an invalid file path to a model class.');
+    }
+
+    if (!utils.isSubclassOf(ModelClass, MoronModel)) {
+      throw new Error(mappingPath + ' is a valid path to a module, but the module doesn\'t export a MoronModel subclass.');
+    }
+  } else if (!utils.isSubclassOf(ModelClass, MoronModel)) {
+    throw new Error(mappingPath + ' is not a subclass of MoronModel or a file path to a module that exports one.');
+  }
+
+  return ModelClass;
+};
+
 MoronRelation.prototype._propertyName = function (column, modelClass) {
-  var propertyName = modelClass.columnNameToPropertyName(column.name);
+  var self = this;
+
+  var propertyNames = _.map(_.flatten([column.name]), function (columnName) {
+    var propertyName = modelClass.columnNameToPropertyName(columnName);
 
-  if (!propertyName) {
-    throw new Error(modelClass.name +
-    '.$parseDatabaseJson probably transforms the value of the column ' + column.name + '.' +
-    ' This is a no-no because ' + column.name +
-    ' is needed in the relation ' + this.ownerModelClass.name + '.' + this.name);
+    if (!propertyName) {
+      throw new Error(modelClass.name +
+      '.$parseDatabaseJson probably transforms the value of the column ' + columnName + '.' +
+      ' This is a no-no because ' + columnName +
+      ' is needed in the relation ' + self.ownerModelClass.name + '.' + self.name);
+    }
+
+    return propertyName;
+  });
+
+  return _.isArray(column.name) ? propertyNames : propertyNames[0];
+};
+
+/**
+ * Parses a column reference like `SomeTable.someColumn` into `{table, name}`.
+ *
+ * @returns {{table: String, name: String}}
+ */
+MoronRelation.prototype._parseColumn = function (column) {
+  return parseColumn(column);
+};
+
+/**
+ * Prefixes `column` with `table`. The columns of a composite key are prefixed one by one.
+ *
+ * @returns {String|Array.<String>}
+ */
+MoronRelation.prototype._fullColumn = function (table, column) {
+  return fullColumn(table, column);
+};
+
+/**
+ * Normalizes the related keys (values of `relatedProp`) given for example to `relate`.
+ *
+ * For composite keys a single key (an array of values) is wrapped into an array.
+ *
+ * @returns {Array}
+ */
+MoronRelation.prototype._normalizeKeys = function ($keys) {
+  if (_.isArray(this.relatedProp)) {
+    return _.isArray(_.first($keys)) ? $keys : [$keys];
+  } else {
+    return _.flatten([$keys]);
   }
+};
 
-  return propertyName;
+/**
+ * Removes the keys that are not set.
+ *
+ * Like `_.compact` but a composite key is removed if any of its values is not set.
+ *
+ * @returns {Array}
+ */
+MoronRelation.prototype._compactKeys = function (keys) {
+  return _.filter(keys, function (key) {
+    return _.all(_.flatten([key]), _.identity);
+  });
+};
+
+/**
+ * Creates an object that maps the given columns to the given values.
+ *
+ * Useful for creating `update` objects for knex.
+ *
+ * @returns {Object}
+ */
+MoronRelation.prototype._columnValues = function (columns, values) {
+  if (_.isArray(columns)) {
+    return _.zipObject(columns, _.map(columns, function (column, idx) {
+      return values ? values[idx] : values;
+    }));
+  } else {
+    return _.zipObject([columns], [values]);
+  }
+};
+
+/**
+ * Fills in the default values of the options given to `join`.
+ *
+ * @returns {Object}
+ */
+MoronRelation.prototype._joinOptions = function (opt) {
+  opt = _.clone(opt || {});
+
+  opt.joinOperation = opt.joinOperation || 'join';
+  opt.ownerTable = opt.ownerTable || this.ownerModelClass.tableName;
+  opt.relatedTableAlias = opt.relatedTableAlias || this.relatedModelClass.tableName;
+  opt.relatedJoinSelect = opt.relatedJoinSelect || this._relatedTableSelect(opt.relatedTableAlias);
+
+  return opt;
+};
+
+/**
+ * Returns the related table aliased as `alias`.
+ *
+ * If the relation mapping has a `query` or the related model has `softDelete`, the
+ * table is replaced by a subquery so that the additional query and the soft delete
+ * filter are applied when the table is joined.
+ *
+ * @returns {String|Object}
+ */
+MoronRelation.prototype._relatedTableSelect = function (alias) {
+  var ModelClass = this.relatedModelClass;
+
+  if (this.additionalQuery === _.noop && !ModelClass.softDelete) {
+    return ModelClass.tableName + ' as ' + alias;
+  }
+
+  var sql = MoronQueryBuilder.forClass(ModelClass).call(this.additionalQuery).build().toSQL();
+  return ModelClass.knex.raw('(' + sql.sql + ') as ??', sql.bindings.concat(alias));
 };
 
 function parseMappingQuery(mapping) {
@@ -340,6 +673,93 @@ function parseMappingQuery(mapping) {
   }
 }
 
+function parseThroughHop(through, errorPrefix) {
+  if (!through || !isColumnReference(through.from) || !isColumnReference(through.to)) {
+    throw new Error(errorPrefix + ' must be an object that describes the join table. For example: {from: \'JoinTable.someId\', to: \'JoinTable.someOtherId\'}');
+  }
+
+  var from = parseColumns(through.from);
+  var to = parseColumns(through.to);
+
+  if (!from.table || !from.name) {
+    throw new Error(errorPrefix + '.from must have format JoinTable.columnName. For example `JoinTable.someId`.');
+  }
+
+  if (!to.table || !to.name) {
+    throw new Error(errorPrefix + '.to must have format JoinTable.columnName. For example `JoinTable.someId`.');
+  }
+
+  if (from.table !== to.table) {
+    throw new Error(errorPrefix + ' `from` and `to` must point to the same join table.');
+  }
+
+  return {
+    table: from.table,
+    from: from,
+    to: to,
+    extra: through.extra
+  };
+}
+
+function parseJoinTableExtras(extra, errorPrefix) {
+  if (!extra) {
+    return [];
+  }
+
+  if (_.isArray(extra)) {
+    extra = _.zipObject(extra, extra);
+  }
+
+  if (!_.isObject(extra) || !_.all(extra, _.isString)) {
+    throw new Error(errorPrefix + '.join.through.extra must be an array of column names or an object that maps property names to column names.');
+  }
+
+  return _.map(extra, function (joinTableCol, aliasProp) {
+    return {
+      joinTableCol: joinTableCol,
+      aliasProp: aliasProp
+    };
+  });
+}
+
+function isColumnReference(column) {
+  if (_.isArray(column)) {
+    return !_.isEmpty(column) && _.all(column, _.isString);
+  } else {
+    return _.isString(column);
+  }
+}
+
+function parseColumns(columns) {
+  if (!_.isArray(columns)) {
+    return parseColumn(columns);
+  }
+
+  var parsed = _.map(columns, parseColumn);
+  var tables = _.unique(_.pluck(parsed, 'table'));
+  var names = _.pluck(parsed, 'name');
+
+  return {
+    // All columns must be in the same table.
+    table: tables.length === 1 ? tables[0] : null,
+    name: _.all(names) ? names : null
+  };
+}
+
+function columnCount(column) {
+  return _.isArray(column.name) ? column.name.length : 1;
+}
+
+function fullColumn(table, column) {
+  if (_.isArray(column)) {
+    return _.map(column, function (col) {
+      return table + '.' + col;
+    });
+  } else {
+    return table + '.' + column;
+  }
+}
+
 function parseColumn(column) {
   var parts = column.split('.');
 
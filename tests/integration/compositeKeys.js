@@ -0,0 +1,298 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('composite keys', function () {
+    var Owner = null;
+    var Item = null;
+    var Child = null;
+
+    before(function () {
+      Owner = MoronModel.makeSubclass(function Owner() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Item = MoronModel.makeSubclass(function Item() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Child = MoronModel.makeSubclass(function Child() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Owner.tableName = 'CompositeOwner';
+      Owner.knex = session.knex;
+
+      Item.tableName = 'CompositeItem';
+      Item.idColumn = ['tenantId', 'id'];
+      Item.knex = session.knex;
+
+      Child.tableName = 'CompositeChild';
+      Child.knex = session.knex;
+
+      Owner.relationMappings = {
+        items: {
+          relation: MoronModel.HasManyRelation,
+          modelClass: Item,
+          join: {
+            from: 'CompositeOwner.id',
+            to: 'CompositeItem.ownerId'
+          }
+        },
+        sharedItems: {
+          relation: MoronModel.ManyToManyRelation,
+          modelClass: Item,
+          join: {
+            from: 'CompositeOwner.id',
+            through: {
+              from: 'CompositeOwnerItem.ownerId',
+              to: ['CompositeOwnerItem.itemTenantId', 'CompositeOwnerItem.itemId']
+            },
+            to: ['CompositeItem.tenantId', 'CompositeItem.id']
+          }
+        }
+      };
+
+      Item.relationMappings = {
+        children: {
+          relation: MoronModel.HasManyRelation,
+          modelClass: Child,
+          join: {
+            from: ['CompositeItem.tenantId', 'CompositeItem.id'],
+            to: ['CompositeChild.itemTenantId', 'CompositeChild.itemId']
+          }
+        }
+      };
+
+      Child.relationMappings = {
+        item: {
+          relation: MoronModel.BelongsToOneRelation,
+          modelClass: Item,
+          join: {
+            from: ['CompositeChild.itemTenantId', 'CompositeChild.itemId'],
+            to: ['CompositeItem.tenantId', 'CompositeItem.id']
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('CompositeOwner')
+        .dropTableIfExists('CompositeItem')
+        .dropTableIfExists('CompositeChild')
+        .dropTableIfExists('CompositeOwnerItem')
+        .createTable('CompositeChild', function (table) {
+          table.bigincrements('id');
+          table.biginteger('itemTenantId');
+          table.biginteger('itemId');
+          table.string('name');
+        })
+        .createTable('CompositeOwnerItem', function (table) {
+          table.bigincrements('id');
+          table.biginteger('ownerId');
+          table.biginteger('itemTenantId');
+          table.biginteger('itemId');
+        })
+        .createTable('CompositeOwner', function (table) {
+          table.bigincrements('id');
+          table.string('name');
+        })
+        .createTable('CompositeItem', function (table) {
+          table.biginteger('tenantId');
+          table.biginteger('id');
+          table.biginteger('ownerId');
+          table.string('name');
+          table.primary(['tenantId', 'id']);
+        });
+    });
+
+    after(function () {
+      return session.knex.schema
+        .dropTableIfExists('CompositeOwner')
+        .dropTableIfExists('CompositeItem')
+        .dropTableIfExists('CompositeChild')
+        .dropTableIfExists('CompositeOwnerItem');
+    });
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('CompositeOwner').delete(),
+        session.knex('CompositeItem').delete(),
+        session.knex('CompositeChild').delete(),
+        session.knex('CompositeOwnerItem').delete()
+      ]).then(function () {
+        return Promise.all([
+          session.knex('CompositeOwner').insert([{id: 1, name: 'owner 1'}, {id: 2, name: 'owner 2'}]),
+          session.knex('CompositeChild').insert([
+            {id: 1, itemTenantId: 1, itemId: 1, name: 'child 1'},
+            {id: 2, itemTenantId: 2, itemId: 1, name: 'child 2'},
+            {id: 3, itemTenantId: 2, itemId: 1, name: 'child 3'}
+          ]),
+          session.knex('CompositeOwnerItem').insert([
+            {ownerId: 1, itemTenantId: 1, itemId: 2},
+            {ownerId: 1, itemTenantId: 2, itemId: 1},
+            {ownerId: 2, itemTenantId: 2, itemId: 1}
+          ]),
+          session.knex('CompositeItem').insert([
+            {tenantId: 1, id: 1, ownerId: 1, name: 'item 1 1'},
+            {tenantId: 1, id: 2, ownerId: null, name: 'item 1 2'},
+            {tenantId: 2, id: 1, ownerId: null, name: 'item 2 1'}
+          ])
+        ]);
+      });
+    });
+
+    it('$query should find, patch and delete using all id columns', function () {
+      var item = Item.fromJson({tenantId: 2, id: 1});
+
+      return item.$query().first().then(function (found) {
+        expect(found.name).to.equal('item 2 1');
+        return item.$query().patch({name: 'patched'});
+      }).then(function () {
+        return Item.query().whereInComposite(Item.getFullIdColumn(), [[2, 1], [1, 2]]).orderBy('name');
+      }).then(function (items) {
+        expect(_.pluck(items, 'name')).to.eql(['item 1 2', 'patched']);
+        return item.$query().delete();
+      }).then(function () {
+        return session.knex('CompositeItem');
+      }).then(function (rows) {
+        expect(_.sortBy(_.pluck(rows, 'name'))).to.eql(['item 1 1', 'item 1 2']);
+      });
+    });
+
+    it('should insert models with a composite id', function () {
+      return Item.query().insert({tenantId: 3, id: 1, name: 'inserted'}).then(function (inserted) {
+        expect(inserted.$id()).to.eql([3, 1]);
+        return inserted.$query().first();
+      }).then(function (found) {
+        expect(found.name).to.equal('inserted');
+      });
+    });
+
+    it('should relate models using composite ids and eager load them', function () {
+      var owner = Owner.fromJson({id: 2});
+
+      return owner.$relatedQuery('items').relate([[1, 2], [2, 1]]).then(function () {
+        return Owner.query().where('id', 2).eager('items');
+      }).then(function (owners) {
+        expect(_.sortBy(_.pluck(owners[0].items, 'name'))).to.eql(['item 1 2', 'item 2 1']);
+      });
+    });
+
+    describe('composite relation keys', function () {
+
+      it('should find related models', function () {
+        return Promise.all([
+          Item.fromJson({tenantId: 2, id: 1}).$relatedQuery('children').orderBy('name'),
+          Child.fromJson({itemTenantId: 2, itemId: 1}).$relatedQuery('item'),
+          Owner.fromJson({id: 1}).$relatedQuery('sharedItems').orderBy('name')
+        ]).spread(function (children, items, sharedItems) {
+          expect(_.pluck(children, 'name')).to.eql(['child 2', 'child 3']);
+          expect(_.pluck(items, 'name')).to.eql(['item 2 1']);
+          expect(_.pluck(sharedItems, 'name')).to.eql(['item 1 2', 'item 2 1']);
+        });
+      });
+
+      it('should eager load relations', function () {
+        return Owner.query().orderBy('id').eager('sharedItems.children.item').then(function (owners) {
+          var owner1Items = _.sortBy(owners[0].sharedItems, 'name');
+          var owner2Items = owners[1].sharedItems;
+
+          expect(_.pluck(owner1Items, 'name')).to.eql(['item 1 2', 'item 2 1']);
+          expect(owner1Items[0].children).to.eql([]);
+          expect(_.sortBy(_.pluck(owner1Items[1].children, 'name'))).to.eql(['child 2', 'child 3']);
+          expect(owner1Items[1].children[0].item.name).to.equal('item 2 1');
+          expect(_.pluck(owner2Items, 'name')).to.eql(['item 2 1']);
+        });
+      });
+
+      it('should relate and unrelate has many relations', function () {
+        var item = Item.fromJson({tenantId: 1, id: 2});
+
+        return item.$relatedQuery('children').relate(3).then(function () {
+          return session.knex('CompositeChild').where('id', 3);
+        }).then(function (rows) {
+          expect(rows[0].itemTenantId).to.equal(1);
+          expect(rows[0].itemId).to.equal(2);
+          return Item.fromJson({tenantId: 2, id: 1}).$relatedQuery('children').unrelate();
+        }).then(function () {
+          return session.knex('CompositeChild').where('id', 2);
+        }).then(function (rows) {
+          expect(rows[0].itemTenantId).to.equal(null);
+          expect(rows[0].itemId).to.equal(null);
+        });
+      });
+
+      it('should relate and unrelate has one relations', function () {
+        var child = Child.fromJson({id: 1, itemTenantId: 1, itemId: 1});
+
+        return child.$relatedQuery('item').relate([1, 2]).then(function () {
+          return session.knex('CompositeChild').where('id', 1);
+        }).then(function (rows) {
+          expect(rows[0].itemTenantId).to.equal(1);
+          expect(rows[0].itemId).to.equal(2);
+          return child.$relatedQuery('item').unrelate();
+        }).then(function () {
+          return session.knex('CompositeChild').where('id', 1);
+        }).then(function (rows) {
+          expect(rows[0].itemTenantId).to.equal(null);
+          expect(rows[0].itemId).to.equal(null);
+        });
+      });
+
+      it('should unrelate only the given models and return the number of unrelated models', function () {
+        var owner = Owner.fromJson({id: 1});
+
+        return Item.fromJson({tenantId: 2, id: 1}).$relatedQuery('children').unrelate(3).then(function (count) {
+          expect(count).to.equal(1);
+          return owner.$relatedQuery('sharedItems').unrelate([2, 1]);
+        }).then(function (count) {
+          expect(count).to.equal(1);
+          return Promise.all([
+            session.knex('CompositeChild').orderBy('id'),
+            session.knex('CompositeOwnerItem').orderBy('ownerId')
+          ]);
+        }).spread(function (children, joinRows) {
+          expect(_.pluck(children, 'itemId')).to.eql([1, 1, null]);
+          // The join row of the other owner that refers to the same item is not deleted.
+          expect(_.map(joinRows, function (row) {
+            return [row.ownerId, row.itemTenantId, row.itemId].join(',');
+          })).to.eql(['1,1,2', '2,2,1']);
+        });
+      });
+
+      it('should relate and insert many to many relations', function () {
+        var owner = Owner.fromJson({id: 2});
+
+        return owner.$relatedQuery('sharedItems').relate([1, 1]).then(function () {
+          return owner.$relatedQuery('sharedItems').insert({tenantId: 3, id: 1, name: 'item 3 1'});
+        }).then(function () {
+          return owner.$relatedQuery('sharedItems').orderBy('name');
+        }).then(function (items) {
+          expect(_.pluck(items, 'name')).to.eql(['item 1 1', 'item 2 1', 'item 3 1']);
+          return session.knex('CompositeOwnerItem').where('ownerId', 2);
+        }).then(function (rows) {
+          expect(_.sortBy(_.map(rows, function (row) {
+            return [row.itemTenantId, row.itemId].join(',');
+          }))).to.eql(['1,1', '2,1', '3,1']);
+        });
+      });
+
+    });
+
+    it('upsertGraph should match related models by composite ids', function () {
+      return Owner.query().upsertGraph({
+        id: 1,
+        items: [{tenantId: 1, id: 1, name: 'updated'}, {tenantId: 1, id: 3, name: 'new'}]
+      }).then(function () {
+        return session.knex('CompositeItem').where('ownerId', 1);
+      }).then(function (rows) {
+        expect(_.sortBy(_.pluck(rows, 'name'))).to.eql(['new', 'updated']);
+      });
+    });
+
+  });
+
+};
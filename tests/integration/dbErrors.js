@@ -0,0 +1,129 @@
+var expect = require('expect.js');
+var MoronModel = require('../../lib/MoronModel');
+var MoronUniqueViolationError = require('../../lib/MoronUniqueViolationError');
+var MoronForeignKeyViolationError = require('../../lib/MoronForeignKeyViolationError');
+var MoronNotNullViolationError = require('../../lib/MoronNotNullViolationError');
+var MoronCheckViolationError = require('../../lib/MoronCheckViolationError');
+
+module.exports = function (session) {
+
+  describe('database errors', function () {
+    var Item = null;
+    var Part = null;
+
+    before(function () {
+      Item = MoronModel.makeSubclass(function Item() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Part = MoronModel.makeSubclass(function Part() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Item.tableName = 'DbErrorItem';
+      Item.knex = session.knex;
+
+      Part.tableName = 'DbErrorPart';
+      Part.knex = session.knex;
+
+      Item.relationMappings = {
+        parts: {
+          relation: MoronModel.HasManyRelation,
+          modelClass: Part,
+          join: {
+            from: 'DbErrorItem.id',
+            to: 'DbErrorPart.itemId'
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('DbErrorPart')
+        .dropTableIfExists('DbErrorItem')
+        .raw('create table "DbErrorItem" ("id" integer primary key, "code" varchar(255) not null, "kind" varchar(255), "amount" integer constraint "amount_positive" check ("amount" > 0), unique ("code", "kind"))')
+        .raw('create table "DbErrorPart" ("id" integer primary key, "itemId" integer references "DbErrorItem" ("id"))')
+        // SQLite only checks foreign keys when asked to.
+        .raw('pragma foreign_keys = on');
+    });
+
+    after(function () {
+      return session.knex.schema
+        .raw('pragma foreign_keys = off')
+        .dropTableIfExists('DbErrorPart')
+        .dropTableIfExists('DbErrorItem');
+    });
+
+    beforeEach(function () {
+      return session.knex('DbErrorPart').delete().then(function () {
+        return session.knex('DbErrorItem').delete();
+      }).then(function () {
+        return session.knex('DbErrorItem').insert({id: 1, code: 'a', kind: 'b', amount: 1});
+      }).then(function () {
+        return session.knex('DbErrorPart').insert({id: 1, itemId: 1});
+      });
+    });
+
+    function expectError(query, ErrorClass) {
+      return query.then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err).to.be.a(ErrorClass);
+        return err;
+      });
+    }
+
+    it('should throw a MoronUniqueViolationError', function () {
+      return expectError(Item.query().insert({code: 'a', kind: 'b'}), MoronUniqueViolationError).then(function (err) {
+        expect(err.statusCode).to.equal(409);
+        expect(err.table).to.equal('DbErrorItem');
+        expect(err.columns).to.eql(['code', 'kind']);
+      });
+    });
+
+    it('should take the table of a MoronUniqueViolationError from the failing query', function () {
+      return expectError(Item.fromJson({id: 1}).$relatedQuery('parts').insert({id: 1}), MoronUniqueViolationError).then(function (err) {
+        expect(err.table).to.equal('DbErrorPart');
+        expect(err.columns).to.eql(['id']);
+      });
+    });
+
+    it('should throw a MoronNotNullViolationError', function () {
+      return expectError(Item.fromJson({id: 1}).$query().patch({code: null}), MoronNotNullViolationError).then(function (err) {
+        expect(err.statusCode).to.equal(422);
+        expect(err.table).to.equal('DbErrorItem');
+        expect(err.columns).to.eql(['code']);
+      });
+    });
+
+    it('should throw a MoronNotNullViolationError on insert', function () {
+      return expectError(Item.query().insert({kind: 'c'}), MoronNotNullViolationError).then(function (err) {
+        expect(err.table).to.equal('DbErrorItem');
+        expect(err.columns).to.eql(['code']);
+      });
+    });
+
+    it('should throw a MoronForeignKeyViolationError', function () {
+      return expectError(Part.query().insert({itemId: 2}), MoronForeignKeyViolationError).then(function (err) {
+        expect(err.statusCode).to.equal(409);
+        // SQLite doesn't tell the table or the columns.
+        expect(err.table).to.equal(null);
+        expect(err.columns).to.eql([]);
+      });
+    });
+
+    it('should throw a MoronForeignKeyViolationError when a referenced row is deleted', function () {
+      return expectError(Item.query().delete().where('id', 1), MoronForeignKeyViolationError);
+    });
+
+    it('should throw a MoronCheckViolationError', function () {
+      return expectError(Item.query().insert({code: 'c', amount: -1}), MoronCheckViolationError).then(function (err) {
+        expect(err.statusCode).to.equal(422);
+        // SQLite doesn't tell the table of a check constraint.
+        expect(err.table).to.equal(null);
+        expect(err.constraint).to.equal('amount_positive');
+      });
+    });
+
+  });
+
+};
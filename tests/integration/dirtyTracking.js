@@ -0,0 +1,79 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('dirty tracking', function () {
+    var Person = null;
+
+    before(function () {
+      Person = MoronModel.makeSubclass(function Person() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Person.tableName = 'DirtyPerson';
+      Person.knex = session.knex;
+
+      return session.knex.schema
+        .dropTableIfExists('DirtyPerson')
+        .createTable('DirtyPerson', function (table) {
+          table.bigincrements('id');
+          table.string('firstName');
+          table.string('lastName');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema.dropTableIfExists('DirtyPerson');
+    });
+
+    beforeEach(function () {
+      return session.knex('DirtyPerson').delete().then(function () {
+        return session.knex('DirtyPerson').insert({id: 1, firstName: 'Jennifer', lastName: 'Lawrence'});
+      });
+    });
+
+    it('should track the changes of a fetched model', function () {
+      return Person.query().where('id', 1).first().then(function (person) {
+        expect(person.$isDirty()).to.equal(false);
+
+        person.firstName = 'Jenny';
+
+        expect(person.$changes()).to.eql({firstName: 'Jenny'});
+        expect(person.$isDirty('lastName')).to.equal(false);
+      });
+    });
+
+    it('$save should only write the changed properties', function () {
+      return Person.query().where('id', 1).first().then(function (person) {
+        person.firstName = 'Jenny';
+
+        // Changed in the database by someone else. The unchanged property is not
+        // overwritten by the save.
+        return session.knex('DirtyPerson').update({lastName: 'Bennet'}).then(function () {
+          return person.$save();
+        });
+      }).then(function (person) {
+        expect(person.$isDirty()).to.equal(false);
+        return session.knex('DirtyPerson').where('id', 1);
+      }).then(function (rows) {
+        expect(_.pick(rows[0], 'firstName', 'lastName')).to.eql({firstName: 'Jenny', lastName: 'Bennet'});
+      });
+    });
+
+    it('$save should insert a model without an identifier', function () {
+      var person = Person.fromJson({firstName: 'Emma', lastName: 'Stone'});
+
+      return person.$save().then(function () {
+        expect(person.id).to.be.a('number');
+        expect(person.$isDirty()).to.equal(false);
+        return session.knex('DirtyPerson').where('id', person.id);
+      }).then(function (rows) {
+        expect(rows[0].firstName).to.equal('Emma');
+      });
+    });
+
+  });
+
+};
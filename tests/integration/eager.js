@@ -1,5 +1,7 @@
 var _ = require('lodash');
 var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronEagerFetcher = require('../../lib/MoronEagerFetcher');
 
 module.exports = function (session) {
   var Model1 = session.models.Model1;
@@ -285,6 +287,283 @@ module.exports = function (session) {
         });
     });
 
+    it('should apply named filters to relation queries', function () {
+      return Model1
+        .query()
+        .where('id', 1)
+        .eager('model1Relation2(orderByPropDesc).model2Relation1(onlyHello6)', {
+          orderByPropDesc: function (builder) {
+            builder.orderBy('model_2_prop_1', 'desc');
+          },
+          onlyHello6: function (builder) {
+            builder.where('model1Prop1', 'hello 6');
+          }
+        })
+        .then(function (models) {
+          expect(_.pluck(models[0].model1Relation2, 'model2Prop1')).to.eql(['hejsan 2', 'hejsan 1']);
+          expect(_.pluck(models[0].model1Relation2[0].model2Relation1, 'id')).to.eql([6]);
+          expect(models[0].model1Relation2[1].model2Relation1).to.eql([]);
+        });
+    });
+
+    it('should apply named filters to recursive relations', function () {
+      return Model1
+        .query()
+        .where('id', 1)
+        .eager('model1Relation1(notHello3).^', {
+          notHello3: function (builder) {
+            builder.where('model1Prop1', '!=', 'hello 3');
+          }
+        })
+        .then(function (models) {
+          expect(models[0].model1Relation1.id).to.equal(2);
+          expect(models[0].model1Relation1.model1Relation1).to.equal(null);
+        });
+    });
+
+    it('should fetch the same relation into multiple aliases', function () {
+      return Model1
+        .query()
+        .where('id', 1)
+        .eager('[model1Relation2(onlyHejsan1) as first, model1Relation2(onlyHejsan2) as second.model2Relation1]', {
+          onlyHejsan1: function (builder) {
+            builder.where('model_2_prop_1', 'hejsan 1');
+          },
+          onlyHejsan2: function (builder) {
+            builder.where('model_2_prop_1', 'hejsan 2');
+          }
+        })
+        .then(function (models) {
+          expect(models[0].model1Relation2).to.equal(undefined);
+          expect(_.pluck(models[0].first, 'idCol')).to.eql([1]);
+          expect(models[0].first[0].model2Relation1).to.equal(undefined);
+          expect(_.pluck(models[0].second, 'idCol')).to.eql([2]);
+          expect(_.pluck(models[0].second[0].model2Relation1, 'id')).to.eql([5, 6]);
+        });
+    });
+
+    it('should fetch aliased has one relations recursively', function () {
+      return Model1
+        .query()
+        .where('id', 1)
+        .eager('model1Relation1 as parent.^')
+        .then(function (models) {
+          expect(models[0].model1Relation1).to.equal(undefined);
+          expect(models[0].parent.id).to.equal(2);
+          expect(models[0].parent.parent.id).to.equal(3);
+          expect(models[0].parent.parent.parent.id).to.equal(4);
+          expect(models[0].parent.parent.parent.parent).to.equal(null);
+        });
+    });
+
+    it('should fail if a filter is not found', function () {
+      return Model1
+        .query()
+        .where('id', 1)
+        .eager('model1Relation1(missing)', {})
+        .then(function () {
+          throw new Error('should not get here');
+        })
+        .catch(function (err) {
+          expect(err.data.eager).to.contain('missing');
+        });
+    });
+
+    describe('recursion depth', function () {
+
+      afterEach(function () {
+        MoronEagerFetcher.maxDepth = null;
+      });
+
+      it('a.^2 should fetch two levels', function () {
+        return Model1
+          .query()
+          .where('id', 1)
+          .eager('model1Relation1.^2')
+          .then(function (models) {
+            expect(models[0].model1Relation1.id).to.equal(2);
+            expect(models[0].model1Relation1.model1Relation1.id).to.equal(3);
+            expect(models[0].model1Relation1.model1Relation1.model1Relation1).to.equal(undefined);
+          });
+      });
+
+      it('should stop at the global max depth', function () {
+        MoronEagerFetcher.maxDepth = 2;
+
+        return Model1
+          .query()
+          .where('id', 1)
+          .eager('*')
+          .then(function (models) {
+            var model2 = models[0].model1Relation2[1];
+
+            expect(models[0].model1Relation1.model1Relation1.id).to.equal(3);
+            expect(models[0].model1Relation1.model1Relation1.model1Relation1).to.equal(undefined);
+            expect(_.pluck(model2.model2Relation1, 'id')).to.eql([5, 6]);
+            expect(model2.model2Relation1[1].model1Relation1).to.equal(undefined);
+          });
+      });
+
+    });
+
+    describe('identity map', function () {
+
+      it('should use one instance per row on the same level', function () {
+        return session.knex('Model1').where('id', 5).update({model1Id: 7}).then(function () {
+          return Model1.query().whereIn('id', [5, 6]).orderBy('id').eager('model1Relation1');
+        }).then(function (models) {
+          expect(models[0].model1Relation1.id).to.equal(7);
+          expect(models[0].model1Relation1).to.equal(models[1].model1Relation1);
+        }).finally(function () {
+          return session.knex('Model1').where('id', 5).update({model1Id: null});
+        });
+      });
+
+      it('should share instances between levels', function () {
+        return Model1.query().whereIn('id', [1, 2]).orderBy('id').eager('[model1Relation1, model1Relation2]').then(function (models) {
+          expect(models[0].model1Relation1).to.equal(models[1]);
+          expect(models[1].model1Relation1.id).to.equal(3);
+          expect(models[1].model1Relation2).to.eql([]);
+        });
+      });
+
+      it('should use one instance for a row reached through two paths', function () {
+        var queries = [];
+        var onQuery = function (query) {
+          queries.push(query.sql);
+        };
+
+        return session.knex('Model1Model2').insert({model2Id: 2, model1Id: 2}).then(function () {
+          session.knex.on('query', onQuery);
+          return Model1.query().where('id', 1).eager('[model1Relation1.model1Relation1, model1Relation2.model2Relation1.model1Relation1]');
+        }).then(function (models) {
+          var viaRelation1 = models[0].model1Relation1;
+          var viaRelation2 = _.find(models[0].model1Relation2[1].model2Relation1, {id: 2});
+
+          expect(viaRelation1.id).to.equal(2);
+          expect(viaRelation2).to.equal(viaRelation1);
+          expect(viaRelation2.model1Relation1.id).to.equal(3);
+          // The root query and one query per relation of the expression.
+          expect(queries).to.have.length(6);
+        }).finally(function () {
+          session.knex.removeListener('query', onQuery);
+          return session.knex('Model1Model2').where({model2Id: 2, model1Id: 2}).delete();
+        });
+      });
+
+      it('should stop recursion when the data has cycles', function () {
+        return session.knex('Model1').where('id', 4).update({model1Id: 1}).then(function () {
+          return Model1.query().where('id', 1).eager('model1Relation1.^');
+        }).then(function (models) {
+          var model = models[0];
+          var last = model.model1Relation1.model1Relation1.model1Relation1.model1Relation1;
+
+          expect(_.pluck([
+            model.model1Relation1,
+            model.model1Relation1.model1Relation1,
+            model.model1Relation1.model1Relation1.model1Relation1,
+            last
+          ], 'id')).to.eql([2, 3, 4, 1]);
+
+          // Model 1 is the root model. Its relations are not fetched again.
+          expect(last).to.equal(model);
+        }).finally(function () {
+          return session.knex('Model1').where('id', 4).update({model1Id: null});
+        });
+      });
+
+    });
+
+    describe('join algorithm', function () {
+
+      testJoinAlgorithm('model1Relation1');
+      testJoinAlgorithm('model1Relation1.model1Relation1.model1Relation1');
+      testJoinAlgorithm('[model1Relation1, model1Relation2]');
+      testJoinAlgorithm('[model1Relation1, model1Relation2.model2Relation1.[model1Relation1, model1Relation2]]');
+      testJoinAlgorithm('[model1Relation1.^3, model1Relation2.model2Relation1.model1Relation1.^2]');
+
+      it('should allow where clauses on the joined relations', function () {
+        return Model1
+          .query()
+          .eager('model1Relation2.model2Relation1')
+          .eagerAlgorithm('join')
+          .where('model1Relation2:model2Relation1.model1Prop1', 'hello 6')
+          .then(function (models) {
+            expect(_.pluck(models, 'id')).to.eql([1]);
+            expect(_.pluck(models[0].model1Relation2, 'idCol')).to.eql([2]);
+            expect(_.pluck(models[0].model1Relation2[0].model2Relation1, 'id')).to.eql([6]);
+          });
+      });
+
+      it('should deduplicate the root models by their identifiers', function () {
+        return Model1
+          .query()
+          .where('Model1.id', 1)
+          .select('Model1.*', 'model1Relation2.id_col as model2IdCol')
+          .eager('model1Relation2')
+          .eagerAlgorithm('join')
+          .then(function (models) {
+            expect(models).to.have.length(1);
+            expect(_.sortBy(_.pluck(models[0].model1Relation2, 'idCol'))).to.eql([1, 2]);
+          });
+      });
+
+      it('should apply filters and aliases', function () {
+        return Model1
+          .query()
+          .where('Model1.id', 1)
+          .eager('[model1Relation2(onlyHejsan2) as second.model2Relation1, model1Relation1 as parent]', {
+            onlyHejsan2: function (builder) {
+              builder.where('model_2_prop_1', 'hejsan 2');
+            }
+          })
+          .eagerAlgorithm('join')
+          .then(function (models) {
+            expect(models[0].parent.id).to.equal(2);
+            expect(_.pluck(models[0].second, 'idCol')).to.eql([2]);
+            expect(_.sortBy(_.pluck(models[0].second[0].model2Relation1, 'id'))).to.eql([5, 6]);
+          });
+      });
+
+      it('should fail for recursive expressions', function () {
+        return Model1
+          .query()
+          .eager('model1Relation1.^')
+          .eagerAlgorithm('join')
+          .then(function () {
+            throw new Error('should not get here');
+          })
+          .catch(function (err) {
+            expect(err.data.eager).to.contain('recursive');
+          });
+      });
+
+    });
+
   });
 
+  function testJoinAlgorithm(expression) {
+    it('should fetch ' + expression + ' like the default algorithm', function () {
+      return Promise.all([
+        Model1.query().orderBy('Model1.id').eager(expression),
+        Model1.query().orderBy('Model1.id').eager(expression).eagerAlgorithm('join')
+      ]).spread(function (expected, models) {
+        expect(sortGraph(_.invoke(models, '$toJson'))).to.eql(sortGraph(_.invoke(expected, '$toJson')));
+      });
+    });
+  }
+
+  function sortGraph(json) {
+    // The algorithms don't guarantee the same order for the related models.
+    if (_.isArray(json)) {
+      return _.sortBy(_.map(json, sortGraph), function (item) {
+        return item.id || item.idCol;
+      });
+    } else if (_.isObject(json)) {
+      return _.mapValues(json, sortGraph);
+    } else {
+      return json;
+    }
+  }
+
 };
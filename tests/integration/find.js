@@ -625,6 +625,108 @@ module.exports = function (session) {
 
     });
 
+
+    describe('joining relations', function () {
+
+      before(function () {
+        return session.populate([{
+          id: 1,
+          model1Prop1: 'hello 1',
+          model1Relation2: [{
+            idCol: 1,
+            model2Prop1: 'hejsan 1',
+            model2Relation1: [{
+              id: 3,
+              model1Prop1: 'hello 3'
+            }]
+          }, {
+            idCol: 2,
+            model2Prop1: 'hejsan 2'
+          }]
+        }, {
+          id: 2,
+          model1Prop1: 'hello 2'
+        }]);
+      });
+
+      it('.joinRelation()', function () {
+        return Model1
+          .query()
+          .joinRelation('model1Relation2')
+          .where('model1Relation2.model_2_prop_1', 'hejsan 2')
+          .then(function (models) {
+            expect(models).to.have.length(1);
+            expect(models[0]).to.be.a(Model1);
+            expect(models[0].id).to.equal(1);
+            expect(models[0].model1Prop1).to.equal('hello 1');
+          });
+      });
+
+      it('.leftJoinRelation()', function () {
+        return Model1
+          .query()
+          .select('Model1.id', 'model1Relation2:model2Relation1.model1Prop1 as relatedProp')
+          .leftJoinRelation('model1Relation2.model2Relation1')
+          .whereIn('Model1.id', [1, 2])
+          .orderBy('Model1.id')
+          .orderBy('relatedProp')
+          .then(function (models) {
+            expect(_.map(models, function (model) {
+              return [model.id, model.relatedProp];
+            })).to.eql([[1, null], [1, 'hello 3'], [2, null]]);
+          });
+      });
+
+      it('.whereExistsRelated()', function () {
+        return Model1
+          .query()
+          .whereExistsRelated('model1Relation2.model2Relation1', function (builder) {
+            builder.where('model1Relation2:model2Relation1.model1Prop1', 'hello 3');
+          })
+          .then(function (models) {
+            expect(_.pluck(models, 'id')).to.eql([1]);
+            return Model1.query().whereExistsRelated('model1Relation2').orderBy('id');
+          })
+          .then(function (models) {
+            expect(_.pluck(models, 'id')).to.eql([1]);
+          });
+      });
+
+      it('.withCount()', function () {
+        return Model1
+          .query()
+          .whereIn('id', [1, 2])
+          .withCount('model1Relation2')
+          .withCount('model1Relation2', 'childCount')
+          .orderBy('id')
+          .then(function (models) {
+            expect(models[0]).to.be.a(Model1);
+            expect(models[0].model1Prop1).to.equal('hello 1');
+            expect(_.pluck(models, 'model1Relation2Count')).to.eql([2, 0]);
+            expect(_.pluck(models, 'childCount')).to.eql([2, 0]);
+            return Model2.query().withCount('model2Relation1').orderBy('id_col');
+          })
+          .then(function (models) {
+            expect(_.pluck(models, 'model2Relation1Count')).to.eql([1, 0]);
+          });
+      });
+
+      it('.withSum()', function () {
+        return Model1
+          .query()
+          .select('Model1.id')
+          .whereIn('id', [1, 2])
+          .withSum('model1Relation2', 'id_col', 'idSum')
+          .withMax('model1Relation2', 'id_col', 'maxId')
+          .orderBy('id')
+          .then(function (models) {
+            expect(_.pluck(models, 'idSum')).to.eql([3, null]);
+            expect(_.pluck(models, 'maxId')).to.eql([2, null]);
+          });
+      });
+
+    });
+
   });
 
 };
@@ -0,0 +1,169 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('has one and belongs to one relations', function () {
+    var Person = null;
+    var Passport = null;
+
+    before(function () {
+      Person = MoronModel.makeSubclass(function Person() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Passport = MoronModel.makeSubclass(function Passport() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Person.tableName = 'InversePerson';
+      Person.knex = session.knex;
+
+      Passport.tableName = 'InversePassport';
+      Passport.knex = session.knex;
+
+      Person.relationMappings = {
+        passport: {
+          relation: MoronModel.HasOneRelation,
+          modelClass: Passport,
+          join: {
+            from: 'InversePerson.id',
+            to: 'InversePassport.personId'
+          }
+        }
+      };
+
+      Passport.relationMappings = {
+        person: {
+          relation: MoronModel.BelongsToOneRelation,
+          modelClass: Person,
+          join: {
+            from: 'InversePassport.personId',
+            to: 'InversePerson.id'
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('InversePerson')
+        .dropTableIfExists('InversePassport')
+        .createTable('InversePerson', function (table) {
+          table.bigincrements('id');
+          table.string('name');
+        })
+        .createTable('InversePassport', function (table) {
+          table.bigincrements('id');
+          table.biginteger('personId');
+          table.string('number');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema
+        .dropTableIfExists('InversePerson')
+        .dropTableIfExists('InversePassport');
+    });
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('InversePerson').delete(),
+        session.knex('InversePassport').delete()
+      ]).then(function () {
+        return Promise.all([
+          session.knex('InversePerson').insert([{id: 1, name: 'Matti'}, {id: 2, name: 'Teppo'}]),
+          session.knex('InversePassport').insert([{id: 1, personId: 1, number: 'A1'}, {id: 2, personId: null, number: 'B2'}])
+        ]);
+      });
+    });
+
+    function passportOwners() {
+      return session.knex('InversePassport').orderBy('id').then(function (rows) {
+        return _.pluck(rows, 'personId');
+      });
+    }
+
+    it('should find the related model', function () {
+      return Promise.all([
+        Person.fromJson({id: 1}).$relatedQuery('passport'),
+        Passport.fromJson({id: 1, personId: 1}).$relatedQuery('person')
+      ]).spread(function (passports, persons) {
+        expect(_.pluck(passports, 'number')).to.eql(['A1']);
+        expect(_.pluck(persons, 'name')).to.eql(['Matti']);
+      });
+    });
+
+    _.each(['whereIn', 'join'], function (algorithm) {
+
+      it('should eager load a single model or null using the ' + algorithm + ' algorithm', function () {
+        return Person
+          .query()
+          .eager('passport.person')
+          .eagerAlgorithm(algorithm)
+          .orderBy('InversePerson.id')
+          .then(function (persons) {
+            expect(persons[0].passport).to.be.a(Passport);
+            expect(persons[0].passport.number).to.equal('A1');
+            expect(persons[0].passport.person.name).to.equal('Matti');
+            expect(persons[1].passport).to.equal(null);
+          });
+      });
+
+    });
+
+    it('insert should replace the related model', function () {
+      var person = Person.fromJson({id: 1});
+
+      return person.$relatedQuery('passport').insert({number: 'C3'}).then(function (passport) {
+        expect(person.passport).to.equal(passport);
+        return passportOwners();
+      }).then(function (owners) {
+        expect(owners).to.eql([null, null, 1]);
+      });
+    });
+
+    it('should keep the related model if the insert that replaces it fails in a transaction', function () {
+      return MoronModel.transaction(Person, Passport, function (Person) {
+        // The identifier is taken so the insert fails after the current passport is unrelated.
+        return Person.fromJson({id: 1}).$relatedQuery('passport').insert({id: 2, number: 'C3'});
+      }).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err.message).not.to.equal('should not get here');
+        return passportOwners();
+      }).then(function (owners) {
+        expect(owners).to.eql([1, null]);
+      });
+    });
+
+    it('relate should replace the related model and unrelate should clear it', function () {
+      var person = Person.fromJson({id: 1});
+
+      return person.$relatedQuery('passport').relate(2).then(function () {
+        return passportOwners();
+      }).then(function (owners) {
+        expect(owners).to.eql([null, 1]);
+        return person.$relatedQuery('passport').unrelate();
+      }).then(function (count) {
+        expect(count).to.equal(1);
+        return passportOwners();
+      }).then(function (owners) {
+        expect(owners).to.eql([null, null]);
+      });
+    });
+
+    it('insertWithRelated should set the foreign key of the related model', function () {
+      return Person
+        .query()
+        .insertWithRelated({name: 'Liisa', passport: {number: 'D4'}})
+        .then(function (person) {
+          return session.knex('InversePassport').where('number', 'D4').then(function (rows) {
+            expect(rows[0].personId).to.equal(person.id);
+          });
+        });
+    });
+
+  });
+
+};
@@ -27,7 +27,19 @@ describe('integration tests', function () {
 
       require('./find')(session);
       require('./insert')(session);
+      require('./upsertGraph')(session);
       require('./eager')(session);
+      require('./transactions')(session);
+      require('./compositeKeys')(session);
+      require('./joinTableExtras')(session);
+      require('./throughRelations')(session);
+      require('./polymorphic')(session);
+      require('./hasOne')(session);
+      require('./softDelete')(session);
+      require('./dbErrors')(session);
+      require('./dirtyTracking')(session);
+      require('./optimisticLocking')(session);
+      require('./timestamps')(session);
 
     });
   });
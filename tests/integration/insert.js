@@ -1,5 +1,6 @@
 var _ = require('lodash');
 var expect = require('expect.js');
+var Promise = require('bluebird');
 var MoronValidationError = require('../../lib/MoronValidationError');
 
 module.exports = function (session) {
@@ -509,6 +510,127 @@ module.exports = function (session) {
 
     });
 
+    describe('.query().insertWithRelated()', function () {
+
+      beforeEach(function () {
+        return Promise.all([
+          session.knex('Model1').delete(),
+          session.knex('model_2').delete(),
+          session.knex('Model1Model2').delete()
+        ]);
+      });
+
+      it('should insert a model graph', function () {
+        var graph = {
+          model1Prop1: 'root',
+
+          model1Relation1: {
+            model1Prop1: 'parent'
+          },
+
+          model1Relation2: [{
+            model2Prop1: 'child 1',
+
+            model2Relation1: [{
+              model1Prop1: 'many to many 1'
+            }, {
+              model1Prop1: 'many to many 2'
+            }]
+          }, {
+            model2Prop1: 'child 2'
+          }]
+        };
+
+        return Model1.query().insertWithRelated(graph).then(function (inserted) {
+          expect(inserted).to.be.a(Model1);
+          expect(inserted.model1Relation1).to.be.a(Model1);
+          expect(inserted.model1Relation2[0]).to.be.a(Model2);
+          expect(inserted.model1Relation2[0].model2Relation1[0]).to.be.a(Model1);
+
+          expect(inserted.model1Id).to.equal(inserted.model1Relation1.id);
+          expect(inserted.model1Relation2[0].model1Id).to.equal(inserted.id);
+          expect(inserted.model1Relation2[1].model1Id).to.equal(inserted.id);
+
+          return Promise.all([session.knex('Model1'), session.knex('model_2'), session.knex('Model1Model2')]);
+        }).spread(function (rows1, rows2, joinRows) {
+          var root = _.find(rows1, {model1Prop1: 'root'});
+          var parent = _.find(rows1, {model1Prop1: 'parent'});
+          var child1 = _.find(rows2, {model_2_prop_1: 'child 1'});
+          var child2 = _.find(rows2, {model_2_prop_1: 'child 2'});
+
+          expect(rows1).to.have.length(4);
+          expect(rows2).to.have.length(2);
+          expect(joinRows).to.have.length(2);
+
+          expect(root.model1Id).to.equal(parent.id);
+          expect(child1.model_1_id).to.equal(root.id);
+          expect(child2.model_1_id).to.equal(root.id);
+
+          expect(_.sortBy(_.pluck(_.where(joinRows, {model2Id: child1.id_col}), 'model1Id'))).to.eql([
+            _.find(rows1, {model1Prop1: 'many to many 1'}).id,
+            _.find(rows1, {model1Prop1: 'many to many 2'}).id
+          ]);
+        });
+      });
+
+      it('should accept an array', function () {
+        return Model1.query().insertWithRelated([{
+          model1Prop1: 'root 1',
+          model1Relation2: [{model2Prop1: 'child 1'}]
+        }, {
+          model1Prop1: 'root 2',
+          model1Relation2: [{model2Prop1: 'child 2'}]
+        }]).then(function (inserted) {
+          expect(inserted).to.have.length(2);
+          return Promise.all([session.knex('Model1'), session.knex('model_2')]);
+        }).spread(function (rows1, rows2) {
+          expect(_.find(rows2, {model_2_prop_1: 'child 1'}).model_1_id).to.equal(_.find(rows1, {model1Prop1: 'root 1'}).id);
+          expect(_.find(rows2, {model_2_prop_1: 'child 2'}).model_1_id).to.equal(_.find(rows1, {model1Prop1: 'root 2'}).id);
+        });
+      });
+
+      it('should work with $query()', function () {
+        var model = Model1.fromJson({
+          model1Prop1: 'root',
+          model1Relation2: [{model2Prop1: 'child'}]
+        });
+
+        return model.$query().insertWithRelated().then(function (inserted) {
+          expect(inserted).to.equal(model);
+          expect(model.id).to.be.a('number');
+          return session.knex('model_2');
+        }).then(function (rows) {
+          expect(rows).to.have.length(1);
+          expect(rows[0].model_1_id).to.equal(model.id);
+        });
+      });
+
+      it('should insert nothing if one of the inserts fails', function () {
+        var ModelWithFailingHook = Model1.bindKnex(session.knex);
+        var Model2WithFailingHook = ModelWithFailingHook.getRelation('model1Relation2').relatedModelClass;
+
+        Model2WithFailingHook.prototype.$beforeInsert = function () {
+          throw new Error('hook failed');
+        };
+
+        return ModelWithFailingHook.query().insertWithRelated({
+          model1Prop1: 'root',
+          model1Relation2: [{model2Prop1: 'child'}]
+        }).then(function () {
+          throw new Error('should not get here');
+        }).catch(function (err) {
+          expect(err.message).to.equal('hook failed');
+          return Promise.all([session.knex('Model1'), session.knex('model_2')]);
+        }).spread(function (rows1, rows2) {
+          expect(rows1).to.have.length(0);
+          expect(rows2).to.have.length(0);
+        }).finally(function () {
+          delete Model2WithFailingHook.prototype.$beforeInsert;
+        });
+      });
+
+    });
+
     function subClassWithSchema(Model, schema) {
       function SubModel() {
         Model.apply(this, arguments);
@@ -0,0 +1,215 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('join table extra columns', function () {
+    var Person = null;
+    var Movie = null;
+
+    before(function () {
+      Person = MoronModel.makeSubclass(function Person() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Movie = MoronModel.makeSubclass(function Movie() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Person.tableName = 'ExtraPerson';
+      Person.knex = session.knex;
+
+      Movie.tableName = 'ExtraMovie';
+      Movie.knex = session.knex;
+
+      Person.relationMappings = {
+        movies: {
+          relation: MoronModel.ManyToManyRelation,
+          modelClass: Movie,
+          join: {
+            from: 'ExtraPerson.id',
+            through: {
+              from: 'ExtraPerson_Movie.personId',
+              to: 'ExtraPerson_Movie.movieId',
+              extra: ['role']
+            },
+            to: 'ExtraMovie.id'
+          }
+        }
+      };
+
+      Movie.relationMappings = {
+        actors: {
+          relation: MoronModel.ManyToManyRelation,
+          modelClass: Person,
+          join: {
+            from: 'ExtraMovie.id',
+            through: {
+              from: 'ExtraPerson_Movie.movieId',
+              to: 'ExtraPerson_Movie.personId',
+              extra: {character: 'role'}
+            },
+            to: 'ExtraPerson.id'
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('ExtraPerson')
+        .dropTableIfExists('ExtraMovie')
+        .dropTableIfExists('ExtraPerson_Movie')
+        .createTable('ExtraPerson', function (table) {
+          table.bigincrements('id');
+          table.string('name');
+        })
+        .createTable('ExtraMovie', function (table) {
+          table.bigincrements('id');
+          table.string('name');
+        })
+        .createTable('ExtraPerson_Movie', function (table) {
+          table.bigincrements('id');
+          table.biginteger('personId');
+          table.biginteger('movieId');
+          table.string('role');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema
+        .dropTableIfExists('ExtraPerson')
+        .dropTableIfExists('ExtraMovie')
+        .dropTableIfExists('ExtraPerson_Movie');
+    });
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('ExtraPerson').delete(),
+        session.knex('ExtraMovie').delete(),
+        session.knex('ExtraPerson_Movie').delete()
+      ]).then(function () {
+        return Promise.all([
+          session.knex('ExtraPerson').insert([{id: 1, name: 'Arnold'}, {id: 2, name: 'Linda'}]),
+          session.knex('ExtraMovie').insert([{id: 1, name: 'Terminator'}, {id: 2, name: 'Terminator 2'}]),
+          session.knex('ExtraPerson_Movie').insert([
+            {personId: 1, movieId: 1, role: 'T-800'},
+            {personId: 2, movieId: 1, role: 'Sarah Connor'}
+          ])
+        ]);
+      });
+    });
+
+    it('relate should write the extra columns', function () {
+      var person = Person.fromJson({id: 1});
+
+      return person.$relatedQuery('movies').relate({id: 2, role: 'T-800 again'}).then(function (joinRow) {
+        expect(joinRow.role).to.equal('T-800 again');
+        return Movie.fromJson({id: 2}).$relatedQuery('actors').relate([{id: 2, character: 'Sarah'}]);
+      }).then(function () {
+        return session.knex('ExtraPerson_Movie').where('movieId', 2).orderBy('personId');
+      }).then(function (rows) {
+        expect(_.map(rows, function (row) {
+          return [row.personId, row.role];
+        })).to.eql([[1, 'T-800 again'], [2, 'Sarah']]);
+      });
+    });
+
+    it('insert should write the extra columns to the join table', function () {
+      var person = Person.fromJson({id: 2});
+
+      return person.$relatedQuery('movies').insert({name: 'Aliens', role: 'Guest'}).then(function (movie) {
+        expect(movie.role).to.equal('Guest');
+        return Promise.all([
+          session.knex('ExtraMovie').where('id', movie.id),
+          session.knex('ExtraPerson_Movie').where('movieId', movie.id)
+        ]);
+      }).spread(function (movies, joinRows) {
+        expect(movies[0]).to.eql({id: movies[0].id, name: 'Aliens'});
+        expect(joinRows[0].personId).to.equal(2);
+        expect(joinRows[0].role).to.equal('Guest');
+      });
+    });
+
+    it('insertWithRelated should write the extra columns to the join table', function () {
+      return Person.query().insertWithRelated({name: 'Carl', movies: [{name: 'Predator', role: 'Dutch'}]}).then(function (person) {
+        expect(person.movies[0].role).to.equal('Dutch');
+        return Promise.all([
+          session.knex('ExtraMovie').where('id', person.movies[0].id),
+          session.knex('ExtraPerson_Movie').where('personId', person.id)
+        ]);
+      }).spread(function (movies, joinRows) {
+        expect(movies[0]).to.eql({id: movies[0].id, name: 'Predator'});
+        expect(joinRows[0].movieId).to.equal(movies[0].id);
+        expect(joinRows[0].role).to.equal('Dutch');
+      });
+    });
+
+    it('upsertGraph should write the extra columns of the related models to the join table', function () {
+      return Person.query().upsertGraph({id: 2, name: 'Linda', movies: [{id: 1, role: 'Sarah'}, {id: 2, role: 'Sarah again'}]}).then(function () {
+        return session.knex('ExtraPerson_Movie').where('personId', 2).orderBy('movieId');
+      }).then(function (rows) {
+        expect(_.map(rows, function (row) {
+          return [row.movieId, row.role];
+        })).to.eql([[1, 'Sarah Connor'], [2, 'Sarah again']]);
+      });
+    });
+
+    it('find should expose the extra columns', function () {
+      return Movie.fromJson({id: 1}).$relatedQuery('actors').orderBy('ExtraPerson.id').then(function (actors) {
+        expect(_.map(actors, function (actor) {
+          return [actor.name, actor.character];
+        })).to.eql([['Arnold', 'T-800'], ['Linda', 'Sarah Connor']]);
+      });
+    });
+
+    _.each(['whereIn', 'join'], function (algorithm) {
+
+      it('eager loading should expose the extra columns using the ' + algorithm + ' algorithm', function () {
+        return Person
+          .query()
+          .eager('movies.actors')
+          .eagerAlgorithm(algorithm)
+          .orderBy('ExtraPerson.id')
+          .then(function (persons) {
+            expect(persons[0].movies[0].role).to.equal('T-800');
+            expect(persons[1].movies[0].role).to.equal('Sarah Connor');
+            // The same movie has different extra values for different owners.
+            expect(persons[0].movies[0]).not.to.equal(persons[1].movies[0]);
+            expect(_.sortBy(_.pluck(persons[0].movies[0].actors, 'character'))).to.eql(['Sarah Connor', 'T-800']);
+          });
+      });
+
+      it('should not write the extra columns to the related table of models fetched using the ' + algorithm + ' algorithm', function () {
+        return Person
+          .query()
+          .where('ExtraPerson.id', 1)
+          .eager('movies')
+          .eagerAlgorithm(algorithm)
+          .then(function (persons) {
+            var movie = persons[0].movies[0];
+
+            expect(movie.$toDatabaseJson()).to.eql({id: 1, name: 'Terminator'});
+            movie.name = 'The Terminator';
+
+            return movie.$query().patch(movie).then(function () {
+              movie.name = 'Terminator';
+              movie.role = 'changed';
+              expect(movie.$changes()).to.eql({name: 'Terminator'});
+              return movie.$save();
+            });
+          })
+          .then(function () {
+            return Promise.all([session.knex('ExtraMovie').where('id', 1), session.knex('ExtraPerson_Movie').where('personId', 1)]);
+          })
+          .spread(function (movies, joinRows) {
+            expect(movies[0].name).to.equal('Terminator');
+            expect(joinRows[0].role).to.equal('T-800');
+          });
+      });
+
+    });
+
+  });
+
+};
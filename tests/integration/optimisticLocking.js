@@ -0,0 +1,99 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+var MoronConcurrencyError = require('../../lib/MoronConcurrencyError');
+
+module.exports = function (session) {
+
+  describe('optimistic locking', function () {
+    var Document = null;
+
+    before(function () {
+      Document = MoronModel.makeSubclass(function Document() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Document.tableName = 'LockedDocument';
+      Document.versionColumn = 'version';
+      Document.knex = session.knex;
+
+      return session.knex.schema
+        .dropTableIfExists('LockedDocument')
+        .createTable('LockedDocument', function (table) {
+          table.bigincrements('id');
+          table.string('title');
+          table.integer('version');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema.dropTableIfExists('LockedDocument');
+    });
+
+    beforeEach(function () {
+      return session.knex('LockedDocument').delete();
+    });
+
+    it('should insert version 1 and increment it on update', function () {
+      var document = null;
+
+      return Document.query().insert({title: 'draft'}).then(function (inserted) {
+        document = inserted;
+        expect(document.version).to.equal(1);
+
+        document.title = 'final';
+        return document.$query().update();
+      }).then(function () {
+        expect(document.version).to.equal(2);
+        return session.knex('LockedDocument').where('id', document.id);
+      }).then(function (rows) {
+        expect(rows[0].title).to.equal('final');
+        expect(rows[0].version).to.equal(2);
+      });
+    });
+
+    it('should reject a patch of a row modified in the meantime', function () {
+      var document = null;
+
+      return Document.query().insert({title: 'draft'}).then(function (inserted) {
+        document = inserted;
+
+        return Document.query().where('id', document.id).first();
+      }).then(function (other) {
+        return other.$query().patch({title: 'theirs'});
+      }).then(function () {
+        return document.$query().patch({title: 'mine'}).then(function () {
+          throw new Error('should not get here');
+        }).catch(MoronConcurrencyError, function (err) {
+          expect(err.statusCode).to.equal(409);
+        });
+      }).then(function () {
+        return session.knex('LockedDocument').where('id', document.id);
+      }).then(function (rows) {
+        expect(rows[0].title).to.equal('theirs');
+        expect(rows[0].version).to.equal(2);
+      });
+    });
+
+    it('should let only one of concurrent patches of the same version through', function () {
+      return Document.query().insert({title: 'draft'}).then(function (document) {
+        var copy = Document.fromDatabaseJson(document.$toDatabaseJson());
+
+        return Promise.settle([
+          document.$query().patch({title: 'first'}),
+          copy.$query().patch({title: 'second'})
+        ]);
+      }).then(function (results) {
+        var rejected = _.filter(results, function (result) {
+          return result.isRejected();
+        });
+
+        expect(rejected).to.have.length(1);
+        expect(rejected[0].reason()).to.be.a(MoronConcurrencyError);
+      });
+    });
+
+  });
+
+};
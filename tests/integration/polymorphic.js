@@ -0,0 +1,224 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('polymorphic relations', function () {
+    var Post = null;
+    var Photo = null;
+    var Comment = null;
+
+    before(function () {
+      Post = MoronModel.makeSubclass(function Post() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Photo = MoronModel.makeSubclass(function Photo() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Comment = MoronModel.makeSubclass(function Comment() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Post.tableName = 'MorphPost';
+      Post.knex = session.knex;
+
+      Photo.tableName = 'MorphPhoto';
+      Photo.knex = session.knex;
+
+      Comment.tableName = 'MorphComment';
+      Comment.knex = session.knex;
+
+      Post.relationMappings = {
+        comments: {
+          relation: MoronModel.MorphManyRelation,
+          modelClass: Comment,
+          join: {
+            from: 'MorphPost.id',
+            to: 'MorphComment.commentableId'
+          },
+          morph: {
+            column: 'MorphComment.commentableType',
+            value: 'post'
+          }
+        }
+      };
+
+      Photo.relationMappings = {
+        comments: {
+          relation: MoronModel.MorphManyRelation,
+          modelClass: Comment,
+          join: {
+            from: 'MorphPhoto.id',
+            to: 'MorphComment.commentableId'
+          },
+          morph: {
+            column: 'MorphComment.commentableType',
+            value: 'photo'
+          }
+        }
+      };
+
+      Comment.relationMappings = {
+        commentable: {
+          relation: MoronModel.MorphToRelation,
+          join: {
+            from: 'MorphComment.commentableId'
+          },
+          morph: {
+            column: 'MorphComment.commentableType',
+            types: {
+              post: Post,
+              photo: Photo
+            }
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('MorphPost')
+        .dropTableIfExists('MorphPhoto')
+        .dropTableIfExists('MorphComment')
+        .createTable('MorphPost', function (table) {
+          table.bigincrements('id');
+          table.string('title');
+        })
+        .createTable('MorphPhoto', function (table) {
+          table.bigincrements('id');
+          table.string('url');
+        })
+        .createTable('MorphComment', function (table) {
+          table.bigincrements('id');
+          table.string('commentableType');
+          table.biginteger('commentableId');
+          table.string('text');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema
+        .dropTableIfExists('MorphPost')
+        .dropTableIfExists('MorphPhoto')
+        .dropTableIfExists('MorphComment');
+    });
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('MorphPost').delete(),
+        session.knex('MorphPhoto').delete(),
+        session.knex('MorphComment').delete()
+      ]).then(function () {
+        return Promise.all([
+          session.knex('MorphPost').insert([{id: 1, title: 'Hello'}, {id: 2, title: 'World'}]),
+          session.knex('MorphPhoto').insert([{id: 1, url: 'cat.jpg'}]),
+          session.knex('MorphComment').insert([
+            {id: 1, commentableType: 'post', commentableId: 1, text: 'post comment'},
+            {id: 2, commentableType: 'photo', commentableId: 1, text: 'photo comment'},
+            {id: 3, commentableType: 'post', commentableId: 2, text: 'other post comment'},
+            {id: 4, commentableType: null, commentableId: null, text: 'orphan'}
+          ])
+        ]);
+      });
+    });
+
+    it('should find the related models of the right type', function () {
+      return Promise.all([
+        Post.fromJson({id: 1}).$relatedQuery('comments'),
+        Photo.fromJson({id: 1}).$relatedQuery('comments'),
+        Comment.fromJson({commentableType: 'photo', commentableId: 1}).$relatedQuery('commentable')
+      ]).spread(function (postComments, photoComments, commentables) {
+        expect(_.pluck(postComments, 'text')).to.eql(['post comment']);
+        expect(_.pluck(photoComments, 'text')).to.eql(['photo comment']);
+        expect(commentables[0]).to.be.a(Photo);
+        expect(commentables[0].url).to.equal('cat.jpg');
+      });
+    });
+
+    it('should eager load both sides grouping the owners by type', function () {
+      return Comment
+        .query()
+        .eager('commentable.comments')
+        .orderBy('id')
+        .then(function (comments) {
+          expect(comments[0].commentable).to.be.a(Post);
+          expect(comments[0].commentable.title).to.equal('Hello');
+          expect(comments[1].commentable).to.be.a(Photo);
+          expect(comments[1].commentable.url).to.equal('cat.jpg');
+          expect(comments[2].commentable.title).to.equal('World');
+          expect(comments[3].commentable).to.equal(null);
+          expect(_.pluck(comments[1].commentable.comments, 'text')).to.eql(['photo comment']);
+          // The root models are shared with the nested levels.
+          expect(comments[0].commentable.comments[0]).to.equal(comments[0]);
+        });
+    });
+
+    it('should not eager load polymorphic relations using the join algorithm', function () {
+      return Comment
+        .query()
+        .eager('commentable')
+        .eagerAlgorithm('join')
+        .then(function () {
+          throw new Error('should not get here');
+        })
+        .catch(function (err) {
+          expect(err.data.eager).to.equal('polymorphic relation "commentable" cannot be fetched using the join algorithm');
+        });
+    });
+
+    it('should insert, relate and unrelate models of the type', function () {
+      var photo = Photo.fromJson({id: 1});
+
+      return photo.$relatedQuery('comments').insert({text: 'new photo comment'}).then(function (comment) {
+        expect(comment.commentableType).to.equal('photo');
+        return photo.$relatedQuery('comments').relate(3);
+      }).then(function () {
+        return Post.fromJson({id: 1}).$relatedQuery('comments').unrelate();
+      }).then(function (count) {
+        expect(count).to.equal(1);
+        return session.knex('MorphComment').orderBy('id');
+      }).then(function (rows) {
+        expect(_.map(rows, function (row) {
+          return [row.id, row.commentableType, row.commentableId];
+        })).to.eql([
+          [1, null, null],
+          [2, 'photo', 1],
+          [3, 'photo', 1],
+          [4, null, null],
+          [5, 'photo', 1]
+        ]);
+      });
+    });
+
+    it('should insert both sides of the relation in a graph', function () {
+      return Comment.query().insertWithRelated([
+        {text: 'new post comment', commentableType: 'post', commentable: {title: 'New', comments: [{text: 'nested comment'}]}},
+        {text: 'new photo comment', commentableType: 'photo', commentable: {url: 'dog.jpg'}}
+      ]).then(function (comments) {
+        return Comment.query().whereIn('id', _.pluck(comments, 'id')).eager('commentable.comments').orderBy('id');
+      }).then(function (comments) {
+        expect(comments[0].commentable).to.be.a(Post);
+        expect(comments[0].commentable.title).to.equal('New');
+        expect(_.sortBy(_.pluck(comments[0].commentable.comments, 'text'))).to.eql(['nested comment', 'new post comment']);
+        expect(comments[1].commentable).to.be.a(Photo);
+        expect(comments[1].commentable.url).to.equal('dog.jpg');
+        expect(_.pluck(comments[1].commentable.comments, 'text')).to.eql(['new photo comment']);
+      });
+    });
+
+    it('should relate the morph to side using the type of the owner', function () {
+      var comment = Comment.fromJson({id: 4, commentableType: 'post'});
+
+      return comment.$relatedQuery('commentable').relate(2).then(function () {
+        return Comment.query().where('id', 4).eager('commentable');
+      }).then(function (comments) {
+        expect(comments[0].commentableType).to.equal('post');
+        expect(comments[0].commentable.title).to.equal('World');
+      });
+    });
+
+  });
+
+};
@@ -0,0 +1,207 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('soft delete', function () {
+    var Owner = null;
+    var Pet = null;
+
+    before(function () {
+      Owner = MoronModel.makeSubclass(function Owner() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Pet = MoronModel.makeSubclass(function Pet() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Owner.tableName = 'SoftDeleteOwner';
+      Owner.knex = session.knex;
+
+      Pet.tableName = 'SoftDeletePet';
+      Pet.softDelete = {column: 'deletedAt', value: function () { return 'now'; }};
+      Pet.knex = session.knex;
+
+      Owner.relationMappings = {
+        pets: {
+          relation: MoronModel.HasManyRelation,
+          modelClass: Pet,
+          join: {
+            from: 'SoftDeleteOwner.id',
+            to: 'SoftDeletePet.ownerId'
+          }
+        },
+        favoritePets: {
+          relation: MoronModel.ManyToManyRelation,
+          modelClass: Pet,
+          join: {
+            from: 'SoftDeleteOwner.id',
+            through: {
+              from: 'SoftDeleteFavorite.ownerId',
+              to: 'SoftDeleteFavorite.petId'
+            },
+            to: 'SoftDeletePet.id'
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('SoftDeleteOwner')
+        .dropTableIfExists('SoftDeletePet')
+        .dropTableIfExists('SoftDeleteFavorite')
+        .createTable('SoftDeleteOwner', function (table) {
+          table.bigincrements('id');
+          table.string('name');
+        })
+        .createTable('SoftDeletePet', function (table) {
+          table.bigincrements('id');
+          table.biginteger('ownerId');
+          table.string('name');
+          table.string('deletedAt');
+        })
+        .createTable('SoftDeleteFavorite', function (table) {
+          table.biginteger('ownerId');
+          table.biginteger('petId');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema
+        .dropTableIfExists('SoftDeleteOwner')
+        .dropTableIfExists('SoftDeletePet')
+        .dropTableIfExists('SoftDeleteFavorite');
+    });
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('SoftDeleteOwner').delete(),
+        session.knex('SoftDeletePet').delete(),
+        session.knex('SoftDeleteFavorite').delete()
+      ]).then(function () {
+        return Promise.all([
+          session.knex('SoftDeleteOwner').insert([{id: 1, name: 'Jennifer'}]),
+          session.knex('SoftDeletePet').insert([
+            {id: 1, ownerId: 1, name: 'Fluffy', deletedAt: null},
+            {id: 2, ownerId: 1, name: 'Doggo', deletedAt: 'yesterday'}
+          ]),
+          session.knex('SoftDeleteFavorite').insert([{ownerId: 1, petId: 1}, {ownerId: 1, petId: 2}])
+        ]);
+      });
+    });
+
+    it('should only mark the rows deleted', function () {
+      return Pet.fromJson({id: 1}).$query().delete().then(function () {
+        return session.knex('SoftDeletePet').orderBy('id');
+      }).then(function (rows) {
+        expect(_.pluck(rows, 'deletedAt')).to.eql(['now', 'yesterday']);
+      });
+    });
+
+    it('should exclude the deleted rows unless asked otherwise', function () {
+      return Promise.all([
+        Pet.query(),
+        Pet.query().withDeleted().orderBy('id'),
+        Pet.query().onlyDeleted(),
+        Owner.fromJson({id: 1}).$relatedQuery('pets')
+      ]).spread(function (pets, allPets, deletedPets, relatedPets) {
+        expect(_.pluck(pets, 'name')).to.eql(['Fluffy']);
+        expect(_.pluck(allPets, 'name')).to.eql(['Fluffy', 'Doggo']);
+        expect(_.pluck(deletedPets, 'name')).to.eql(['Doggo']);
+        expect(_.pluck(relatedPets, 'name')).to.eql(['Fluffy']);
+      });
+    });
+
+    it('should exclude the deleted rows from eager loading', function () {
+      return Promise.all([
+        Owner.query().eager('pets'),
+        Owner.query().eager('pets').eagerAlgorithm('join')
+      ]).spread(function (owners1, owners2) {
+        expect(_.pluck(owners1[0].pets, 'name')).to.eql(['Fluffy']);
+        expect(_.pluck(owners2[0].pets, 'name')).to.eql(['Fluffy']);
+      });
+    });
+
+    it('should not delete a deleted row again', function () {
+      return Pet.query().delete().then(function () {
+        return session.knex('SoftDeletePet').orderBy('id');
+      }).then(function (rows) {
+        expect(_.pluck(rows, 'deletedAt')).to.eql(['now', 'yesterday']);
+      });
+    });
+
+    it('should keep the join rows of soft deleted many to many related models', function () {
+      var owner = Owner.fromJson({id: 1});
+
+      return owner.$relatedQuery('favoritePets').delete().then(function () {
+        return owner.$relatedQuery('favoritePets');
+      }).then(function (pets) {
+        expect(pets).to.eql([]);
+        return Pet.query().restore().where('id', 1);
+      }).then(function () {
+        return owner.$relatedQuery('favoritePets');
+      }).then(function (pets) {
+        expect(_.pluck(pets, 'name')).to.eql(['Fluffy']);
+      });
+    });
+
+    it('should unrelate soft deleted has many related models', function () {
+      return Owner.fromJson({id: 1}).$relatedQuery('pets').unrelate().then(function () {
+        return session.knex('SoftDeletePet').orderBy('id');
+      }).then(function (rows) {
+        expect(_.pluck(rows, 'ownerId')).to.eql([null, null]);
+      });
+    });
+
+    it('should unrelate soft deleted many to many related models', function () {
+      return Owner.fromJson({id: 1}).$relatedQuery('favoritePets').unrelate(2).then(function (numUnrelated) {
+        expect(numUnrelated).to.equal(1);
+        return session.knex('SoftDeleteFavorite');
+      }).then(function (rows) {
+        expect(rows).to.eql([{ownerId: 1, petId: 1}]);
+      });
+    });
+
+    it('should restore soft deleted models in upsertGraph instead of inserting them again', function () {
+      return Owner.query().upsertGraph({
+        id: 1,
+        name: 'Jennifer',
+        pets: [{id: 1, name: 'Fluffy'}, {id: 2, name: 'Doggo 2'}],
+        favoritePets: [{id: 1}, {id: 2}]
+      }).then(function () {
+        return Promise.all([
+          session.knex('SoftDeletePet').orderBy('id'),
+          session.knex('SoftDeleteFavorite').orderBy('petId')
+        ]);
+      }).spread(function (pets, favorites) {
+        expect(_.map(pets, function (pet) { return _.pick(pet, 'name', 'deletedAt'); })).to.eql([
+          {name: 'Fluffy', deletedAt: null},
+          {name: 'Doggo 2', deletedAt: null}
+        ]);
+        // The kept join row is not duplicated.
+        expect(favorites).to.eql([{ownerId: 1, petId: 1}, {ownerId: 1, petId: 2}]);
+      });
+    });
+
+    it('should restore a soft deleted root model in upsertGraph', function () {
+      return Pet.query().upsertGraph({id: 2, name: 'Doggo 2'}).then(function () {
+        return Pet.query().orderBy('id');
+      }).then(function (pets) {
+        expect(_.pluck(pets, 'name')).to.eql(['Fluffy', 'Doggo 2']);
+      });
+    });
+
+    it('should restore the deleted rows', function () {
+      return Pet.query().restore().where('name', 'Doggo').then(function (numRestored) {
+        expect(numRestored).to.equal(1);
+        return Pet.query().orderBy('id');
+      }).then(function (pets) {
+        expect(_.pluck(pets, 'name')).to.eql(['Fluffy', 'Doggo']);
+      });
+    });
+
+  });
+
+};
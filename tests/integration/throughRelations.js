@@ -0,0 +1,261 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('has many through and has one through relations', function () {
+    var Country = null;
+    var Person = null;
+    var Pet = null;
+
+    before(function () {
+      Country = MoronModel.makeSubclass(function Country() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Person = MoronModel.makeSubclass(function Person() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Pet = MoronModel.makeSubclass(function Pet() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Country.tableName = 'ThroughCountry';
+      Country.knex = session.knex;
+
+      Person.tableName = 'ThroughPerson';
+      Person.knex = session.knex;
+
+      Pet.tableName = 'ThroughPet';
+      Pet.knex = session.knex;
+
+      Country.relationMappings = {
+        people: {
+          relation: MoronModel.HasManyThroughRelation,
+          modelClass: Person,
+          join: {
+            from: 'ThroughCountry.id',
+            through: [{
+              from: 'ThroughCity.countryId',
+              to: 'ThroughCity.id'
+            }],
+            to: 'ThroughPerson.cityId'
+          }
+        },
+        pets: {
+          relation: MoronModel.HasManyThroughRelation,
+          modelClass: Pet,
+          join: {
+            from: 'ThroughCountry.id',
+            through: [{
+              from: 'ThroughCity.countryId',
+              to: 'ThroughCity.id'
+            }, {
+              from: 'ThroughPerson.cityId',
+              to: 'ThroughPerson.id'
+            }],
+            to: 'ThroughPet.ownerId'
+          }
+        }
+      };
+
+      Person.relationMappings = {
+        visitedCountries: {
+          relation: MoronModel.HasManyThroughRelation,
+          modelClass: Country,
+          join: {
+            from: 'ThroughPerson.id',
+            through: [{
+              from: 'ThroughVisit.personId',
+              to: 'ThroughVisit.cityId'
+            }, {
+              from: 'ThroughCity.id',
+              to: 'ThroughCity.countryId'
+            }],
+            to: 'ThroughCountry.id'
+          }
+        },
+        country: {
+          relation: MoronModel.HasOneThroughRelation,
+          modelClass: Country,
+          join: {
+            from: 'ThroughPerson.cityId',
+            through: [{
+              from: 'ThroughCity.id',
+              to: 'ThroughCity.countryId'
+            }],
+            to: 'ThroughCountry.id'
+          }
+        }
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('ThroughCountry')
+        .dropTableIfExists('ThroughCity')
+        .dropTableIfExists('ThroughPerson')
+        .dropTableIfExists('ThroughPet')
+        .dropTableIfExists('ThroughVisit')
+        .createTable('ThroughCountry', function (table) {
+          table.bigincrements('id');
+          table.string('name');
+        })
+        .createTable('ThroughCity', function (table) {
+          table.bigincrements('id');
+          table.biginteger('countryId');
+          table.string('name');
+        })
+        .createTable('ThroughPerson', function (table) {
+          table.bigincrements('id');
+          table.biginteger('cityId');
+          table.string('name');
+        })
+        .createTable('ThroughPet', function (table) {
+          table.bigincrements('id');
+          table.biginteger('ownerId');
+          table.string('name');
+        })
+        .createTable('ThroughVisit', function (table) {
+          table.bigincrements('id');
+          table.biginteger('personId');
+          table.biginteger('cityId');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema
+        .dropTableIfExists('ThroughCountry')
+        .dropTableIfExists('ThroughCity')
+        .dropTableIfExists('ThroughPerson')
+        .dropTableIfExists('ThroughPet')
+        .dropTableIfExists('ThroughVisit');
+    });
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('ThroughCountry').delete(),
+        session.knex('ThroughCity').delete(),
+        session.knex('ThroughPerson').delete(),
+        session.knex('ThroughPet').delete(),
+        session.knex('ThroughVisit').delete()
+      ]).then(function () {
+        return Promise.all([
+          session.knex('ThroughCountry').insert([{id: 1, name: 'Finland'}, {id: 2, name: 'Sweden'}, {id: 3, name: 'Norway'}]),
+          session.knex('ThroughCity').insert([
+            {id: 1, countryId: 1, name: 'Helsinki'},
+            {id: 2, countryId: 1, name: 'Tampere'},
+            {id: 3, countryId: 2, name: 'Stockholm'}
+          ]),
+          session.knex('ThroughPerson').insert([
+            {id: 1, cityId: 1, name: 'Matti'},
+            {id: 2, cityId: 2, name: 'Teppo'},
+            {id: 3, cityId: 3, name: 'Sven'}
+          ]),
+          session.knex('ThroughPet').insert([
+            {id: 1, ownerId: 1, name: 'Musti'},
+            {id: 2, ownerId: 2, name: 'Mirri'},
+            {id: 3, ownerId: 3, name: 'Fido'}
+          ]),
+          session.knex('ThroughVisit').insert([
+            {personId: 1, cityId: 1},
+            {personId: 1, cityId: 2},
+            {personId: 1, cityId: 3},
+            {personId: 2, cityId: 1}
+          ])
+        ]);
+      });
+    });
+
+    it('should find the related models through the intermediate tables', function () {
+      return Promise.all([
+        Country.fromJson({id: 1}).$relatedQuery('people').orderBy('name'),
+        Country.fromJson({id: 1}).$relatedQuery('pets').where('ThroughPerson.name', 'Teppo'),
+        Person.fromJson({id: 3, cityId: 3}).$relatedQuery('country')
+      ]).spread(function (people, pets, countries) {
+        expect(people[0]).to.be.a(Person);
+        expect(_.pluck(people, 'name')).to.eql(['Matti', 'Teppo']);
+        expect(_.pluck(pets, 'name')).to.eql(['Mirri']);
+        expect(_.pluck(countries, 'name')).to.eql(['Sweden']);
+      });
+    });
+
+    _.each(['whereIn', 'join'], function (algorithm) {
+
+      it('should eager load the related models using the ' + algorithm + ' algorithm', function () {
+        return Country
+          .query()
+          .eager('[people.country, pets]')
+          .eagerAlgorithm(algorithm)
+          .orderBy('ThroughCountry.id')
+          .then(function (countries) {
+            expect(_.sortBy(_.pluck(countries[0].people, 'name'))).to.eql(['Matti', 'Teppo']);
+            expect(_.sortBy(_.pluck(countries[0].pets, 'name'))).to.eql(['Mirri', 'Musti']);
+            expect(countries[0].people[0].country.name).to.equal('Finland');
+            expect(_.pluck(countries[1].pets, 'name')).to.eql(['Fido']);
+            expect(countries[2].people).to.eql([]);
+          });
+      });
+
+    });
+
+    it('should return a related model reached through multiple intermediate rows once', function () {
+      return Promise.all([
+        Person.fromJson({id: 1}).$relatedQuery('visitedCountries').orderBy('ThroughCountry.id'),
+        Person.query().whereIn('id', [1, 2, 3]).eager('visitedCountries').orderBy('id')
+      ]).spread(function (countries, people) {
+        expect(_.pluck(countries, 'name')).to.eql(['Finland', 'Sweden']);
+        expect(_.sortBy(_.pluck(people[0].visitedCountries, 'name'))).to.eql(['Finland', 'Sweden']);
+        expect(_.pluck(people[1].visitedCountries, 'name')).to.eql(['Finland']);
+        expect(people[2].visitedCountries).to.eql([]);
+      });
+    });
+
+    it('should count the related models', function () {
+      return Country
+        .query()
+        .withCount('people')
+        .withCount('pets')
+        .orderBy('id')
+        .then(function (countries) {
+          expect(_.pluck(countries, 'peopleCount')).to.eql([2, 1, 0]);
+          expect(_.pluck(countries, 'petsCount')).to.eql([2, 1, 0]);
+          return Country.fromJson({id: 1}).$relatedQuery('pets').resultSize();
+        })
+        .then(function (count) {
+          expect(count).to.equal(2);
+        });
+    });
+
+    it('should not insert or upsert models through the relations in a graph', function () {
+      return Country.query().insertWithRelated({name: 'Denmark', people: [{name: 'Lars'}]}).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err.data.people).to.equal('cannot insert models through Country.people');
+        return Country.query().upsertGraph({id: 1, name: 'Finland', pets: [{name: 'Rekku'}]});
+      }).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err.data.pets).to.equal('cannot insert models through Country.pets');
+        return Promise.all([session.knex('ThroughCountry'), session.knex('ThroughPerson'), session.knex('ThroughPet')]);
+      }).spread(function (countries, people, pets) {
+        expect(countries).to.have.length(3);
+        expect(people).to.have.length(3);
+        expect(pets).to.have.length(3);
+      });
+    });
+
+    it('should not allow modifying the related models', function () {
+      expect(function () {
+        Country.fromJson({id: 1}).$relatedQuery('people').insert({name: 'Pekka'}).then(_.noop);
+      }).to.throwException(/cannot insert models through Country.people/);
+
+      expect(function () {
+        Country.fromJson({id: 1}).$relatedQuery('people').unrelate().then(_.noop);
+      }).to.throwException(/cannot unrelate models through Country.people/);
+    });
+
+  });
+
+};
@@ -0,0 +1,76 @@
+var expect = require('expect.js');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+
+  describe('timestamps', function () {
+    var Note = null;
+
+    before(function () {
+      Note = MoronModel.makeSubclass(function Note() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Note.tableName = 'TimestampNote';
+      Note.knex = session.knex;
+      Note.timestamps = {
+        createdAt: {column: 'createdAt'},
+        updatedAt: {column: 'updatedAt'}
+      };
+
+      return session.knex.schema
+        .dropTableIfExists('TimestampNote')
+        .createTable('TimestampNote', function (table) {
+          table.bigincrements('id');
+          table.string('text');
+          table.string('createdAt');
+          table.string('updatedAt');
+        });
+    });
+
+    after(function () {
+      return session.knex.schema.dropTableIfExists('TimestampNote');
+    });
+
+    beforeEach(function () {
+      return session.knex('TimestampNote').delete().then(function () {
+        return session.knex('TimestampNote').insert({id: 1, text: 'old', createdAt: 'created', updatedAt: 'updated'});
+      });
+    });
+
+    it('should write the same createdAt and updatedAt on insert', function () {
+      return Note.query().insert([{text: 'a'}, {text: 'b'}]).then(function () {
+        return session.knex('TimestampNote').whereIn('text', ['a', 'b']);
+      }).then(function (rows) {
+        expect(rows).to.have.length(2);
+        expect(rows[0].createdAt).to.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+        expect(rows[0].updatedAt).to.equal(rows[0].createdAt);
+        expect(rows[1].createdAt).to.equal(rows[0].createdAt);
+        expect(rows[1].updatedAt).to.equal(rows[0].createdAt);
+      });
+    });
+
+    it('should only update updatedAt on patch', function () {
+      var note = Note.fromJson({id: 1});
+
+      return note.$query().patch({text: 'new'}).then(function () {
+        return session.knex('TimestampNote').where('id', 1);
+      }).then(function (rows) {
+        expect(rows[0].createdAt).to.equal('created');
+        expect(rows[0].updatedAt).not.to.equal('updated');
+        expect(rows[0].updatedAt).to.equal(note.updatedAt);
+      });
+    });
+
+    it('should update updatedAt on bulk patch', function () {
+      return Note.query().patch({text: 'new'}).where('id', 1).then(function () {
+        return session.knex('TimestampNote').where('id', 1);
+      }).then(function (rows) {
+        expect(rows[0].text).to.equal('new');
+        expect(rows[0].updatedAt).to.match(/^\d{4}-\d{2}-\d{2}T/);
+      });
+    });
+
+  });
+
+};
@@ -0,0 +1,147 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+var MoronModel = require('../../lib/MoronModel');
+
+module.exports = function (session) {
+  var Model1 = session.models.Model1;
+  var Model2 = session.models.Model2;
+
+  describe('transaction', function () {
+
+    beforeEach(function () {
+      return Promise.all([
+        session.knex('Model1').delete(),
+        session.knex('model_2').delete()
+      ]);
+    });
+
+    it('should resolve an empty transaction', function (done) {
+      MoronModel.transaction(Model1, Model2, function () {
+        return {a: 1};
+      }).then(function (result) {
+        expect(result).to.eql({a: 1});
+        done();
+      }).catch(done);
+    });
+
+    it('should fail without model classes', function (done) {
+      MoronModel.transaction(function () {
+        done(new Error('should not get here'));
+      }).catch(function () {
+        done();
+      });
+    });
+
+    it('should fail if all model classes are not bound to the same knex', function (done) {
+      var Model1Unbound = MoronModel.makeSubclass(function Model1Unbound() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model1Unbound.tableName = 'Model1';
+
+      MoronModel.transaction(Model1, Model1Unbound, function () {
+        done(new Error('should not get here'));
+      }).catch(function () {
+        done();
+      });
+    });
+
+    it('should pass bound model classes to the callback', function () {
+      return MoronModel.transaction(Model1, Model2, function (BoundModel1, BoundModel2) {
+        expect(BoundModel1.prototype).to.be.a(Model1);
+        expect(BoundModel2.prototype).to.be.a(Model2);
+        expect(BoundModel1.boundTransaction).to.equal(this);
+        expect(BoundModel2.boundTransaction).to.equal(this);
+        expect(BoundModel1.getRelation('model1Relation2').relatedModelClass).to.equal(BoundModel2);
+        expect(BoundModel2.getRelation('model2Relation1').relatedModelClass).to.equal(BoundModel1);
+      });
+    });
+
+    it('should commit transaction if no errors occur', function () {
+      return MoronModel.transaction(Model1, Model2, function (Model1, Model2) {
+
+        return Model1
+          .query()
+          .insert({model1Prop1: 'a'})
+          .then(function (model) {
+            return model.$relatedQuery('model1Relation2').insert({model2Prop1: 'b'});
+          })
+          .then(function () {
+            return Model2.query().insert({model2Prop1: 'c'});
+          });
+
+      }).then(function () {
+        return Promise.all([session.knex('Model1'), session.knex('model_2')]);
+      }).spread(function (rows1, rows2) {
+        expect(rows1).to.have.length(1);
+        expect(rows2).to.have.length(2);
+        expect(_.pluck(rows2, 'model_2_prop_1').sort()).to.eql(['b', 'c']);
+      });
+    });
+
+    it('should rollback if an error occurs', function () {
+      return MoronModel.transaction(Model1, Model2, function (Model1, Model2) {
+
+        return Model1
+          .query()
+          .insert({model1Prop1: 'a'})
+          .then(function (model) {
+            return model.$relatedQuery('model1Relation2').insert({model2Prop1: 'b'});
+          })
+          .then(function () {
+            throw new Error('whoops');
+          });
+
+      }).catch(function (err) {
+        expect(err.message).to.equal('whoops');
+        return Promise.all([session.knex('Model1'), session.knex('model_2')]);
+      }).spread(function (rows1, rows2) {
+        expect(rows1).to.have.length(0);
+        expect(rows2).to.have.length(0);
+      });
+    });
+
+    it('should rollback if the callback throws', function () {
+      return MoronModel.transaction(Model1, function () {
+        throw new Error('whoops');
+      }).catch(function (err) {
+        expect(err.message).to.equal('whoops');
+        return session.knex('Model1');
+      }).then(function (rows) {
+        expect(rows).to.have.length(0);
+      });
+    });
+
+    it('should run eager queries and $loadRelated inside the transaction', function () {
+      return MoronModel.transaction(Model1, function (Model1) {
+
+        return Model1
+          .query()
+          .insert({model1Prop1: 'a'})
+          .then(function (model) {
+            return model.$relatedQuery('model1Relation2').insert({model2Prop1: 'b'}).return(model);
+          })
+          .then(function (model) {
+            return Promise.all([
+              Model1.query().eager('model1Relation2'),
+              model.$loadRelated('model1Relation2')
+            ]);
+          })
+          .spread(function (models, model) {
+            expect(models[0].model1Relation2[0].model2Prop1).to.equal('b');
+            expect(model.model1Relation2[0].model2Prop1).to.equal('b');
+            throw new Error('rollback');
+          });
+
+      }).catch(function (err) {
+        expect(err.message).to.equal('rollback');
+        return session.knex('model_2');
+      }).then(function (rows) {
+        expect(rows).to.have.length(0);
+      });
+    });
+
+  });
+
+};
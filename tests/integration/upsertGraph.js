@@ -0,0 +1,216 @@
+var _ = require('lodash');
+var expect = require('expect.js');
+var Promise = require('bluebird');
+
+module.exports = function (session) {
+  var Model1 = session.models.Model1;
+  var Model2 = session.models.Model2;
+
+  describe('.query().upsertGraph()', function () {
+
+    beforeEach(function () {
+      return session.populate([{
+        id: 1,
+        model1Prop1: 'root',
+
+        model1Relation1: {
+          id: 2,
+          model1Prop1: 'parent'
+        },
+
+        model1Relation2: [{
+          idCol: 1,
+          model2Prop1: 'child 1',
+
+          model2Relation1: [{
+            id: 3,
+            model1Prop1: 'many to many 1'
+          }, {
+            id: 4,
+            model1Prop1: 'many to many 2'
+          }]
+        }, {
+          idCol: 2,
+          model2Prop1: 'child 2'
+        }]
+      }]);
+    });
+
+    it('should insert new, patch changed and remove missing models', function () {
+      return Model1.query().upsertGraph({
+        id: 1,
+        model1Prop1: 'root updated',
+
+        model1Relation1: {
+          id: 2,
+          model1Prop1: 'parent updated'
+        },
+
+        model1Relation2: [{
+          idCol: 1,
+          model2Prop1: 'child 1',
+
+          model2Relation1: [{
+            id: 3,
+            model1Prop1: 'many to many 1'
+          }, {
+            model1Prop1: 'many to many 3'
+          }]
+        }, {
+          model2Prop1: 'child 3'
+        }]
+      }).then(function (upserted) {
+        expect(upserted).to.be.a(Model1);
+        expect(upserted.model1Relation2[1]).to.be.a(Model2);
+        expect(upserted.model1Relation2[1].idCol).to.be.a('number');
+        return Promise.all([session.knex('Model1'), session.knex('model_2'), session.knex('Model1Model2')]);
+      }).spread(function (rows1, rows2, joinRows) {
+        var manyToMany3 = _.find(rows1, {model1Prop1: 'many to many 3'});
+
+        expect(_.find(rows1, {id: 1}).model1Prop1).to.equal('root updated');
+        expect(_.find(rows1, {id: 2}).model1Prop1).to.equal('parent updated');
+        // Unrelated many to many models are not deleted.
+        expect(_.find(rows1, {id: 4}).model1Prop1).to.equal('many to many 2');
+        expect(manyToMany3).to.be.ok();
+
+        expect(_.sortBy(_.pluck(rows2, 'model_2_prop_1'))).to.eql(['child 1', 'child 3']);
+        expect(_.find(rows2, {model_2_prop_1: 'child 3'}).model_1_id).to.equal(1);
+
+        expect(joinRows).to.have.length(2);
+        expect(_.sortBy(_.pluck(joinRows, 'model1Id'))).to.eql([3, manyToMany3.id]);
+        expect(_.uniq(_.pluck(joinRows, 'model2Id'))).to.eql([1]);
+      });
+    });
+
+    it('should leave relations that are not present in the graph untouched', function () {
+      return Model1.query().upsertGraph({id: 1, model1Prop1: 'root updated'}).then(function () {
+        return Promise.all([session.knex('Model1'), session.knex('model_2'), session.knex('Model1Model2')]);
+      }).spread(function (rows1, rows2, joinRows) {
+        expect(_.find(rows1, {id: 1}).model1Prop1).to.equal('root updated');
+        expect(_.find(rows1, {id: 1}).model1Id).to.equal(2);
+        expect(rows2).to.have.length(2);
+        expect(joinRows).to.have.length(2);
+      });
+    });
+
+    it('should replace a has one relation with a new model', function () {
+      return Model1.query().upsertGraph({
+        id: 1,
+        model1Relation1: {model1Prop1: 'new parent'}
+      }).then(function (upserted) {
+        expect(upserted.model1Id).to.equal(upserted.model1Relation1.id);
+        return session.knex('Model1');
+      }).then(function (rows) {
+        var newParent = _.find(rows, {model1Prop1: 'new parent'});
+        expect(_.find(rows, {id: 1}).model1Id).to.equal(newParent.id);
+        // The old related model is only unrelated.
+        expect(_.find(rows, {id: 2})).to.be.ok();
+      });
+    });
+
+    it('should unrelate a has one relation set to null', function () {
+      return Model1.query().upsertGraph({id: 1, model1Relation1: null}).then(function () {
+        return session.knex('Model1');
+      }).then(function (rows) {
+        expect(_.find(rows, {id: 1}).model1Id).to.equal(null);
+        expect(_.find(rows, {id: 2})).to.be.ok();
+      });
+    });
+
+    it('should insert models that have no identifier', function () {
+      return Model1.query().upsertGraph([{
+        id: 1,
+        model1Relation2: []
+      }, {
+        model1Prop1: 'new root',
+        model1Relation2: [{model2Prop1: 'new child'}]
+      }]).then(function (upserted) {
+        expect(upserted).to.have.length(2);
+        return Promise.all([session.knex('Model1'), session.knex('model_2')]);
+      }).spread(function (rows1, rows2) {
+        var newRoot = _.find(rows1, {model1Prop1: 'new root'});
+
+        expect(rows2).to.have.length(1);
+        expect(rows2[0].model_2_prop_1).to.equal('new child');
+        expect(rows2[0].model_1_id).to.equal(newRoot.id);
+      });
+    });
+
+    it('should relate an existing model', function () {
+      return Model1.query().upsertGraph({
+        id: 1,
+        model1Relation1: {id: 4},
+        model1Relation2: [{
+          idCol: 1
+        }, {
+          idCol: 2,
+          model2Relation1: [{id: 3, model1Prop1: 'related'}]
+        }]
+      }).then(function () {
+        return Promise.all([session.knex('Model1'), session.knex('Model1Model2')]);
+      }).spread(function (rows1, joinRows) {
+        expect(rows1).to.have.length(4);
+        expect(_.find(rows1, {id: 1}).model1Id).to.equal(4);
+        expect(_.find(rows1, {id: 3}).model1Prop1).to.equal('related');
+
+        expect(_.sortBy(_.map(joinRows, function (row) {
+          return [row.model2Id, row.model1Id];
+        }))).to.eql([[1, 3], [1, 4], [2, 3]]);
+      });
+    });
+
+    it('should insert a related model whose identifier is not found', function () {
+      return Model1.query().upsertGraph({
+        id: 1,
+        model1Relation2: [{idCol: 2, model2Relation1: [{id: 100, model1Prop1: 'new'}]}]
+      }).then(function () {
+        return Promise.all([session.knex('Model1').where('id', 100), session.knex('Model1Model2').where('model1Id', 100)]);
+      }).spread(function (rows, joinRows) {
+        expect(rows[0].model1Prop1).to.equal('new');
+        expect(joinRows[0].model2Id).to.equal(2);
+      });
+    });
+
+    it('should work with $query()', function () {
+      var model = Model1.fromJson({
+        id: 1,
+        model1Relation2: [{idCol: 2, model2Prop1: 'child 2 updated'}]
+      });
+
+      return model.$query().upsertGraph().then(function (upserted) {
+        expect(upserted).to.equal(model);
+        return session.knex('model_2');
+      }).then(function (rows) {
+        expect(rows).to.have.length(1);
+        expect(rows[0].model_2_prop_1).to.equal('child 2 updated');
+      });
+    });
+
+    it('should change nothing if one of the queries fails', function () {
+      var BoundModel1 = Model1.bindKnex(session.knex);
+      var BoundModel2 = BoundModel1.getRelation('model1Relation2').relatedModelClass;
+
+      BoundModel2.prototype.$beforeInsert = function () {
+        throw new Error('hook failed');
+      };
+
+      return BoundModel1.query().upsertGraph({
+        id: 1,
+        model1Prop1: 'root updated',
+        model1Relation2: [{model2Prop1: 'child 3'}]
+      }).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err.message).to.equal('hook failed');
+        return Promise.all([session.knex('Model1'), session.knex('model_2')]);
+      }).spread(function (rows1, rows2) {
+        expect(_.find(rows1, {id: 1}).model1Prop1).to.equal('root');
+        expect(rows2).to.have.length(2);
+      }).finally(function () {
+        delete BoundModel2.prototype.$beforeInsert;
+      });
+    });
+
+  });
+
+};
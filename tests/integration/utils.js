@@ -35,7 +35,7 @@ module.exports.initialize = function (opt) {
 
   Model1.relationMappings = {
     model1Relation1: {
-      relation: MoronModel.HasOneRelation,
+      relation: MoronModel.BelongsToOneRelation,
       modelClass: Model1,
       join: {
         from: 'Model1.model1Id',
@@ -159,7 +159,7 @@ function createRows(model, ModelClass, rows) {
       return;
     }
 
-    if (relation instanceof MoronModel.HasOneRelation) {
+    if (relation instanceof MoronModel.BelongsToOneRelation) {
 
       var related = relation.relatedModelClass.ensureModel(model[relationName]);
       model[relation.ownerProp] = related.$id();
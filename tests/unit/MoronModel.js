@@ -1,8 +1,615 @@
+var _ = require('lodash')
+  , knex = require('knex')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , MoronModel = require('../../lib/MoronModel')
+  , MoronConcurrencyError = require('../../lib/MoronConcurrencyError');
+
 describe('MoronModel', function () {
+  var originalKnexQueryBuilderThen = null;
+  var mockKnexQueryResults = [];
+  var executedQueries = [];
+  var mockKnex = null;
+
+  before(function () {
+    mockKnex = knex({client: 'pg'});
+    originalKnexQueryBuilderThen = mockKnex.client.QueryBuilder.prototype.then;
+    mockKnex.client.QueryBuilder.prototype.then = function (cb, ecb) {
+      var result = mockKnexQueryResults.shift();
+      executedQueries.push(this.toString());
+      // Zero updated rows must be returned as is.
+      return Promise.resolve(_.isUndefined(result) ? [] : result).then(cb, ecb);
+    };
+  });
+
+  after(function () {
+    mockKnex.client.QueryBuilder.prototype.then = originalKnexQueryBuilderThen;
+  });
+
+  beforeEach(function () {
+    mockKnexQueryResults = [];
+    executedQueries = [];
+  });
 
   it('should remove relations from the database json representation');
   it('if schema is given, should remove all but schema properties from database representation');
   it('should convert objects to json based on jsonSchema type');
   it('should convert objects to json based on jsonAttributes array');
 
+  describe('bindKnex', function () {
+    var Model1 = null;
+    var Model2 = null;
+
+    beforeEach(function () {
+      Model1 = MoronModel.makeSubclass(function Model1() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model2 = MoronModel.makeSubclass(function Model2() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model1.tableName = 'Model1';
+      Model2.tableName = 'Model2';
+
+      Model1.relationMappings = {
+        model2: {
+          relation: MoronModel.HasManyRelation,
+          modelClass: Model2,
+          join: {
+            from: 'Model1.id',
+            to: 'Model2.model1Id'
+          }
+        }
+      };
+
+      Model2.relationMappings = {
+        model1: {
+          relation: MoronModel.BelongsToOneRelation,
+          modelClass: Model1,
+          join: {
+            from: 'Model2.model1Id',
+            to: 'Model1.id'
+          }
+        }
+      };
+    });
+
+    it('should create a subclass bound to the knex instance', function () {
+      var knex1 = knex({client: 'pg'});
+      var BoundModel1 = Model1.bindKnex(knex1);
+
+      expect(BoundModel1.prototype).to.be.a(Model1);
+      expect(BoundModel1.knex).to.equal(knex1);
+      expect(BoundModel1.tableName).to.equal('Model1');
+      expect(Model1.knex).to.equal(null);
+    });
+
+    it('should return the same subclass for the same knex instance', function () {
+      var knex1 = knex({client: 'pg'});
+      var knex2 = knex({client: 'pg'});
+
+      expect(Model1.bindKnex(knex1)).to.equal(Model1.bindKnex(knex1));
+      expect(Model1.bindKnex(knex1)).to.not.equal(Model1.bindKnex(knex2));
+      expect(Model1.bindKnex(knex1)).to.not.equal(Model2.bindKnex(knex1));
+    });
+
+    it('should bind the relations to the knex instance', function () {
+      var knex1 = knex({client: 'pg'});
+      var BoundModel1 = Model1.bindKnex(knex1);
+      var BoundModel2 = Model2.bindKnex(knex1);
+      var relation1 = BoundModel1.getRelation('model2');
+      var relation2 = BoundModel2.getRelation('model1');
+
+      expect(relation1.ownerModelClass).to.equal(BoundModel1);
+      expect(relation1.relatedModelClass).to.equal(BoundModel2);
+      expect(relation2.ownerModelClass).to.equal(BoundModel2);
+      expect(relation2.relatedModelClass).to.equal(BoundModel1);
+
+      // Original relations must not be affected.
+      expect(Model1.getRelation('model2').relatedModelClass).to.equal(Model2);
+      expect(Model2.getRelation('model1').relatedModelClass).to.equal(Model1);
+    });
+
+    it('should use the bound knex instance in queries', function () {
+      var mysql = knex({client: 'mysql'});
+      var pg = knex({client: 'pg'});
+
+      expect(Model1.bindKnex(mysql).query().where('id', 1).toString()).to.equal('select * from `Model1` where `id` = 1');
+      expect(Model1.bindKnex(pg).query().where('id', 1).toString()).to.equal('select * from "Model1" where "id" = \'1\'');
+
+      var model = Model1.bindKnex(mysql).fromJson({id: 1});
+      expect(model.$relatedQuery('model2').toString()).to.equal('select * from `Model2` where `Model2`.`model1Id` in (1)');
+    });
+
+  });
+
+  describe('bindTransaction', function () {
+
+    it('should create a subclass bound to the transaction', function () {
+      var Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      var trx = {};
+      var BoundModel = Model.bindTransaction(trx);
+
+      expect(BoundModel.prototype).to.be.a(Model);
+      expect(BoundModel.boundTransaction).to.equal(trx);
+      expect(Model.bindTransaction(trx)).to.equal(BoundModel);
+      expect(Model.boundTransaction).to.equal(null);
+    });
+
+  });
+
+  describe('composite id', function () {
+    var Model = null;
+
+    beforeEach(function () {
+      Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model.tableName = 'Model';
+      Model.idColumn = ['tenantId', 'id'];
+      Model.knex = knex({client: 'pg'});
+    });
+
+    it('getIdProperty and getFullIdColumn should return arrays', function () {
+      expect(Model.getIdProperty()).to.eql(['tenantId', 'id']);
+      expect(Model.getFullIdColumn()).to.eql(['Model.tenantId', 'Model.id']);
+    });
+
+    it('$id should get and set an array', function () {
+      var model = Model.fromJson({tenantId: 1, id: 2});
+      expect(model.$id()).to.eql([1, 2]);
+
+      model.$id([3, 4]);
+      expect(model.tenantId).to.equal(3);
+      expect(model.id).to.equal(4);
+    });
+
+    it('$query should use all id columns', function () {
+      var model = Model.fromJson({tenantId: 1, id: 2, a: 3});
+
+      expect(model.$query().toString())
+        .to.equal('select * from "Model" where "Model"."tenantId" = \'1\' and "Model"."id" = \'2\'');
+
+      expect(model.$query().update().toString())
+        .to.equal('update "Model" set "a" = \'3\' where "Model"."tenantId" = \'1\' and "Model"."id" = \'2\'');
+
+      expect(model.$query().delete().toString())
+        .to.equal('delete from "Model" where "Model"."tenantId" = \'1\' and "Model"."id" = \'2\'');
+    });
+
+  });
+
+  describe('hooks', function () {
+    var Model = null;
+    var calls = null;
+
+    beforeEach(function () {
+      calls = [];
+
+      Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model.tableName = 'Model';
+      Model.knex = mockKnex;
+
+      _.each(['$beforeInsert', '$afterInsert', '$beforeUpdate', '$afterUpdate', '$beforeDelete', '$afterDelete'], function (hook) {
+        Model.prototype[hook] = function (transaction, options) {
+          calls.push({hook: hook, id: this.id, transaction: transaction, options: options});
+        };
+      });
+    });
+
+    it('should call $beforeInsert and $afterInsert for query().insert()', function () {
+      mockKnexQueryResults = [[1, 2]];
+
+      return Model.query().insert([{a: 1}, {a: 2}]).then(function (models) {
+        expect(_.pluck(calls, 'hook')).to.eql(['$beforeInsert', '$beforeInsert', '$afterInsert', '$afterInsert']);
+        expect(_.pluck(calls, 'id')).to.eql([undefined, undefined, 1, 2]);
+        expect(_.pluck(models, 'id')).to.eql([1, 2]);
+      });
+    });
+
+    it('should write the modifications done in an asynchronous $beforeInsert to the database', function () {
+      mockKnexQueryResults = [[1]];
+
+      Model.prototype.$beforeInsert = function () {
+        var self = this;
+        return Promise.delay(1).then(function () {
+          self.b = 'set in hook';
+        });
+      };
+
+      return Model.fromJson({a: 1}).$query().insert().then(function (model) {
+        expect(model.b).to.equal('set in hook');
+        expect(executedQueries).to.eql(['insert into "Model" ("a", "b") values (\'1\', \'set in hook\') returning "Model"."id"']);
+      });
+    });
+
+    it('should reject the query if $beforeInsert fails', function () {
+      Model.prototype.$beforeInsert = function () {
+        return Promise.reject(new Error('hook failed'));
+      };
+
+      return Model.query().insert({a: 1}).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err.message).to.equal('hook failed');
+        expect(executedQueries).to.have.length(0);
+      });
+    });
+
+    it('should pass the transaction to the hooks', function () {
+      var trx = {};
+      mockKnexQueryResults = [[1]];
+
+      return Model.query().insert({a: 1}).transacting(trx).then(function () {
+        expect(_.pluck(calls, 'hook')).to.eql(['$beforeInsert', '$afterInsert']);
+        expect(calls[0].transaction).to.equal(trx);
+        expect(calls[1].transaction).to.equal(trx);
+      });
+    });
+
+    it('should call $beforeUpdate and $afterUpdate for $query().update()', function () {
+      Model.prototype.$beforeUpdate = function (transaction, options) {
+        calls.push({hook: '$beforeUpdate', options: options});
+        this.b = 'set in hook';
+      };
+
+      return Model.fromJson({id: 1, a: 1}).$query().update().then(function (model) {
+        expect(model.b).to.equal('set in hook');
+        expect(_.pluck(calls, 'hook')).to.eql(['$beforeUpdate', '$afterUpdate']);
+        expect(calls[0].options).to.eql({});
+        expect(executedQueries).to.eql(['update "Model" set "a" = \'1\', "b" = \'set in hook\' where "Model"."id" = \'1\'']);
+      });
+    });
+
+    it('should call $beforeUpdate and $afterUpdate with patch option for query().patch()', function () {
+      return Model.query().patch({a: 1}).where('a', '>', 0).then(function () {
+        expect(_.pluck(calls, 'hook')).to.eql(['$beforeUpdate', '$afterUpdate']);
+        expect(calls[0].options).to.eql({patch: true});
+        expect(calls[1].options).to.eql({patch: true});
+      });
+    });
+
+    it('should call $beforeDelete and $afterDelete for $query().delete()', function () {
+      return Model.fromJson({id: 1}).$query().delete().then(function () {
+        expect(_.pluck(calls, 'hook')).to.eql(['$beforeDelete', '$afterDelete']);
+        expect(_.pluck(calls, 'id')).to.eql([1, 1]);
+        expect(executedQueries).to.eql(['delete from "Model" where "Model"."id" = \'1\'']);
+      });
+    });
+
+  });
+
+  describe('dirty tracking', function () {
+    var Model = null;
+
+    beforeEach(function () {
+      Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model.tableName = 'Model';
+      Model.knex = mockKnex;
+    });
+
+    it('should track the changes of a model created from the database', function () {
+      var model = Model.fromDatabaseJson({id: 1, a: 1, b: {c: 1}});
+
+      expect(model.$changes()).to.eql({});
+      expect(model.$isDirty()).to.equal(false);
+      expect(_.keys(model)).to.eql(['id', 'a', 'b']);
+
+      model.a = 2;
+      model.b.c = 2;
+
+      expect(model.$changes()).to.eql({a: 2, b: {c: 2}});
+      expect(model.$isDirty('a')).to.equal(true);
+      expect(model.$isDirty('id')).to.equal(false);
+      expect(model.$clone().$changes()).to.eql({a: 2, b: {c: 2}});
+    });
+
+    it('all properties of a model not created from the database should have changed', function () {
+      expect(Model.fromJson({a: 1}).$changes()).to.eql({a: 1});
+    });
+
+    it('$save should patch only the changed properties', function () {
+      var model = Model.fromDatabaseJson({id: 1, a: 1, b: 1});
+      model.b = 2;
+
+      return model.$save().then(function (result) {
+        expect(result).to.equal(model);
+        expect(executedQueries).to.eql(['update "Model" set "b" = \'2\' where "Model"."id" = \'1\'']);
+        expect(model.$isDirty()).to.equal(false);
+        return model.$save();
+      }).then(function (result) {
+        expect(result).to.equal(model);
+        expect(executedQueries).to.have.length(1);
+      });
+    });
+
+    it('$save should insert a model without an identifier', function () {
+      mockKnexQueryResults = [[5]];
+      var model = Model.fromJson({a: 1});
+
+      return model.$save().then(function (result) {
+        expect(result).to.equal(model);
+        expect(model.id).to.equal(5);
+        expect(model.$isDirty()).to.equal(false);
+        expect(executedQueries).to.eql(['insert into "Model" ("a") values (\'1\') returning "Model"."id"']);
+      });
+    });
+
+  });
+
+  describe('optimistic locking', function () {
+    var Model = null;
+
+    beforeEach(function () {
+      Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model.tableName = 'Model';
+      Model.versionColumn = 'version';
+      Model.knex = mockKnex;
+    });
+
+    it('should check and increment the version', function () {
+      mockKnexQueryResults = [1];
+      var model = Model.fromDatabaseJson({id: 1, a: 1, version: 3});
+
+      return model.$query().patch({a: 2}).then(function () {
+        expect(executedQueries).to.eql(['update "Model" set "a" = \'2\', "version" = \'4\' where "Model"."version" = \'3\' and "Model"."id" = \'1\'']);
+        expect(model.version).to.equal(4);
+        expect(model.$isDirty()).to.equal(false);
+      });
+    });
+
+    it('should fail if no rows were updated', function () {
+      mockKnexQueryResults = [0];
+      var model = Model.fromDatabaseJson({id: 1, a: 1, version: 3});
+
+      return model.$query().update().then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err).to.be.a(MoronConcurrencyError);
+        expect(err.statusCode).to.equal(409);
+        expect(err.message).to.equal('Model 1 has been modified since version 3');
+        expect(model.version).to.equal(3);
+      });
+    });
+
+    it('should not check the version of bulk updates', function () {
+      return Model.query().patch({a: 2}).where('a', 1).then(function () {
+        expect(executedQueries).to.eql(['update "Model" set "a" = \'2\' where "a" = \'1\'']);
+      });
+    });
+
+    it('should insert the first version', function () {
+      mockKnexQueryResults = [[1]];
+
+      return Model.query().insert({a: 1}).then(function (model) {
+        expect(model.version).to.equal(1);
+        expect(executedQueries).to.eql(['insert into "Model" ("a", "version") values (\'1\', \'1\') returning "Model"."id"']);
+      });
+    });
+
+  });
+
+  describe('soft delete', function () {
+    var Model = null;
+
+    beforeEach(function () {
+      Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model.tableName = 'Model';
+      Model.softDelete = {column: 'deleted', value: true, restoreValue: false};
+      Model.knex = mockKnex;
+    });
+
+    it('should set the column instead of deleting', function () {
+      Model.softDelete = {column: 'deletedAt', value: function () { return 'now'; }};
+
+      return Promise.all([
+        Model.query().delete().where('a', 1),
+        Model.fromJson({id: 1}).$query().delete()
+      ]).then(function () {
+        expect(executedQueries).to.eql([
+          'update "Model" set "deletedAt" = \'now\' where "a" = \'1\' and "Model"."deletedAt" is null',
+          'update "Model" set "deletedAt" = \'now\' where "Model"."id" = \'1\' and "Model"."deletedAt" is null'
+        ]);
+      });
+    });
+
+    it('should not update the deleted rows unless withDeleted is called', function () {
+      Model.softDelete = {column: 'deletedAt', value: 'now'};
+
+      return Promise.all([
+        Model.query().patch({a: 1}).where('b', 2),
+        Model.query().patch({a: 1}).where('b', 2).withDeleted()
+      ]).then(function () {
+        expect(executedQueries).to.eql([
+          'update "Model" set "a" = \'1\' where "b" = \'2\' and "Model"."deletedAt" is null',
+          'update "Model" set "a" = \'1\' where "b" = \'2\''
+        ]);
+      });
+    });
+
+    it('should not filter the queries to other tables', function () {
+      Model.softDelete = {column: 'deletedAt', value: 'now'};
+
+      return Promise.all([
+        Model.query().from('Other').where('a', 1),
+        Model.query().patch({b: 2}).from('Other').where('a', 1),
+        Model.query().insert({a: 1})
+      ]).then(function () {
+        expect(executedQueries).to.eql([
+          'select * from "Other" where "a" = \'1\'',
+          'update "Other" set "b" = \'2\' where "a" = \'1\'',
+          'insert into "Model" ("a") values (\'1\') returning "Model"."id"'
+        ]);
+      });
+    });
+
+    it('should exclude the deleted rows by default', function () {
+      Model.softDelete = {column: 'deletedAt', value: 'now'};
+
+      return Promise.all([
+        Model.query().where('a', 1),
+        Model.query().where('a', 1).withDeleted(),
+        Model.query().where('a', 1).onlyDeleted()
+      ]).then(function () {
+        expect(executedQueries).to.eql([
+          'select * from "Model" where "a" = \'1\' and "Model"."deletedAt" is null',
+          'select * from "Model" where "a" = \'1\'',
+          'select * from "Model" where "a" = \'1\' and "Model"."deletedAt" is not null'
+        ]);
+      });
+    });
+
+    it('should compare to restoreValue if it is set', function () {
+      return Promise.all([
+        Model.query(),
+        Model.query().onlyDeleted()
+      ]).then(function () {
+        expect(executedQueries).to.eql([
+          'select * from "Model" where "Model"."deleted" = \'false\'',
+          'select * from "Model" where not "Model"."deleted" = \'false\''
+        ]);
+      });
+    });
+
+    it('should restore the deleted rows', function () {
+      mockKnexQueryResults = [2];
+
+      return Model.query().restore().where('a', 1).then(function (numRestored) {
+        expect(numRestored).to.equal(2);
+        expect(executedQueries).to.eql([
+          'update "Model" set "deleted" = \'false\' where "a" = \'1\' and not "Model"."deleted" = \'false\''
+        ]);
+      });
+    });
+
+    it('restore should fail if softDelete is not set', function () {
+      Model.softDelete = null;
+
+      expect(function () {
+        Model.query().restore();
+      }).to.throwException(function (err) {
+        expect(err.message).to.equal('Model.softDelete is not set');
+      });
+    });
+
+  });
+
+  describe('timestamps', function () {
+    var Model = null;
+
+    beforeEach(function () {
+      Model = MoronModel.makeSubclass(function Model() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Model.tableName = 'Model';
+      Model.knex = mockKnex;
+      Model.timestamps = {
+        createdAt: {property: 'createdAt', column: 'createdAt'},
+        updatedAt: {column: 'updatedAt'}
+      };
+    });
+
+    it('should set both timestamps on insert unless they are set', function () {
+      mockKnexQueryResults = [[1, 2]];
+
+      return Model.query().insert([{a: 1}, {a: 2, createdAt: '2015-01-01T00:00:00.000Z'}]).then(function (models) {
+        expect(models[0].createdAt).to.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+        expect(models[0].updatedAt).to.equal(models[0].createdAt);
+        expect(models[1].createdAt).to.equal('2015-01-01T00:00:00.000Z');
+        expect(executedQueries[0]).to.contain('"createdAt", "updatedAt"');
+      });
+    });
+
+    it('should give createdAt and updatedAt of all inserted models the same value', function () {
+      var json = _.map(_.range(50), function (idx) {
+        return {a: idx};
+      });
+
+      mockKnexQueryResults = [_.range(1, 51)];
+
+      return Model.query().insert(json).then(function (models) {
+        var times = _.uniq(_.flatten(_.map(models, function (model) {
+          return [model.createdAt, model.updatedAt];
+        })));
+
+        expect(times).to.have.length(1);
+      });
+    });
+
+    it('should not set the timestamps of the models until the query is executed', function () {
+      var inserted = Model.fromJson({a: 1});
+      var patched = Model.fromDatabaseJson({id: 1, a: 1, updatedAt: 'old'});
+
+      var insertSql = Model.query().insert(inserted).toString();
+      var patchSql = patched.$query().patch({a: 2}).toString();
+
+      expect(insertSql).to.contain('"createdAt", "updatedAt"');
+      expect(patchSql).to.contain('"updatedAt" = ');
+      expect(patchSql).not.to.contain('old');
+      expect(inserted.createdAt).to.equal(undefined);
+      expect(inserted.updatedAt).to.equal(undefined);
+      expect(patched.updatedAt).to.equal('old');
+      expect(executedQueries).to.eql([]);
+    });
+
+    it('should set updatedAt on bulk patch', function () {
+      return Model.query().patch({a: 1}).where('b', 2).then(function () {
+        expect(executedQueries[0]).to.match(/^update "Model" set "a" = '1', "updatedAt" = '[^']+' where "b" = '2'$/);
+      });
+    });
+
+    it('should set updatedAt of the model on update and patch', function () {
+      var model = Model.fromDatabaseJson({id: 1, a: 1, updatedAt: 'old'});
+
+      return model.$query().patch({a: 2}).then(function () {
+        expect(model.updatedAt).not.to.equal('old');
+        expect(model.$isDirty()).to.equal(false);
+
+        model.updatedAt = 'old';
+        return model.$query().update();
+      }).then(function () {
+        expect(model.updatedAt).not.to.equal('old');
+        expect(executedQueries[1]).to.contain('"updatedAt" = \'' + model.updatedAt + '\'');
+      });
+    });
+
+    it('should use an integer if the jsonSchema says so', function () {
+      Model.jsonSchema = {
+        type: 'object',
+        properties: {
+          createdAt: {type: 'integer'},
+          updatedAt: {type: ['number', 'null']}
+        }
+      };
+
+      var before = Date.now();
+      mockKnexQueryResults = [[1]];
+
+      return Model.query().insert({}).then(function (model) {
+        expect(model.createdAt).to.be.a('number');
+        expect(model.createdAt).to.be.greaterThan(before - 1);
+        expect(model.updatedAt).to.be.a('number');
+      });
+    });
+
+  });
+
 });
@@ -3,7 +3,12 @@ var _ = require('lodash')
   , expect = require('expect.js')
   , Promise = require('bluebird')
   , MoronModel = require('../../lib/MoronModel')
-  , MoronQueryBuilder = require('../../lib/MoronQueryBuilder');
+  , MoronQueryBuilder = require('../../lib/MoronQueryBuilder')
+  , MoronDbError = require('../../lib/MoronDbError')
+  , MoronUniqueViolationError = require('../../lib/MoronUniqueViolationError')
+  , MoronForeignKeyViolationError = require('../../lib/MoronForeignKeyViolationError')
+  , MoronNotNullViolationError = require('../../lib/MoronNotNullViolationError')
+  , MoronCheckViolationError = require('../../lib/MoronCheckViolationError');
 
 describe('MoronQueryBuilder', function () {
   var mockKnexQueryResult = [];
@@ -507,6 +512,16 @@ describe('MoronQueryBuilder', function () {
     console.log('TODO');
   });
 
+  it('eagerAlgorithm should only accept known algorithms', function () {
+    expect(function () {
+      MoronQueryBuilder.forClass(Model).eagerAlgorithm('join').eagerAlgorithm('whereIn');
+    }).to.not.throwException();
+
+    expect(function () {
+      MoronQueryBuilder.forClass(Model).eagerAlgorithm('magic');
+    }).to.throwException();
+  });
+
   it('increment and decrement should invoke custom update code', function () {
     console.log('TODO');
   });
@@ -525,6 +540,204 @@ describe('MoronQueryBuilder', function () {
       .catch(done);
   });
 
+  it('whereComposite should add a where clause for each column', function () {
+    expect(MoronQueryBuilder.forClass(Model).whereComposite('Model.id', 1).toString())
+      .to.equal('select * from "Model" where "Model"."id" = \'1\'');
+
+    expect(MoronQueryBuilder.forClass(Model).whereComposite(['Model.a', 'Model.b'], [1, 2]).toString())
+      .to.equal('select * from "Model" where "Model"."a" = \'1\' and "Model"."b" = \'2\'');
+  });
+
+  it('whereInComposite should compare tuples when multiple columns are given', function () {
+    expect(MoronQueryBuilder.forClass(Model).whereInComposite('Model.id', [1, 2]).toString())
+      .to.equal('select * from "Model" where "Model"."id" in (\'1\', \'2\')');
+
+    expect(MoronQueryBuilder.forClass(Model).whereInComposite(['Model.id'], [[1], [2]]).toString())
+      .to.equal('select * from "Model" where "Model"."id" in (\'1\', \'2\')');
+
+    expect(MoronQueryBuilder.forClass(Model).whereInComposite(['Model.a', 'Model.b'], [[1, 2], [3, 4]]).toString())
+      .to.equal('select * from "Model" where ("Model"."a", "Model"."b") in ((\'1\', \'2\'),(\'3\', \'4\'))');
+
+    expect(MoronQueryBuilder.forClass(Model).whereInComposite(['Model.a', 'Model.b'], []).toString())
+      .to.equal('select * from "Model" where 1 = 0');
+  });
+
+  it('whereInComposite should accept a sub query', function () {
+    var subQuery = mockKnex.select('a', 'b').from('Other');
+
+    expect(MoronQueryBuilder.forClass(Model).whereInComposite(['Model.a', 'Model.b'], subQuery).toString())
+      .to.equal('select * from "Model" where ("Model"."a", "Model"."b") in (select "a", "b" from "Other")');
+  });
+
+  it('whereInComposite should use OR-ed ANDs for multiple columns on SQLite', function () {
+    Model.knex = knex({client: 'sqlite3'});
+
+    expect(MoronQueryBuilder.forClass(Model).whereInComposite(['Model.a', 'Model.b'], [[1, 2], [3, 4]]).toString())
+      .to.equal('select * from "Model" where (("Model"."a" = 1 and "Model"."b" = 2) or ("Model"."a" = 3 and "Model"."b" = 4))');
+  });
+
+  describe('joining relations', function () {
+    var Pet = null;
+    var Movie = null;
+
+    beforeEach(function () {
+      Pet = MoronModel.makeSubclass(function Pet() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Movie = MoronModel.makeSubclass(function Movie() {
+        MoronModel.apply(this, arguments);
+      });
+
+      Pet.tableName = 'Pet';
+      Pet.knex = mockKnex;
+
+      Movie.tableName = 'Movie';
+      Movie.knex = mockKnex;
+
+      Model.relationMappings = {
+        pets: {
+          relation: MoronModel.HasManyRelation,
+          modelClass: Pet,
+          join: {
+            from: 'Model.id',
+            to: 'Pet.ownerId'
+          }
+        },
+        movies: {
+          relation: MoronModel.ManyToManyRelation,
+          modelClass: Movie,
+          join: {
+            from: 'Model.id',
+            through: {
+              from: 'ModelMovie.modelId',
+              to: 'ModelMovie.movieId'
+            },
+            to: 'Movie.id'
+          }
+        },
+        parent: {
+          relation: MoronModel.BelongsToOneRelation,
+          modelClass: Model,
+          query: {active: true},
+          join: {
+            from: 'Model.parentId',
+            to: 'Model.id'
+          }
+        }
+      };
+
+      Movie.relationMappings = {
+        actors: {
+          relation: MoronModel.ManyToManyRelation,
+          modelClass: Model,
+          join: {
+            from: 'Movie.id',
+            through: {
+              from: 'ModelMovie.movieId',
+              to: 'ModelMovie.modelId'
+            },
+            to: 'Model.id'
+          }
+        }
+      };
+    });
+
+    it('joinRelation should join the related tables using the relation names as aliases', function () {
+      expect(MoronQueryBuilder.forClass(Model).joinRelation('[pets, movies.actors]').where('movies:actors.name', 'A').toString()).to.equal([
+        'select "Model".* from "Model"',
+        'inner join "Pet" as "pets" on "Model"."id" = "pets"."ownerId"',
+        'inner join "ModelMovie" as "movies_join" on "Model"."id" = "movies_join"."modelId"',
+        'inner join "Movie" as "movies" on "movies_join"."movieId" = "movies"."id"',
+        'inner join "ModelMovie" as "movies:actors_join" on "movies"."id" = "movies:actors_join"."movieId"',
+        'inner join "Model" as "movies:actors" on "movies:actors_join"."modelId" = "movies:actors"."id"',
+        'where "movies:actors"."name" = \'A\''
+      ].join(' '));
+    });
+
+    it('leftJoinRelation should use left joins and support aliases and limited recursion', function () {
+      expect(MoronQueryBuilder.forClass(Model).leftJoinRelation('parent as p.^2').toString()).to.equal([
+        'select "Model".* from "Model"',
+        'left join (select * from "Model" where "active" = \'true\') as "p" on "Model"."parentId" = "p"."id"',
+        'left join (select * from "Model" where "active" = \'true\') as "p:p" on "p"."parentId" = "p:p"."id"'
+      ].join(' '));
+    });
+
+    it('joinRelation should not select the model table if something is selected explicitly', function () {
+      expect(MoronQueryBuilder.forClass(Model).joinRelation('pets').select('pets.name').toString())
+        .to.equal('select "pets"."name" from "Model" inner join "Pet" as "pets" on "Model"."id" = "pets"."ownerId"');
+
+      expect(MoronQueryBuilder.forClass(Model).joinRelation('pets').count('* as count').toString())
+        .to.equal('select count(*) as "count" from "Model" inner join "Pet" as "pets" on "Model"."id" = "pets"."ownerId"');
+    });
+
+    it('joinRelation should fail for recursive expressions without a depth limit', function () {
+      expect(function () {
+        MoronQueryBuilder.forClass(Model).joinRelation('parent.^');
+      }).to.throwException();
+
+      expect(function () {
+        MoronQueryBuilder.forClass(Model).joinRelation('*');
+      }).to.throwException();
+    });
+
+    it('whereExistsRelated should add a correlated subquery', function () {
+      var query = MoronQueryBuilder.forClass(Model).whereExistsRelated('pets', function (builder) {
+        builder.where('pets.name', 'Fluffy');
+      });
+
+      expect(query.toString()).to.equal([
+        'select * from "Model" where exists (select 1 from "Pet" as "pets"',
+        'where "pets"."ownerId" = "Model"."id" and "pets"."name" = \'Fluffy\')'
+      ].join(' '));
+    });
+
+    it('whereExistsRelated should create nested subqueries for nested relations', function () {
+      var query = MoronQueryBuilder.forClass(Model).whereExistsRelated('movies.actors', function (builder) {
+        builder.where('movies:actors.name', 'A');
+      });
+
+      expect(query.toString()).to.equal([
+        'select * from "Model" where exists (select 1 from "ModelMovie" as "movies_join"',
+        'inner join "Movie" as "movies" on "movies_join"."movieId" = "movies"."id"',
+        'where "movies_join"."modelId" = "Model"."id" and exists (select 1 from "ModelMovie" as "movies:actors_join"',
+        'inner join "Model" as "movies:actors" on "movies:actors_join"."modelId" = "movies:actors"."id"',
+        'where "movies:actors_join"."movieId" = "movies"."id" and "movies:actors"."name" = \'A\'))'
+      ].join(' '));
+    });
+
+    it('withCount should select the number of related models using a correlated subquery', function () {
+      expect(MoronQueryBuilder.forClass(Model).withCount('pets').withCount('movies', 'movieCount').toString()).to.equal([
+        'select "Model".*,',
+        '(select count(*) from "Pet" as "pets" where "pets"."ownerId" = "Model"."id") as "petsCount",',
+        '(select count(*) from "ModelMovie" as "movies_join" inner join "Movie" as "movies" on "movies_join"."movieId" = "movies"."id"',
+        'where "movies_join"."modelId" = "Model"."id") as "movieCount"',
+        'from "Model"'
+      ].join(' '));
+    });
+
+    it('withSum should select the sum of a related column using a correlated subquery', function () {
+      expect(MoronQueryBuilder.forClass(Model).select('Model.id').withSum('pets', 'weight').toString()).to.equal([
+        'select "Model"."id",',
+        '(select sum("pets"."weight") from "Pet" as "pets" where "pets"."ownerId" = "Model"."id") as "petsSumWeight"',
+        'from "Model"'
+      ].join(' '));
+
+      expect(MoronQueryBuilder.forClass(Model).withMax('parent', 'parent.age').toString()).to.equal([
+        'select "Model".*,',
+        '(select max("parent"."age") from (select * from "Model" where "active" = \'true\') as "parent"',
+        'where "parent"."id" = "Model"."parentId") as "parentMaxAge"',
+        'from "Model"'
+      ].join(' '));
+    });
+
+    it('relation aggregates should only be selected by find queries', function () {
+      expect(MoronQueryBuilder.forClass(Model).withCount('pets').delete().where('id', 1).toString())
+        .to.equal('delete from "Model" where "id" = \'1\'');
+    });
+
+  });
+
   /*
   it.only('performance', function () {
     mockKnexQueryResult = [{a: 1}, {a: 2}, {a: 3}, {a: 4}, {a: 5}];
@@ -582,4 +795,124 @@ describe('MoronQueryBuilder', function () {
   });
   */
 
+
+  describe('database errors', function () {
+
+    function failWith(props) {
+      var err = new Error(props.message || 'some driver error');
+      _.extend(err, props);
+
+      // A thenable that rejects when the query is executed.
+      mockKnexQueryResult = {
+        then: function (resolve, reject) {
+          reject(err);
+        }
+      };
+    }
+
+    function expectError(ErrorClass, check) {
+      return MoronQueryBuilder.forClass(Model).insert({a: 1}).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err).to.be.a(ErrorClass);
+        expect(err).to.be.a(MoronDbError);
+        check(err);
+      });
+    }
+
+    it('should wrap postgres errors', function () {
+      failWith({code: '23505', table: 'Model', constraint: 'model_a_b_unique', detail: 'Key (a, "b")=(1, 2) already exists.'});
+
+      return expectError(MoronUniqueViolationError, function (err) {
+        expect(err.statusCode).to.equal(409);
+        expect(err.table).to.equal('Model');
+        expect(err.columns).to.eql(['a', 'b']);
+        expect(err.constraint).to.equal('model_a_b_unique');
+        expect(err.nativeError.code).to.equal('23505');
+      }).then(function () {
+        failWith({code: '23502', table: 'Model', column: 'a'});
+
+        return expectError(MoronNotNullViolationError, function (err) {
+          expect(err.statusCode).to.equal(422);
+          expect(err.table).to.equal('Model');
+          expect(err.columns).to.eql(['a']);
+          expect(err.constraint).to.equal(null);
+        });
+      }).then(function () {
+        failWith({code: '23503', table: 'Pet', constraint: 'pet_ownerid_foreign', detail: 'Key (ownerId)=(5) is not present in table "Person".'});
+
+        return expectError(MoronForeignKeyViolationError, function (err) {
+          expect(err.statusCode).to.equal(409);
+          expect(err.table).to.equal('Pet');
+          expect(err.columns).to.eql(['ownerId']);
+          expect(err.constraint).to.equal('pet_ownerid_foreign');
+        });
+      }).then(function () {
+        failWith({code: '23514', table: 'Model', constraint: 'a_positive', detail: 'Failing row contains (1, -1).'});
+
+        return expectError(MoronCheckViolationError, function (err) {
+          expect(err.statusCode).to.equal(422);
+          expect(err.table).to.equal('Model');
+          expect(err.columns).to.eql([]);
+          expect(err.constraint).to.equal('a_positive');
+        });
+      });
+    });
+
+    it('should wrap mysql errors', function () {
+      failWith({
+        code: 'ER_NO_REFERENCED_ROW_2',
+        message: 'Cannot add or update a child row: a foreign key constraint fails (`db`.`Pet`, CONSTRAINT `pet_ownerid_foreign` FOREIGN KEY (`ownerId`) REFERENCES `Person` (`id`))'
+      });
+
+      return expectError(MoronForeignKeyViolationError, function (err) {
+        expect(err.table).to.equal('Pet');
+        expect(err.columns).to.eql(['ownerId']);
+        expect(err.constraint).to.equal('pet_ownerid_foreign');
+      }).then(function () {
+        failWith({code: 'ER_CHECK_CONSTRAINT_VIOLATED', message: 'Check constraint \'a_positive\' is violated.'});
+
+        return expectError(MoronCheckViolationError, function (err) {
+          // The table is not guessed when the driver doesn't tell it.
+          expect(err.table).to.equal(null);
+          expect(err.columns).to.eql([]);
+          expect(err.constraint).to.equal('a_positive');
+        });
+      }).then(function () {
+        failWith({code: 'ER_DUP_ENTRY', message: 'Duplicate entry \'1-2\' for key \'Model.model_a_b_unique\''});
+
+        return expectError(MoronUniqueViolationError, function (err) {
+          expect(err.statusCode).to.equal(409);
+          expect(err.table).to.equal(null);
+          expect(err.constraint).to.equal('model_a_b_unique');
+        });
+      }).then(function () {
+        failWith({code: 'ER_BAD_NULL_ERROR', message: 'Column \'a\' cannot be null'});
+
+        return expectError(MoronNotNullViolationError, function (err) {
+          expect(err.statusCode).to.equal(422);
+          expect(err.columns).to.eql(['a']);
+        });
+      }).then(function () {
+        failWith({code: 'ER_NO_DEFAULT_FOR_FIELD', message: 'Field \'b\' doesn\'t have a default value'});
+
+        return expectError(MoronNotNullViolationError, function (err) {
+          expect(err.columns).to.eql(['b']);
+        });
+      });
+    });
+
+    it('should not wrap other errors', function () {
+      failWith({code: '42P01'});
+
+      return MoronQueryBuilder.forClass(Model).then(function () {
+        throw new Error('should not get here');
+      }).catch(function (err) {
+        expect(err).not.to.be.a(MoronDbError);
+        expect(err.code).to.equal('42P01');
+      });
+    });
+
+  });
+
 });
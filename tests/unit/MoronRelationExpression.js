@@ -129,6 +129,80 @@ describe('MoronRelationExpression', function () {
       });
     });
 
+    it('relation arguments', function () {
+      testParse('a(f1)', {
+        nodes: [{
+          name: 'a',
+          args: ['f1'],
+          children: []
+        }]
+      });
+      testParse('a(f1, f2).b()', {
+        nodes: [{
+          name: 'a',
+          args: ['f1', 'f2'],
+          children: [{
+            name: 'b',
+            args: [],
+            children: []
+          }]
+        }]
+      });
+      testParse('[a(f1, f2), b.c(f3)]', {
+        nodes: [{
+          name: 'a',
+          args: ['f1', 'f2'],
+          children: []
+        }, {
+          name: 'b',
+          children: [{
+            name: 'c',
+            args: ['f3'],
+            children: []
+          }]
+        }]
+      });
+    });
+
+    it('relation aliases', function () {
+      testParse('a as b', {
+        nodes: [{
+          name: 'a',
+          alias: 'b',
+          children: []
+        }]
+      });
+      testParse('[a(f1) as b.c, a(f2) as d]', {
+        nodes: [{
+          name: 'a',
+          args: ['f1'],
+          alias: 'b',
+          children: [{
+            name: 'c',
+            children: []
+          }]
+        }, {
+          name: 'a',
+          args: ['f2'],
+          alias: 'd',
+          children: []
+        }]
+      });
+    });
+
+    it('recursion depth', function () {
+      testParse('a.^3', {
+        nodes: [{
+          name: 'a',
+          children: [{
+            name: '^',
+            maxDepth: 3,
+            children: []
+          }]
+        }]
+      });
+    });
+
     it('should fail gracefully on invalid input', function () {
       testParseFail('.');
       testParseFail('..');
@@ -146,6 +220,73 @@ describe('MoronRelationExpression', function () {
       testParseFail('a.[.b]');
       testParseFail('[a,,b]');
       testParseFail('[a,b,]');
+      testParseFail('a(');
+      testParseFail('a)');
+      testParseFail('a(b');
+      testParseFail('a(b,)');
+      testParseFail('a(b.c)');
+      testParseFail('a(b)c');
+      testParseFail('(b)');
+      testParseFail('a as');
+      testParseFail('a as b c');
+      testParseFail('a as (b)');
+      testParseFail('a.^0');
+    });
+
+  });
+
+  describe('#args', function () {
+
+    it('should return the arguments of a relation', function () {
+      var expr = MoronRelationExpression.parse('[a(f1, f2), b]');
+
+      expect(expr.args('a')).to.eql(['f1', 'f2']);
+      expect(expr.args('b')).to.eql([]);
+      expect(expr.args('c')).to.eql([]);
+    });
+
+    it('should find the arguments by alias', function () {
+      var expr = MoronRelationExpression.parse('[a(f1) as b, a(f2) as c]');
+
+      expect(expr.args('b')).to.eql(['f1']);
+      expect(expr.args('c')).to.eql(['f2']);
+    });
+
+  });
+
+  describe('#relation', function () {
+
+    it('should decrease the depth of a limited recursion', function () {
+      var expr = MoronRelationExpression.parse('a(f) as b.^3');
+
+      expect(expr.relation('b')).to.eql(MoronRelationExpression.parse('a(f) as b.^2'));
+      expect(expr.relation('b').relation('b')).to.eql(MoronRelationExpression.parse('a(f) as b.^1'));
+      expect(expr.relation('b').relation('b').relation('b')).to.eql(MoronRelationExpression.parse(''));
+    });
+
+  });
+
+  describe('#maxRecursionDepth', function () {
+
+    it('should return the depth limit of a recursive relation', function () {
+      expect(MoronRelationExpression.parse('a.^3').maxRecursionDepth('a')).to.equal(3);
+      expect(MoronRelationExpression.parse('a.^').maxRecursionDepth('a')).to.equal(Infinity);
+      expect(MoronRelationExpression.parse('*').maxRecursionDepth('a')).to.equal(Infinity);
+      expect(MoronRelationExpression.parse('a.b').maxRecursionDepth('a')).to.equal(0);
+    });
+
+  });
+
+  describe('#aliases', function () {
+
+    it('should return the names under which a relation is fetched', function () {
+      var expr = MoronRelationExpression.parse('[a as b, a as c, d, e.a]');
+
+      expect(expr.aliases('a')).to.eql(['b', 'c']);
+      expect(expr.aliases('d')).to.eql(['d']);
+      expect(expr.aliases('e')).to.eql(['e']);
+      expect(expr.aliases('f')).to.eql([]);
+      expect(MoronRelationExpression.parse('*').aliases('a')).to.eql(['a']);
     });
 
   });
@@ -241,6 +382,13 @@ describe('MoronRelationExpression', function () {
     testSubExpression('[a.^, b.[c.^, d]]', '[a.a.^, b.c.^]');
     testSubExpression('[a.^, b.[c.^, d]]', '[a.a.^, b.c.c]');
     testSubExpression('[a.^, b.[c.^, d]]', '[a.a.^, b.[c.c.c, d]]');
+    testSubExpression('a.b', 'a(f1).b(f2, f3)');
+    testSubExpression('a.b', '[a as c.b, a as d]');
+    testSubExpression('a.^', 'a as b.a.^');
+    testSubExpression('a.^', 'a.^3');
+    testSubExpression('a.^3', 'a.^2');
+    testSubExpression('a.a.a', 'a.^3');
+    testSubExpression('*', 'a.^3');
     testNotSubExpression('a.^', 'b');
     testNotSubExpression('a.^', 'a.b');
     testNotSubExpression('a.^', 'a.a.b');
@@ -249,6 +397,11 @@ describe('MoronRelationExpression', function () {
     testNotSubExpression('[a.^, b.[c.^, d]]', '[c, b]');
     testNotSubExpression('[a.^, b.[c.^, d]]', '[c, b]');
     testNotSubExpression('[a.^, b.[c.^, d]]', 'b.c.d');
+    testNotSubExpression('a.b', 'a as b.c');
+    testNotSubExpression('a.^3', 'a.^');
+    testNotSubExpression('a.^2', 'a.^3');
+    testNotSubExpression('a.a', 'a.^3');
+    testNotSubExpression('[a.^, b]', '[a.^, c]');
 
   });
 
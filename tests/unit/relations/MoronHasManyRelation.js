@@ -458,6 +458,7 @@ describe('MoronHasManyRelation', function () {
   describe('unrelate', function () {
 
     it('should generate a unrelate query', function () {
+      mockKnexQueryResults = [3];
       var owner = OwnerModel.fromJson({oid: 666});
 
       return MoronQueryBuilder
@@ -469,11 +470,119 @@ describe('MoronHasManyRelation', function () {
         .whereIn('code', [55, 66 ,77])
         .then(function (result) {
           expect(executedQueries).to.have.length(1);
-          expect(result).to.eql({});
+          expect(result).to.equal(3);
           expect(executedQueries[0]).to.eql('update "RelatedModel" set "ownerId" = NULL where "code" in (\'55\', \'66\', \'77\') and "RelatedModel"."ownerId" = \'666\'');
         });
     });
 
+    it('should only unrelate the models with the given ids', function () {
+      mockKnexQueryResults = [2];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .unrelateImpl(function (ids) {
+          relation.unrelate(this, owner, ids);
+        })
+        .unrelate([11, 12])
+        .then(function (result) {
+          expect(executedQueries).to.have.length(1);
+          expect(result).to.equal(2);
+          expect(executedQueries[0]).to.eql('update "RelatedModel" set "ownerId" = NULL where "RelatedModel"."ownerId" = \'666\' and "RelatedModel"."id" in (\'11\', \'12\')');
+        });
+    });
+
+  });
+
+  describe('join', function () {
+
+    it('should join the related table', function () {
+      var sql = MoronQueryBuilder
+        .forClass(OwnerModel)
+        .call(function (builder) {
+          relation.join(builder);
+        })
+        .toString();
+
+      expect(sql).to.equal('select * from "OwnerModel" inner join "RelatedModel" as "RelatedModel" on "OwnerModel"."oid" = "RelatedModel"."ownerId"');
+    });
+
+    it('should use the given join operation and aliases', function () {
+      var sql = MoronQueryBuilder
+        .forClass(OwnerModel)
+        .call(function (builder) {
+          relation.join(builder, {
+            joinOperation: 'leftJoin',
+            ownerTable: 'owner',
+            relatedTableAlias: 'related'
+          });
+        })
+        .toString();
+
+      expect(sql).to.equal('select * from "OwnerModel" left join "RelatedModel" as "related" on "owner"."oid" = "related"."ownerId"');
+    });
+
   });
 
+  describe('relation mapping query', function () {
+
+    beforeEach(function () {
+      relation = new MoronHasManyRelation('nameOfOurRelation', OwnerModel);
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronHasManyRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          to: 'RelatedModel.ownerId'
+        },
+        query: {active: true}
+      });
+    });
+
+    it('should apply the query to find queries', function () {
+      var expectedResult = [{a: 1, ownerId: 666}];
+      mockKnexQueryResults = [expectedResult];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .findImpl(function () {
+          relation.find(this, owner);
+        })
+        .then(function (result) {
+          expect(result).to.eql(expectedResult);
+          expect(owner.nameOfOurRelation).to.eql(expectedResult);
+          expect(executedQueries).to.eql(['select * from "RelatedModel" where "RelatedModel"."ownerId" in (\'666\') and "active" = \'true\'']);
+        });
+    });
+
+    it('should apply the query to update queries', function () {
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .updateImpl(function (update) {
+          relation.update(this, owner, update);
+        })
+        .update({a: 'str1'})
+        .then(function () {
+          expect(executedQueries).to.eql(['update "RelatedModel" set "a" = \'str1\' where "RelatedModel"."ownerId" in (\'666\') and "active" = \'true\'']);
+        });
+    });
+
+    it('should apply the query to delete queries', function () {
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .deleteImpl(function () {
+          relation.delete(this, owner);
+        })
+        .delete()
+        .then(function () {
+          expect(executedQueries).to.eql(['delete from "RelatedModel" where "RelatedModel"."ownerId" in (\'666\') and "active" = \'true\'']);
+        });
+    });
+
+  });
 });
@@ -0,0 +1,221 @@
+var _ = require('lodash')
+  , knex = require('knex')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , MoronModel = require('../../../lib/MoronModel')
+  , MoronQueryBuilder = require('../../../lib/MoronQueryBuilder')
+  , MoronHasManyThroughRelation = require('../../../lib/relations/MoronHasManyThroughRelation')
+  , MoronHasOneThroughRelation = require('../../../lib/relations/MoronHasOneThroughRelation');
+
+describe('MoronHasManyThroughRelation', function () {
+  var originalKnexQueryBuilderThen = null;
+  var mockKnexQueryResults = [];
+  var executedQueries = [];
+  var mockKnex = null;
+  var OwnerModel = null;
+  var RelatedModel = null;
+  var relation;
+
+  before(function () {
+    mockKnex = knex({client: 'pg'});
+    originalKnexQueryBuilderThen = mockKnex.client.QueryBuilder.prototype.then;
+    mockKnex.client.QueryBuilder.prototype.then = function (cb, ecb) {
+      executedQueries.push(this.toString());
+      return Promise.resolve(mockKnexQueryResults.shift() || []).then(cb, ecb);
+    };
+  });
+
+  after(function () {
+    mockKnex.client.QueryBuilder.prototype.then = originalKnexQueryBuilderThen;
+  });
+
+  beforeEach(function () {
+    mockKnexQueryResults = [];
+    executedQueries = [];
+
+    OwnerModel = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    RelatedModel = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    OwnerModel.tableName = 'OwnerModel';
+    OwnerModel.knex = mockKnex;
+
+    RelatedModel.tableName = 'RelatedModel';
+    RelatedModel.knex = mockKnex;
+  });
+
+  beforeEach(function () {
+    relation = new MoronHasManyThroughRelation('nameOfOurRelation', OwnerModel);
+    relation.setMapping({
+      modelClass: RelatedModel,
+      relation: MoronHasManyThroughRelation,
+      join: {
+        from: 'OwnerModel.oid',
+        through: [{
+          from: 'Table1.ownerId',
+          to: 'Table1.id'
+        }, {
+          from: 'Table2.table1Id',
+          to: 'Table2.id'
+        }],
+        to: 'RelatedModel.table2Id'
+      }
+    });
+  });
+
+  it('should fail if join.through is missing', function () {
+    relation = new MoronHasManyThroughRelation('nameOfOurRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronHasManyThroughRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          to: 'RelatedModel.ownerId'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('Model.relationMappings.nameOfOurRelation.join must have the `through` that describes the intermediate tables.');
+    });
+  });
+
+  describe('find', function () {
+
+    it('should generate a find query', function () {
+      mockKnexQueryResults = [[{a: 1, _join_: 666}, {a: 2, _join_: 666}]];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .where('name', 'Teppo')
+        .findImpl(function () {
+          relation.find(this, owner);
+        })
+        .then(function (result) {
+          expect(result).to.eql([{a: 1}, {a: 2}]);
+          expect(owner.nameOfOurRelation).to.eql([{a: 1}, {a: 2}]);
+          expect(executedQueries[0]).to.equal([
+            'select "RelatedModel".*, "Table1"."ownerId" as "_join_" from "RelatedModel"',
+            'inner join "Table2" on "RelatedModel"."table2Id" = "Table2"."id"',
+            'inner join "Table1" on "Table2"."table1Id" = "Table1"."id"',
+            'where "name" = \'Teppo\' and "Table1"."ownerId" in (\'666\')'
+          ].join(' '));
+        });
+    });
+
+    it('should find for multiple owners', function () {
+      mockKnexQueryResults = [[{a: 1, _join_: 666}, {a: 2, _join_: 667}]];
+      var owners = [OwnerModel.fromJson({oid: 666}), OwnerModel.fromJson({oid: 667}), OwnerModel.fromJson({oid: 668})];
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .findImpl(function () {
+          relation.find(this, owners);
+        })
+        .then(function () {
+          expect(owners[0].nameOfOurRelation).to.eql([{a: 1}]);
+          expect(owners[1].nameOfOurRelation).to.eql([{a: 2}]);
+          expect(owners[2].nameOfOurRelation).to.eql([]);
+        });
+    });
+
+    it('has one through relation should set a single model', function () {
+      mockKnexQueryResults = [[{a: 1, _join_: 666}]];
+      var owners = [OwnerModel.fromJson({oid: 666}), OwnerModel.fromJson({oid: 667})];
+
+      relation = new MoronHasOneThroughRelation('nameOfOurRelation', OwnerModel);
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronHasOneThroughRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          through: {
+            from: 'Table1.ownerId',
+            to: 'Table1.relatedId'
+          },
+          to: 'RelatedModel.id'
+        }
+      });
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .findImpl(function () {
+          relation.find(this, owners);
+        })
+        .then(function () {
+          expect(relation.isOneToOne()).to.equal(true);
+          expect(owners[0].nameOfOurRelation).to.eql({a: 1});
+          expect(owners[1].nameOfOurRelation).to.equal(null);
+        });
+    });
+
+  });
+
+  describe('join', function () {
+
+    it('should join the intermediate tables and the related table', function () {
+      var sql = MoronQueryBuilder
+        .forClass(OwnerModel)
+        .call(function (builder) {
+          relation.join(builder, {
+            joinOperation: 'leftJoin',
+            relatedTableAlias: 'related'
+          });
+        })
+        .toString();
+
+      expect(sql).to.equal([
+        'select * from "OwnerModel"',
+        'left join "Table1" as "related_through0" on "OwnerModel"."oid" = "related_through0"."ownerId"',
+        'left join "Table2" as "related_through1" on "related_through0"."id" = "related_through1"."table1Id"',
+        'left join "RelatedModel" as "related" on "related_through1"."id" = "related"."table2Id"'
+      ].join(' '));
+    });
+
+  });
+
+  describe('correlatedQuery', function () {
+
+    it('should select the related rows of the owner table of an enclosing query', function () {
+      var sql = MoronQueryBuilder
+        .forClass(RelatedModel)
+        .count('*')
+        .call(function (builder) {
+          relation.correlatedQuery(builder, {
+            relatedTableAlias: 'related'
+          });
+        })
+        .toString();
+
+      expect(sql).to.equal([
+        'select count(*) from "RelatedModel" as "related"',
+        'inner join "Table2" as "related_through1" on "related"."table2Id" = "related_through1"."id"',
+        'inner join "Table1" as "related_through0" on "related_through1"."table1Id" = "related_through0"."id"',
+        'where "related_through0"."ownerId" = "OwnerModel"."oid"'
+      ].join(' '));
+    });
+
+  });
+
+  describe('modifying queries', function () {
+
+    _.each(['insert', 'update', 'patch', 'delete', 'relate', 'unrelate'], function (method) {
+
+      it(method + ' should fail', function () {
+        expect(function () {
+          relation[method](MoronQueryBuilder.forClass(RelatedModel), OwnerModel.fromJson({oid: 666}));
+        }).to.throwException(function (err) {
+          expect(err.message).to.equal('cannot ' + method + ' models through Model.nameOfOurRelation');
+        });
+      });
+
+    });
+
+  });
+
+});
@@ -567,6 +567,7 @@ describe('MoronManyToManyRelation', function () {
   describe('unrelate', function () {
 
     it('should generate a unrelate query', function () {
+      mockKnexQueryResults = [3];
       var owner = OwnerModel.fromJson({oid: 666});
 
       return MoronQueryBuilder
@@ -578,11 +579,12 @@ describe('MoronManyToManyRelation', function () {
         .whereIn('code', [55, 66 ,77])
         .then(function (result) {
           expect(executedQueries).to.have.length(1);
-          expect(result).to.eql({});
+          expect(result).to.equal(3);
           expect(executedQueries[0]).to.eql([
             'delete from "JoinTable"',
-            'where "JoinTable"."relatedId" in',
-              '(select "RelatedModel"."id" from "RelatedModel"',
+            'where "JoinTable"."ownerId" = \'666\'',
+            'and "JoinTable"."relatedId" in',
+              '(select "RelatedModel"."rid" from "RelatedModel"',
               'inner join "JoinTable" on "JoinTable"."relatedId" = "RelatedModel"."rid"',
               'where "code" in (\'55\', \'66\', \'77\')',
               'and "JoinTable"."ownerId" in (\'666\'))'
@@ -590,6 +592,213 @@ describe('MoronManyToManyRelation', function () {
         });
     });
 
+    it('should only unrelate the models with the given ids', function () {
+      mockKnexQueryResults = [1];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .unrelateImpl(function (ids) {
+          relation.unrelate(this, owner, ids);
+        })
+        .unrelate(11)
+        .then(function (result) {
+          expect(executedQueries).to.have.length(1);
+          expect(result).to.equal(1);
+          expect(executedQueries[0]).to.eql([
+            'delete from "JoinTable"',
+            'where "JoinTable"."ownerId" = \'666\'',
+            'and "JoinTable"."relatedId" in',
+              '(select "RelatedModel"."rid" from "RelatedModel"',
+              'inner join "JoinTable" on "JoinTable"."relatedId" = "RelatedModel"."rid"',
+              'where "JoinTable"."ownerId" in (\'666\'))',
+            'and "JoinTable"."relatedId" in (\'11\')'
+          ].join(' '));
+        });
+    });
+
+  });
+
+  describe('join', function () {
+
+    it('should join the join table and the related table', function () {
+      var sql = MoronQueryBuilder
+        .forClass(OwnerModel)
+        .call(function (builder) {
+          relation.join(builder, {
+            joinOperation: 'leftJoin',
+            relatedTableAlias: 'related'
+          });
+        })
+        .toString();
+
+      expect(sql).to.equal([
+        'select * from "OwnerModel"',
+        'left join "JoinTable" as "related_join" on "OwnerModel"."oid" = "related_join"."ownerId"',
+        'left join "RelatedModel" as "related" on "related_join"."relatedId" = "related"."rid"'
+      ].join(' '));
+    });
+
+  });
+
+  describe('join table extra columns', function () {
+
+    beforeEach(function () {
+      relation = new MoronManyToManyRelation('nameOfOurRelation', OwnerModel);
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronManyToManyRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          through: {
+            from: 'JoinTable.ownerId',
+            to: 'JoinTable.relatedId',
+            extra: {relatedRole: 'role'}
+          },
+          to: 'RelatedModel.rid'
+        }
+      });
+    });
+
+    it('should fail if extra is not an array or an object of column names', function () {
+      expect(function () {
+        relation.setMapping({
+          modelClass: RelatedModel,
+          relation: MoronManyToManyRelation,
+          join: {
+            from: 'OwnerModel.oid',
+            through: {
+              from: 'JoinTable.ownerId',
+              to: 'JoinTable.relatedId',
+              extra: [{}]
+            },
+            to: 'RelatedModel.rid'
+          }
+        });
+      }).to.throwException();
+    });
+
+    it('find should select the extra columns', function () {
+      mockKnexQueryResults = [[{rid: 1, _join_: 666, relatedRole: 'hero'}]];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .findImpl(function () {
+          relation.find(this, owner);
+        })
+        .then(function (result) {
+          expect(result[0].relatedRole).to.equal('hero');
+          expect(owner.nameOfOurRelation).to.eql([{rid: 1, relatedRole: 'hero'}]);
+          expect(executedQueries[0]).to.equal([
+            'select "RelatedModel".*, "JoinTable"."ownerId" as "_join_", "JoinTable"."role" as "relatedRole"',
+            'from "RelatedModel"',
+            'inner join "JoinTable" on "JoinTable"."relatedId" = "RelatedModel"."rid"',
+            'where "JoinTable"."ownerId" in (\'666\')'
+          ].join(' '));
+        });
+    });
+
+    it('relate should accept objects that contain the extra values', function () {
+      mockKnexQueryResults = [[5, 6]];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .relateImpl(function (ids) {
+          relation.relate(this, owner, ids);
+        })
+        .relate([{rid: 10, relatedRole: 'hero'}, {rid: 20}])
+        .then(function (result) {
+          expect(result).to.eql([
+            {ownerId: 666, relatedId: 10, role: 'hero', id: 5},
+            {ownerId: 666, relatedId: 20, id: 6}
+          ]);
+          expect(executedQueries[0]).to.equal('insert into "JoinTable" ("ownerId", "relatedId", "role") values (\'666\', \'10\', \'hero\'), (\'666\', \'20\', NULL) returning "id"');
+        });
+    });
+
+    it('insert should write the extra values to the join rows', function () {
+      mockKnexQueryResults = [[1], []];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .insertImpl(function (models) {
+          relation.insert(this, owner, models);
+        })
+        .insert({rid: 1, name: 'new', relatedRole: 'hero'})
+        .then(function (result) {
+          expect(result.relatedRole).to.equal('hero');
+          expect(executedQueries).to.eql([
+            'insert into "RelatedModel" ("name", "rid") values (\'new\', \'1\') returning "RelatedModel"."id"',
+            'insert into "JoinTable" ("ownerId", "relatedId", "role") values (\'666\', \'1\', \'hero\')'
+          ]);
+        });
+    });
+
   });
 
+  describe('relation mapping query', function () {
+
+    beforeEach(function () {
+      relation = new MoronManyToManyRelation('nameOfOurRelation', OwnerModel);
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronManyToManyRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          through: {
+            from: "JoinTable.ownerId",
+            to: "JoinTable.relatedId"
+          },
+          to: 'RelatedModel.rid'
+        },
+        query: function (builder) {
+          builder.where('RelatedModel.active', true);
+        }
+      });
+    });
+
+    it('should apply the query to find queries', function () {
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .findImpl(function () {
+          relation.find(this, owner);
+        })
+        .then(function () {
+          expect(executedQueries).to.eql([[
+            'select "RelatedModel".*, "JoinTable"."ownerId" as "_join_"',
+            'from "RelatedModel"',
+            'inner join "JoinTable" on "JoinTable"."relatedId" = "RelatedModel"."rid"',
+            'where "JoinTable"."ownerId" in (\'666\')',
+            'and "RelatedModel"."active" = \'true\''
+          ].join(' ')]);
+        });
+    });
+
+    it('should apply the query to patch queries', function () {
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .patchImpl(function (patch) {
+          relation.patch(this, owner, patch);
+        })
+        .patch({a: 'str1'})
+        .then(function () {
+          expect(executedQueries).to.eql([[
+            'update "RelatedModel" set "a" = \'str1\'',
+            'where "RelatedModel"."id" in',
+              '(select "RelatedModel"."id" from "RelatedModel"',
+              'inner join "JoinTable" on "JoinTable"."relatedId" = "RelatedModel"."rid"',
+              'where "JoinTable"."ownerId" in (\'666\')',
+              'and "RelatedModel"."active" = \'true\')'
+          ].join(' ')]);
+        });
+    });
+
+  });
 });
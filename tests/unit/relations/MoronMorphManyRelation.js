@@ -0,0 +1,202 @@
+var _ = require('lodash')
+  , knex = require('knex')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , MoronModel = require('../../../lib/MoronModel')
+  , MoronQueryBuilder = require('../../../lib/MoronQueryBuilder')
+  , MoronMorphManyRelation = require('../../../lib/relations/MoronMorphManyRelation');
+
+describe('MoronMorphManyRelation', function () {
+  var originalKnexQueryBuilderThen = null;
+  var mockKnexQueryResults = [];
+  var executedQueries = [];
+  var mockKnex = null;
+  var OwnerModel = null;
+  var RelatedModel = null;
+  var relation;
+
+  before(function () {
+    mockKnex = knex({client: 'pg'});
+    originalKnexQueryBuilderThen = mockKnex.client.QueryBuilder.prototype.then;
+    mockKnex.client.QueryBuilder.prototype.then = function (cb, ecb) {
+      executedQueries.push(this.toString());
+      return Promise.resolve(mockKnexQueryResults.shift() || []).then(cb, ecb);
+    };
+  });
+
+  after(function () {
+    mockKnex.client.QueryBuilder.prototype.then = originalKnexQueryBuilderThen;
+  });
+
+  beforeEach(function () {
+    mockKnexQueryResults = [];
+    executedQueries = [];
+
+    OwnerModel = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    RelatedModel = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    OwnerModel.tableName = 'OwnerModel';
+    OwnerModel.knex = mockKnex;
+
+    RelatedModel.tableName = 'RelatedModel';
+    RelatedModel.knex = mockKnex;
+  });
+
+  beforeEach(function () {
+    relation = new MoronMorphManyRelation('nameOfOurRelation', OwnerModel);
+    relation.setMapping({
+      modelClass: RelatedModel,
+      relation: MoronMorphManyRelation,
+      join: {
+        from: 'OwnerModel.oid',
+        to: 'RelatedModel.ownerId'
+      },
+      morph: {
+        column: 'RelatedModel.ownerType',
+        value: 'owner'
+      }
+    });
+  });
+
+  it('should fail if morph is missing', function () {
+    relation = new MoronMorphManyRelation('nameOfOurRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronMorphManyRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          to: 'RelatedModel.ownerId'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('Model.relationMappings.nameOfOurRelation.morph must be an object that describes the type column of the related table. For example: {column: \'SomeTable.someType\', value: \'someValue\'}');
+    });
+  });
+
+  it('should fail if morph.column is not in the related table', function () {
+    relation = new MoronMorphManyRelation('nameOfOurRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        modelClass: RelatedModel,
+        relation: MoronMorphManyRelation,
+        join: {
+          from: 'OwnerModel.oid',
+          to: 'RelatedModel.ownerId'
+        },
+        morph: {
+          column: 'OwnerModel.ownerType',
+          value: 'owner'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('Model.relationMappings.nameOfOurRelation.morph.column must point to the related model table. For example `SomeTable.someType`.');
+    });
+  });
+
+  describe('find', function () {
+
+    it('should only find the related models of the type', function () {
+      mockKnexQueryResults = [[{a: 1, ownerId: 666, ownerType: 'owner'}]];
+      var owners = [OwnerModel.fromJson({oid: 666}), OwnerModel.fromJson({oid: 667})];
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .findImpl(function () {
+          relation.find(this, owners);
+        })
+        .then(function () {
+          expect(owners[0].nameOfOurRelation).to.eql([{a: 1, ownerId: 666, ownerType: 'owner'}]);
+          expect(owners[1].nameOfOurRelation).to.eql([]);
+          expect(executedQueries[0]).to.equal('select * from "RelatedModel" where "RelatedModel"."ownerId" in (\'666\', \'667\') and "RelatedModel"."ownerType" = \'owner\'');
+        });
+    });
+
+  });
+
+  describe('insert', function () {
+
+    it('should set the type of the inserted models', function () {
+      mockKnexQueryResults = [[1]];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .insertImpl(function (models) {
+          relation.insert(this, owner, models);
+        })
+        .insert({a: 'str1'})
+        .then(function (result) {
+          expect(executedQueries[0]).to.equal('insert into "RelatedModel" ("a", "ownerId", "ownerType") values (\'str1\', \'666\', \'owner\') returning "RelatedModel"."id"');
+          expect(result).to.eql({a: 'str1', id: 1, ownerId: 666, ownerType: 'owner'});
+        });
+    });
+
+  });
+
+  describe('relate', function () {
+
+    it('should set the type of the related models', function () {
+      mockKnexQueryResults = [[5, 6]];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .relateImpl(function (ids) {
+          relation.relate(this, owner, ids);
+        })
+        .relate([10, 20])
+        .then(function (result) {
+          expect(result).to.eql([10, 20]);
+          expect(executedQueries[0]).to.equal('update "RelatedModel" set "ownerId" = \'666\', "ownerType" = \'owner\' where "RelatedModel"."id" in (\'10\', \'20\')');
+        });
+    });
+
+  });
+
+  describe('unrelate', function () {
+
+    it('should only unrelate the models of the type', function () {
+      mockKnexQueryResults = [1];
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .unrelateImpl(function (ids) {
+          relation.unrelate(this, owner, ids);
+        })
+        .unrelate(11)
+        .then(function (result) {
+          expect(result).to.equal(1);
+          expect(executedQueries[0]).to.equal('update "RelatedModel" set "ownerId" = NULL, "ownerType" = NULL where "RelatedModel"."ownerId" = \'666\' and "RelatedModel"."ownerType" = \'owner\' and "RelatedModel"."id" in (\'11\')');
+        });
+    });
+
+  });
+
+  describe('delete', function () {
+
+    it('should only delete the models of the type', function () {
+      var owner = OwnerModel.fromJson({oid: 666});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel)
+        .deleteImpl(function () {
+          relation.delete(this, owner);
+        })
+        .delete()
+        .then(function () {
+          expect(executedQueries[0]).to.equal('delete from "RelatedModel" where "RelatedModel"."ownerId" in (\'666\') and "RelatedModel"."ownerType" = \'owner\'');
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,229 @@
+var _ = require('lodash')
+  , knex = require('knex')
+  , expect = require('expect.js')
+  , Promise = require('bluebird')
+  , MoronModel = require('../../../lib/MoronModel')
+  , MoronQueryBuilder = require('../../../lib/MoronQueryBuilder')
+  , MoronMorphToRelation = require('../../../lib/relations/MoronMorphToRelation');
+
+describe('MoronMorphToRelation', function () {
+  var originalKnexQueryBuilderThen = null;
+  var mockKnexQueryResults = [];
+  var executedQueries = [];
+  var mockKnex = null;
+  var OwnerModel = null;
+  var RelatedModel1 = null;
+  var RelatedModel2 = null;
+  var relation;
+
+  before(function () {
+    mockKnex = knex({client: 'pg'});
+    originalKnexQueryBuilderThen = mockKnex.client.QueryBuilder.prototype.then;
+    mockKnex.client.QueryBuilder.prototype.then = function (cb, ecb) {
+      executedQueries.push(this.toString());
+      return Promise.resolve(mockKnexQueryResults.shift() || []).then(cb, ecb);
+    };
+  });
+
+  after(function () {
+    mockKnex.client.QueryBuilder.prototype.then = originalKnexQueryBuilderThen;
+  });
+
+  beforeEach(function () {
+    mockKnexQueryResults = [];
+    executedQueries = [];
+
+    OwnerModel = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    RelatedModel1 = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    RelatedModel2 = MoronModel.makeSubclass(function Model () {
+      MoronModel.apply(this, arguments);
+    });
+
+    OwnerModel.tableName = 'OwnerModel';
+    OwnerModel.knex = mockKnex;
+
+    RelatedModel1.tableName = 'RelatedModel1';
+    RelatedModel1.knex = mockKnex;
+
+    RelatedModel2.tableName = 'RelatedModel2';
+    RelatedModel2.idColumn = 'rid';
+    RelatedModel2.knex = mockKnex;
+  });
+
+  beforeEach(function () {
+    relation = new MoronMorphToRelation('nameOfOurRelation', OwnerModel);
+    relation.setMapping({
+      relation: MoronMorphToRelation,
+      join: {
+        from: 'OwnerModel.relatedId'
+      },
+      morph: {
+        column: 'OwnerModel.relatedType',
+        types: {
+          one: RelatedModel1,
+          two: RelatedModel2
+        }
+      }
+    });
+  });
+
+  it('should fail if morph.types is missing', function () {
+    relation = new MoronMorphToRelation('nameOfOurRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronMorphToRelation,
+        join: {
+          from: 'OwnerModel.relatedId'
+        },
+        morph: {
+          column: 'OwnerModel.relatedType'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('Model.relationMappings.nameOfOurRelation.morph must be an object that describes the type column and maps its values to model classes. For example: {column: \'SomeTable.someType\', types: {someValue: SomeModel}}');
+    });
+  });
+
+  it('should fail if a type is not a model class', function () {
+    relation = new MoronMorphToRelation('nameOfOurRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronMorphToRelation,
+        join: {
+          from: 'OwnerModel.relatedId'
+        },
+        morph: {
+          column: 'OwnerModel.relatedType',
+          types: {
+            one: function () {}
+          }
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('Model.relationMappings.nameOfOurRelation.morph.types.one is not a subclass of MoronModel or a file path to a module that exports one.');
+    });
+  });
+
+  describe('relationFor', function () {
+
+    it('should return the relation of the type of the owner', function () {
+      var relation1 = relation.relationFor(OwnerModel.fromJson({relatedType: 'one'}));
+      var relation2 = relation.relationFor(OwnerModel.fromJson({relatedType: 'two'}));
+
+      expect(relation1.relatedModelClass).to.equal(RelatedModel1);
+      expect(relation1.fullRelatedCol()).to.equal('RelatedModel1.id');
+      expect(relation2.relatedModelClass).to.equal(RelatedModel2);
+      expect(relation2.fullRelatedCol()).to.equal('RelatedModel2.rid');
+    });
+
+    it('should fail if the type is not set or unknown', function () {
+      expect(function () {
+        relation.relationFor(OwnerModel.fromJson({relatedId: 1}));
+      }).to.throwException(function (err) {
+        expect(err.message).to.equal('Model.nameOfOurRelation: the type of the related model is unknown because relatedType is not set');
+      });
+
+      expect(function () {
+        relation.relationFor(OwnerModel.fromJson({relatedType: 'three'}));
+      }).to.throwException(function (err) {
+        expect(err.message).to.equal('Model.nameOfOurRelation: unknown type "three"');
+      });
+    });
+
+  });
+
+  describe('groupOwners', function () {
+
+    it('should group the owners by type', function () {
+      var owners = [
+        OwnerModel.fromJson({relatedType: 'one', relatedId: 1}),
+        OwnerModel.fromJson({relatedType: 'two', relatedId: 1}),
+        OwnerModel.fromJson({relatedType: 'one', relatedId: 2}),
+        OwnerModel.fromJson({relatedId: null})
+      ];
+
+      var groups = relation.groupOwners(owners, 'prop');
+
+      expect(groups).to.have.length(2);
+      expect(groups[0].relation.relatedModelClass).to.equal(RelatedModel1);
+      expect(groups[0].owners).to.eql([owners[0], owners[2]]);
+      expect(groups[1].relation.relatedModelClass).to.equal(RelatedModel2);
+      expect(groups[1].owners).to.eql([owners[1]]);
+      expect(owners[3].prop).to.equal(null);
+    });
+
+  });
+
+  describe('find', function () {
+
+    it('should find the related model of the type', function () {
+      mockKnexQueryResults = [[{rid: 5, a: 1}]];
+      var owner = OwnerModel.fromJson({relatedType: 'two', relatedId: 5});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel2)
+        .findImpl(function () {
+          relation.relationFor(owner).find(this, owner);
+        })
+        .then(function () {
+          expect(owner.nameOfOurRelation).to.eql({rid: 5, a: 1});
+          expect(executedQueries[0]).to.equal('select * from "RelatedModel2" where "RelatedModel2"."rid" in (\'5\')');
+        });
+    });
+
+  });
+
+  describe('relate', function () {
+
+    it('should write the identifier and the type', function () {
+      var owner = OwnerModel.fromJson({id: 1, relatedType: 'one'});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel1)
+        .relateImpl(function (ids) {
+          relation.relationFor(owner).relate(this, owner, ids);
+        })
+        .relate(10)
+        .then(function (result) {
+          expect(result).to.equal(10);
+          expect(executedQueries[0]).to.equal('update "OwnerModel" set "relatedId" = \'10\', "relatedType" = \'one\' where "OwnerModel"."id" = \'1\'');
+        });
+    });
+
+  });
+
+  describe('unrelate', function () {
+
+    it('should clear the identifier and the type', function () {
+      var owner = OwnerModel.fromJson({id: 1, relatedType: 'one'});
+
+      return MoronQueryBuilder
+        .forClass(RelatedModel1)
+        .unrelateImpl(function () {
+          relation.relationFor(owner).unrelate(this, owner);
+        })
+        .unrelate()
+        .then(function () {
+          expect(executedQueries[0]).to.equal('update "OwnerModel" set "relatedId" = NULL, "relatedType" = NULL where "OwnerModel"."id" = \'1\'');
+        });
+    });
+
+  });
+
+  it('should not be joinable', function () {
+    expect(function () {
+      relation.join(MoronQueryBuilder.forClass(OwnerModel));
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('cannot join polymorphic relation Model.nameOfOurRelation');
+    });
+  });
+
+});
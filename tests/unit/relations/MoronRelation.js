@@ -427,4 +427,161 @@ describe('MoronRelation', function () {
     });
   });
 
+
+  it('should accept arrays of columns in join.from, join.to and join.through', function () {
+    var relation = new MoronRelation('testRelation', OwnerModel);
+
+    relation.setMapping({
+      relation: MoronRelation,
+      modelClass: RelatedModel,
+      join: {
+        from: ['OwnerModel.tenantId', 'OwnerModel.id'],
+        through: {
+          from: ['JoinTable.ownerTenantId', 'JoinTable.ownerId'],
+          to: ['JoinTable.relatedTenantId', 'JoinTable.relatedId']
+        },
+        to: ['RelatedModel.tenantId', 'RelatedModel.ownerId']
+      }
+    });
+
+    expect(relation.isComposite()).to.equal(true);
+    expect(relation.ownerCol).to.eql(['tenantId', 'id']);
+    expect(relation.ownerProp).to.eql(['tenantId', 'id']);
+    expect(relation.relatedCol).to.eql(['tenantId', 'ownerId']);
+    expect(relation.relatedProp).to.eql(['tenantId', 'ownerId']);
+    expect(relation.joinTable).to.equal('JoinTable');
+    expect(relation.joinTableOwnerCol).to.eql(['ownerTenantId', 'ownerId']);
+    expect(relation.joinTableRelatedCol).to.eql(['relatedTenantId', 'relatedId']);
+    expect(relation.fullOwnerCol()).to.eql(['OwnerModel.tenantId', 'OwnerModel.id']);
+    expect(relation.fullRelatedCol()).to.eql(['RelatedModel.tenantId', 'RelatedModel.ownerId']);
+    expect(relation.fullJoinTableOwnerCol()).to.eql(['JoinTable.ownerTenantId', 'JoinTable.ownerId']);
+    expect(relation.fullJoinTableRelatedCol()).to.eql(['JoinTable.relatedTenantId', 'JoinTable.relatedId']);
+  });
+
+  it('should accept a chain of tables in join.through array', function () {
+    var relation = new MoronRelation('testRelation', OwnerModel);
+
+    relation.setMapping({
+      relation: MoronRelation,
+      modelClass: RelatedModel,
+      join: {
+        from: 'RelatedModel.ownerId',
+        through: [{
+          from: 'Table2.relatedId',
+          to: 'Table2.table1Id'
+        }, {
+          from: 'Table1.id',
+          to: 'Table1.ownerId'
+        }],
+        to: 'OwnerModel.id'
+      }
+    });
+
+    expect(relation.ownerCol).to.equal('id');
+    expect(relation.relatedCol).to.equal('ownerId');
+    expect(relation.joinTable).to.equal(null);
+    expect(relation.throughChain).to.eql([
+      {table: 'Table1', ownerCol: 'ownerId', relatedCol: 'id'},
+      {table: 'Table2', ownerCol: 'table1Id', relatedCol: 'relatedId'}
+    ]);
+  });
+
+  it('the tables in join.through array should have the same number of columns as their neighbours', function () {
+    var relation = new MoronRelation('testRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronRelation,
+        modelClass: RelatedModel,
+        join: {
+          from: 'OwnerModel.id',
+          through: [{
+            from: 'Table1.ownerId',
+            to: ['Table1.tenantId', 'Table1.id']
+          }, {
+            from: 'Table2.table1Id',
+            to: 'Table2.id'
+          }],
+          to: 'RelatedModel.ownerId'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('OwnerModel.relationMappings.testRelation.join.through: `from` and `to` must have the same number of columns as `join.from` and `join.to`.');
+    });
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronRelation,
+        modelClass: RelatedModel,
+        join: {
+          from: 'OwnerModel.id',
+          through: [{
+            from: 'Table1.ownerId',
+            to: 'Table1.id'
+          }, {
+            from: 'Table2.table1Id'
+          }],
+          to: 'RelatedModel.ownerId'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('OwnerModel.relationMappings.testRelation.join.through[1] must be an object that describes the join table. For example: {from: \'JoinTable.someId\', to: \'JoinTable.someOtherId\'}');
+    });
+  });
+
+  it('join.from and join.to should have the same number of columns', function () {
+    var relation = new MoronRelation('testRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronRelation,
+        modelClass: RelatedModel,
+        join: {
+          from: ['OwnerModel.tenantId', 'OwnerModel.id'],
+          to: 'RelatedModel.ownerId'
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('OwnerModel.relationMappings.testRelation.join: `from` and `to` must have the same number of columns.');
+    });
+  });
+
+  it('all columns in join.from should point to the same table', function () {
+    var relation = new MoronRelation('testRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronRelation,
+        modelClass: RelatedModel,
+        join: {
+          from: ['OwnerModel.tenantId', 'OtherTable.id'],
+          to: ['RelatedModel.tenantId', 'RelatedModel.ownerId']
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('OwnerModel.relationMappings.testRelation.join.from must have format TableName.columnName. For example `SomeTable.id`.');
+    });
+  });
+
+  it('join.through should have the same number of columns as join.from and join.to', function () {
+    var relation = new MoronRelation('testRelation', OwnerModel);
+
+    expect(function () {
+      relation.setMapping({
+        relation: MoronRelation,
+        modelClass: RelatedModel,
+        join: {
+          from: ['OwnerModel.tenantId', 'OwnerModel.id'],
+          through: {
+            from: 'JoinTable.ownerId',
+            to: 'JoinTable.relatedId'
+          },
+          to: ['RelatedModel.tenantId', 'RelatedModel.ownerId']
+        }
+      });
+    }).to.throwException(function (err) {
+      expect(err.message).to.equal('OwnerModel.relationMappings.testRelation.join.through: `from` and `to` must have the same number of columns as `join.from` and `join.to`.');
+    });
+  });
+
 });